@@ -0,0 +1,297 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const streamifier = require('streamifier');
+const db = require('../db.js');
+
+// Single place where uploaded files are stored and recorded.
+// Files go to a pluggable storage backend (Cloudinary in production, the local filesystem for dev and
+// offline use) and every stored file gets a row in the `attachments` table.
+//
+// ATTACHMENT_STORAGE selects the backend: 'cloudinary' or 'local'. When unset, Cloudinary is used if it
+// is configured (CLOUDINARY_CLOUD_NAME), the local filesystem otherwise.
+
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+// URL prefix the local files are served under (see server.js)
+const LOCAL_UPLOAD_ROUTE = '/uploads';
+
+// ==== Storage adapters ====
+// An adapter implements put({ buffer, folder, name, extension, mimeType, originalName }) -> Promise<{ url, key }>
+// and remove({ key, mimeType }) -> Promise<void>
+
+const cloudinaryStorage = {
+    name: 'cloudinary',
+    put({ buffer, folder, name, originalName }) {
+        // Required lazily so the local backend works without Cloudinary credentials
+        const { cloudinary } = require('../cloudinary.js');
+        return new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                {
+                    folder,
+                    public_id: name,
+                    resource_type: 'auto',
+                    overwrite: false,
+                    context: { original_filename: originalName },
+                },
+                (error, result) => {
+                    if (error) return reject(error);
+                    if (result) resolve({ url: result.secure_url, key: result.public_id });
+                    else reject(new Error("Cloudinary upload failed without an error object."));
+                }
+            );
+            streamifier.createReadStream(buffer).pipe(uploadStream);
+        });
+    },
+    async remove({ key, mimeType }) {
+        const { cloudinary } = require('../cloudinary.js');
+        // resource_type 'auto' stores images and PDFs as 'image', other documents as 'raw'
+        const resourceType = /^image\//.test(mimeType || '') || mimeType === 'application/pdf' ? 'image' : 'raw';
+        await cloudinary.uploader.destroy(key, { resource_type: resourceType });
+    },
+};
+
+const localStorage = {
+    name: 'local',
+    async put({ buffer, folder, name, extension }) {
+        const key = path.posix.join(folder, `${name}${extension || ''}`);
+        const target = path.join(LOCAL_UPLOAD_DIR, ...key.split('/'));
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, buffer);
+        const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 10000}`).replace(/\/$/, '');
+        const url = `${baseUrl}${LOCAL_UPLOAD_ROUTE}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        return { url, key };
+    },
+    async remove({ key }) {
+        await fs.rm(path.join(LOCAL_UPLOAD_DIR, ...key.split('/')), { force: true });
+    },
+};
+
+const ADAPTERS = { cloudinary: cloudinaryStorage, local: localStorage };
+
+const resolveStorage = () => {
+    const configured = (process.env.ATTACHMENT_STORAGE || '').toLowerCase();
+    if (configured) {
+        if (!ADAPTERS[configured]) throw new Error(`Unknown ATTACHMENT_STORAGE '${configured}'.`);
+        return ADAPTERS[configured];
+    }
+    return process.env.CLOUDINARY_CLOUD_NAME ? cloudinaryStorage : localStorage;
+};
+
+const storage = resolveStorage();
+console.log(`Attachment storage backend: ${storage.name}`);
+
+// ==== Upload validation ====
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_FILE_SIZE = (Number(process.env.UPLOAD_MAX_FILE_MB) || 15) * MB;
+
+const IMAGE_TYPES = {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/webp': ['.webp'],
+    'image/gif': ['.gif'],
+    'image/heic': ['.heic'],
+    'image/heif': ['.heif'],
+};
+const PDF_TYPES = {
+    'application/pdf': ['.pdf'],
+};
+const OFFICE_TYPES = {
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+};
+
+// Allowed MIME types (and their file extensions) per attachment kind
+const FILE_KINDS = {
+    image: IMAGE_TYPES,
+    pdf: PDF_TYPES,
+    imageOrPdf: { ...IMAGE_TYPES, ...PDF_TYPES },
+    document: { ...IMAGE_TYPES, ...PDF_TYPES, ...OFFICE_TYPES },
+};
+
+const uploadError = (status, code, message, details = {}) => Object.assign(new Error(message), { status, code, details });
+
+// Some mobile webviews send application/octet-stream; the extension decides for those
+const isAllowedType = (file, kind) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.mimetype === 'application/octet-stream') {
+        return Object.values(FILE_KINDS[kind]).some(extensions => extensions.includes(extension));
+    }
+    const extensions = FILE_KINDS[kind][file.mimetype];
+    return !!extensions && extensions.includes(extension);
+};
+
+// Maps multer and validation errors to the structured responses sent to clients
+const toUploadErrorResponse = (err, { maxFileSize, maxFiles }) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return { status: 413, body: { message: `File is too large. The limit is ${Math.floor(maxFileSize / MB)} MB per file.`, code: 'FILE_TOO_LARGE', field: err.field, maxFileSize } };
+        }
+        if (err.code === 'LIMIT_FILE_COUNT') {
+            return { status: 413, body: { message: `Too many files. At most ${maxFiles} file(s) can be uploaded at once.`, code: 'TOO_MANY_FILES', maxFiles } };
+        }
+        return { status: 400, body: { message: `Invalid upload: ${err.message}.`, code: err.code, field: err.field } };
+    }
+    if (err.status) {
+        return { status: err.status, body: { message: err.message, code: err.code, ...err.details } };
+    }
+    return null;
+};
+
+/**
+ * Builds the upload middleware of an endpoint: multer memory storage with size/count limits and a
+ * per-field allow-list of file kinds (see FILE_KINDS). Rejected uploads get a JSON 400/413/415.
+ * @param {object} spec
+ * @param {string} [spec.field] Single file field (multer .array()); use with `kind`.
+ * @param {string} [spec.kind] Kind of the files in `field`.
+ * @param {Array<[RegExp, string]>} [spec.fields] For endpoints accepting several fields: [fieldPattern, kind] pairs.
+ * @param {number} [spec.maxFiles=10]
+ * @param {number} [spec.maxFileSize] In bytes, defaults to UPLOAD_MAX_FILE_MB (15 MB).
+ */
+function acceptUploads({ field, kind, fields = [], maxFiles = 10, maxFileSize = DEFAULT_MAX_FILE_SIZE }) {
+    const kindFor = (fieldname) => {
+        if (field) return fieldname === field ? kind : null;
+        const match = fields.find(([pattern]) => pattern.test(fieldname));
+        return match ? match[1] : null;
+    };
+
+    const parser = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSize, files: maxFiles },
+        fileFilter: (req, file, cb) => {
+            const fileKind = kindFor(file.fieldname);
+            if (!fileKind) {
+                return cb(uploadError(400, 'UNEXPECTED_FILE_FIELD', `Unexpected file field '${file.fieldname}'.`, { field: file.fieldname }));
+            }
+            if (!isAllowedType(file, fileKind)) {
+                return cb(uploadError(415, 'UNSUPPORTED_FILE_TYPE', `File type of '${file.originalname}' is not allowed here.`, {
+                    field: file.fieldname,
+                    fileName: file.originalname,
+                    allowedTypes: Object.keys(FILE_KINDS[fileKind]),
+                }));
+            }
+            cb(null, true);
+        },
+    });
+    const handler = field ? parser.array(field) : parser.any();
+
+    return (req, res, next) => handler(req, res, (err) => {
+        if (!err) return next();
+        const response = toUploadErrorResponse(err, { maxFileSize, maxFiles });
+        if (!response) return next(err);
+        res.status(response.status).json(response.body);
+    });
+}
+
+// ==== Attachments ====
+
+/**
+ * Stores an uploaded (multer memory storage) file and records it in the attachments table.
+ * @param {object} file A multer file: { buffer, originalname, mimetype, size }.
+ * @param {object} options
+ * @param {number|string} options.ownerId The user uploading the file.
+ * @param {string} options.entityType What the file belongs to, e.g. 'report', 'package', 'purchase', 'workflow'.
+ * @param {number|string} [options.entityId] The owning record, when it already exists (see linkAttachments()).
+ * @param {string} [options.folder] Storage folder under qssun_reports/, defaults to entityType.
+ * @returns {Promise<{url: string, fileName: string, id: string, uploadedBy: number|string, attachmentId: number}>}
+ *   `id` is the storage key, kept under that name for the file objects the frontend already knows.
+ */
+async function storeFile(file, { ownerId, entityType, entityId = null, folder }) {
+    // Random storage keys never collide; the original name is kept as metadata (file_name / fileName)
+    const stored = await storage.put({
+        buffer: file.buffer,
+        folder: `qssun_reports/${folder || entityType}/${ownerId}`,
+        name: crypto.randomUUID(),
+        extension: path.extname(file.originalname).toLowerCase(),
+        mimeType: file.mimetype,
+        originalName: file.originalname,
+    });
+
+    const [result] = await db.query('INSERT INTO attachments SET ?', {
+        owner_id: ownerId,
+        entity_type: entityType,
+        entity_id: entityId !== null && entityId !== undefined ? String(entityId) : null,
+        storage: storage.name,
+        storage_key: stored.key,
+        url: stored.url,
+        file_name: file.originalname,
+        mime_type: file.mimetype || null,
+        size_bytes: file.size ?? file.buffer.length,
+        checksum_sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    });
+
+    return { url: stored.url, fileName: file.originalname, id: stored.key, uploadedBy: ownerId, attachmentId: result.insertId };
+}
+
+/**
+ * Removes stored files and their attachments rows, e.g. when the request that stored them failed.
+ * Failures are logged, not thrown.
+ * @param {Array<object>} storedFiles Results of storeFile().
+ */
+async function discardStoredFiles(storedFiles) {
+    for (const file of storedFiles) {
+        if (!file || !file.attachmentId) continue;
+        try {
+            const [rows] = await db.query('SELECT storage, storage_key, mime_type FROM attachments WHERE id = ?', [file.attachmentId]);
+            if (rows.length > 0) {
+                const adapter = ADAPTERS[rows[0].storage];
+                if (adapter) await adapter.remove({ key: rows[0].storage_key, mimeType: rows[0].mime_type });
+                await db.query('DELETE FROM attachments WHERE id = ?', [file.attachmentId]);
+            }
+        } catch (error) {
+            console.error(`Failed to discard attachment ${file.attachmentId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Discards the files a request stored when its response is an error (a 4xx after a version conflict or
+ * a policy check, a rollback's 500), so a failed request leaves no orphaned files or attachments rows.
+ * Files are stored before the route's transaction opens; call this before storing and push every stored
+ * file into `storedFiles`, which is read once the response has been sent.
+ * @param {object} res The Express response.
+ * @param {Array<object>} storedFiles Results of storeFile().
+ */
+function discardOnFailure(res, storedFiles) {
+    res.once('finish', () => {
+        if (res.statusCode >= 400 && storedFiles.length > 0) discardStoredFiles(storedFiles);
+    });
+}
+
+/**
+ * Stores several files with the same options. If one fails, the others are discarded and the error thrown.
+ */
+async function storeFiles(files, options) {
+    const results = await Promise.allSettled((files || []).map(file => storeFile(file, options)));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        await discardStoredFiles(results.filter(result => result.status === 'fulfilled').map(result => result.value));
+        throw failure.reason;
+    }
+    return results.map(result => result.value);
+}
+
+/**
+ * Sets the owning record of attachments stored before that record existed (e.g. a new report).
+ * @param {object} conn The pool or a connection.
+ * @param {Array<object>} storedFiles Results of storeFile().
+ */
+async function linkAttachments(conn, storedFiles, entityId) {
+    const ids = storedFiles.map(file => file && file.attachmentId).filter(Boolean);
+    if (ids.length === 0) return;
+    await conn.query('UPDATE attachments SET entity_id = ? WHERE id IN (?)', [String(entityId), ids]);
+}
+
+module.exports = {
+    LOCAL_UPLOAD_DIR,
+    LOCAL_UPLOAD_ROUTE,
+    MB,
+    acceptUploads,
+    storeFile,
+    storeFiles,
+    linkAttachments,
+    discardOnFailure,
+};
@@ -2,8 +2,27 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
 const bcrypt = require('bcrypt');
+const { issueTokens, verifyRefreshToken, authenticate } = require('./authMiddleware');
+const deviceRegistry = require('./deviceRegistry');
+const loginThrottle = require('./loginThrottle');
+const passwordReset = require('./passwordReset');
+const { deliverResetCode } = require('./passwordResetDelivery');
+const { validatePassword } = require('./passwordPolicy');
 const saltRounds = 10; // Define salt rounds for consistency
 
+// Same message for an unknown employee ID and a wrong password, so logins can't be used to find usernames
+const LOGIN_FAILED_MESSAGE = 'Invalid employee ID or password.';
+
+const isBcryptHash = (value) => typeof value === 'string' && /^\$2[aby]\$/.test(value);
+
+// Compared against when there is no hash to check, so every failure takes as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', saltRounds);
+
+const sendLocked = (res, seconds) => {
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ message: 'Too many failed login attempts. Try again later.', retryAfter: seconds });
+};
+
 // POST /api/login
 router.post('/login', async (req, res) => {
     const { employeeId, password } = req.body;
@@ -13,46 +32,45 @@ router.post('/login', async (req, res) => {
     }
 
     try {
-        // 1. Find the user by username (which is the employeeId)
-        const [userRows] = await db.query('SELECT * FROM users WHERE username = ?', [employeeId]);
-        
-        if (userRows.length === 0) {
-            return res.status(404).json({ message: 'Employee not found.' });
+        // 1. Refuse outright while the employee ID or this client's IP is locked out (see loginThrottle.js)
+        const lockedSeconds = await loginThrottle.lockedFor(employeeId, req.ip);
+        if (lockedSeconds > 0) {
+            return sendLocked(res, lockedSeconds);
         }
-        
-        const user = userRows[0];
 
-        // 2. Intelligent password check to handle both plain text (old) and hashed (new) passwords
+        // 2. Find the user by username (which is the employeeId)
+        const [userRows] = await db.query('SELECT * FROM users WHERE username = ? AND deleted_at IS NULL', [employeeId]);
+        const user = userRows.length > 0 ? userRows[0] : null;
+
+        // 3. Check the password. Only bcrypt hashes are accepted: accounts still holding a plain-text password
+        // can't log in until it is reset (see scripts/migratePlaintextPasswords.js)
         let isPasswordCorrect = false;
 
-        // Check if the stored password from the DB looks like a bcrypt hash.
-        if (user.password && (user.password.startsWith('$2a$') || user.password.startsWith('$2b$'))) {
-            // If it is a hash, compare it securely.
+        if (user && isBcryptHash(user.password)) {
             isPasswordCorrect = await bcrypt.compare(password, user.password);
         } else {
-            // If it is not a hash, it's likely a plain-text password from before the update.
-            // Compare it directly.
-            isPasswordCorrect = (password === user.password);
-            
-            // IMPORTANT: If the plain-text password is correct, we upgrade it to a hash "on-the-fly".
-            // This is a lazy migration strategy that secures users as they log in.
-            if (isPasswordCorrect) {
-                try {
-                    const hashedNewPassword = await bcrypt.hash(password, saltRounds);
-                    await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedNewPassword, user.id]);
-                    console.log(`Password for user ${user.username} has been migrated to a secure hash.`);
-                } catch (hashError) {
-                    console.error(`Failed to migrate password for user ${user.username}:`, hashError);
-                    // We don't block the login, but we log the error. The user can still log in.
-                }
+            if (user) {
+                console.warn(`Login refused for ${user.username}: the stored password is not a bcrypt hash and must be reset.`);
             }
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
         }
 
         if (!isPasswordCorrect) {
-            return res.status(401).json({ message: 'Incorrect password.' });
+            const lockSeconds = await loginThrottle.recordFailure(employeeId, req.ip);
+            if (lockSeconds > 0) {
+                return sendLocked(res, lockSeconds);
+            }
+            return res.status(401).json({ message: LOGIN_FAILED_MESSAGE });
         }
-        
-        // 3. Get the branch name
+
+        await loginThrottle.recordSuccess(employeeId);
+
+        // Only someone who knows the password learns that the account is suspended or deactivated
+        if (user.status && user.status !== 'active') {
+            return res.status(403).json({ message: 'This account is not active. Contact your administrator.', status: user.status });
+        }
+
+        // 4. Get the branch name
         let branchName = 'N/A';
         if (user.branch_id) {
             const [branchRows] = await db.query('SELECT name FROM branches WHERE id = ?', [user.branch_id]);
@@ -61,7 +79,7 @@ router.post('/login', async (req, res) => {
             }
         }
         
-        // 4. Construct the user object for the frontend
+        // 5. Construct the user object for the frontend
         // FIX: Ensure the role is capitalized ('Admin', 'Employee') to match frontend expectations.
         const role = user.role ? user.role.charAt(0).toUpperCase() + user.role.slice(1) : 'Employee';
 
@@ -84,7 +102,8 @@ router.post('/login', async (req, res) => {
             allowedReportTypes: (() => { try { return JSON.parse(user.allowed_report_types || '[]'); } catch { return []; } })(),
         };
 
-        res.json(userForFrontend);
+        // 6. Issue signed session tokens; the frontend sends the access token as a Bearer header
+        res.json({ ...userForFrontend, ...issueTokens(user) });
 
     } catch (error) {
         console.error('Login error:', error);
@@ -92,4 +111,145 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// POST /api/password-reset/request - Body: { employeeId }
+// Sends a one-time code to the user's phone or email (see passwordReset.js). The answer is the same whether
+// or not the employee ID exists, so it can't be used to find usernames.
+router.post('/password-reset/request', async (req, res) => {
+    const { employeeId } = req.body || {};
+    if (!employeeId) {
+        return res.status(400).json({ message: 'Employee ID is required.' });
+    }
+    const accepted = { message: 'If the employee ID exists, a reset code has been sent to its phone or email.' };
+
+    try {
+        const lockedSeconds = await loginThrottle.lockedFor(employeeId, req.ip);
+        if (lockedSeconds > 0) {
+            return sendLocked(res, lockedSeconds);
+        }
+
+        const [userRows] = await db.query(
+            "SELECT id, username, phone, email FROM users WHERE username = ? AND deleted_at IS NULL AND status = 'active'",
+            [employeeId]
+        );
+        if (userRows.length === 0 || await passwordReset.issuedRecently(userRows[0].id)) {
+            return res.status(202).json(accepted);
+        }
+        const user = userRows[0];
+        const { code, expiresAt } = await passwordReset.issueResetCode(db, user.id);
+        try {
+            if (!await deliverResetCode(user, code, expiresAt)) {
+                console.warn(`Password reset requested for ${user.username}, who has no phone number or email.`);
+            }
+        } catch (deliveryError) {
+            console.error(`Failed to deliver the password reset code for ${user.username}:`, deliveryError.message);
+        }
+        res.status(202).json(accepted);
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/password-reset/confirm - Body: { employeeId, code, newPassword }
+// Sets a new password with a reset code and ends the user's other sessions.
+router.post('/password-reset/confirm', async (req, res) => {
+    const { employeeId, code, newPassword } = req.body || {};
+    if (!employeeId || !code || !newPassword) {
+        return res.status(400).json({ message: 'Employee ID, code and new password are required.' });
+    }
+    const policyError = validatePassword(newPassword, { username: employeeId });
+    if (policyError) {
+        return res.status(400).json({ message: policyError });
+    }
+
+    let connection;
+    try {
+        const lockedSeconds = await loginThrottle.lockedFor(employeeId, req.ip);
+        if (lockedSeconds > 0) {
+            return sendLocked(res, lockedSeconds);
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [userRows] = await connection.query(
+            "SELECT id FROM users WHERE username = ? AND deleted_at IS NULL AND status = 'active'",
+            [employeeId]
+        );
+        const userId = userRows.length > 0 ? userRows[0].id : null;
+        if (!userId || !await passwordReset.consumeResetCode(connection, userId, code)) {
+            await connection.rollback();
+            const lockSeconds = await loginThrottle.recordFailure(employeeId, req.ip);
+            if (lockSeconds > 0) {
+                return sendLocked(res, lockSeconds);
+            }
+            return res.status(400).json({ message: 'Invalid or expired reset code.' });
+        }
+
+        // Bumping token_version revokes the refresh tokens; access tokens fail on the next request
+        await connection.query(
+            'UPDATE users SET password = ?, is_first_login = 0, token_version = token_version + 1 WHERE id = ?',
+            [await bcrypt.hash(newPassword, saltRounds), userId]
+        );
+        await connection.commit();
+        await loginThrottle.recordSuccess(employeeId);
+        res.status(200).json({ message: 'Password has been reset. You can now log in with the new password.' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Password reset confirm error:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /api/token/refresh - Exchange a refresh token for a new token pair
+router.post('/token/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    const payload = verifyRefreshToken(refreshToken);
+    if (!payload) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+    }
+
+    try {
+        const [userRows] = await db.query("SELECT id, token_version FROM users WHERE id = ? AND deleted_at IS NULL AND status = 'active'", [payload.sub]);
+        if (userRows.length === 0) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+        }
+
+        const user = userRows[0];
+        // Bumping users.token_version revokes every refresh token issued before it
+        if (Number(user.token_version || 0) !== Number(payload.ver)) {
+            return res.status(401).json({ message: 'Refresh token has been revoked.' });
+        }
+
+        res.json(issueTokens(user));
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/logout - Body: { deviceToken?, webPushEndpoint? }
+// Stops pushes to this device for the user logging out, so the next person using it doesn't get them.
+router.post('/logout', authenticate, async (req, res) => {
+    const { deviceToken, webPushEndpoint } = req.body || {};
+    try {
+        if (deviceToken) {
+            await deviceRegistry.unregisterDevice(req.user.id, deviceToken);
+        }
+        if (webPushEndpoint) {
+            await db.query('DELETE FROM web_push_subscriptions WHERE user_id = ? AND endpoint = ?', [req.user.id, webPushEndpoint]);
+        }
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db.js');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '30d';
+
+// Secrets must be configured in production, where the server won't start without them. For local/dev we
+// fall back to a random per-process secret so the server still boots (tokens will not survive a restart).
+const resolveSecret = (name) => {
+    if (process.env[name]) return process.env[name];
+    if (process.env.NODE_ENV === 'production') throw new Error(`${name} must be set in production.`);
+    console.warn(`⚠️ ${name} is not set. Using a random secret; issued tokens will be invalid after restart.`);
+    return crypto.randomBytes(48).toString('hex');
+};
+
+const ACCESS_SECRET = resolveSecret('JWT_ACCESS_SECRET');
+const REFRESH_SECRET = resolveSecret('JWT_REFRESH_SECRET');
+
+/**
+ * Issues a signed access/refresh token pair for a user row.
+ * Both tokens carry users.token_version so they can be revoked server-side by bumping it.
+ * @param {object} user A row from the users table.
+ * @returns {{accessToken: string, refreshToken: string, expiresIn: string}}
+ */
+function issueTokens(user) {
+    const subject = String(user.id);
+    const ver = Number(user.token_version || 0);
+    const accessToken = jwt.sign({ typ: 'access', ver }, ACCESS_SECRET, { subject, expiresIn: ACCESS_TOKEN_TTL });
+    const refreshToken = jwt.sign({ typ: 'refresh', ver }, REFRESH_SECRET, { subject, expiresIn: REFRESH_TOKEN_TTL });
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verifies a refresh token and returns its payload, or null if invalid/expired.
+ * @param {string} token
+ */
+function verifyRefreshToken(token) {
+    try {
+        const payload = jwt.verify(token, REFRESH_SECRET);
+        return payload.typ === 'refresh' ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Verifies an access token and returns its payload, or null if invalid/expired.
+ * @param {string} token
+ */
+function verifyAccessToken(token) {
+    try {
+        const payload = jwt.verify(token, ACCESS_SECRET);
+        return payload.typ === 'access' ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+// Map a users row to the identity object exposed on req.user
+const toSessionUser = (row) => ({
+    id: row.id,
+    username: row.username,
+    name: row.full_name || row.username,
+    role: (row.role || 'employee').toLowerCase(),
+    branchId: row.branch_id || null,
+    hasImportExportPermission: !!row.has_import_export_permission,
+    hasPackageManagementPermission: !!row.has_package_management_permission,
+    hasPurchaseManagementPermission: !!row.has_purchase_management_permission,
+});
+
+// users.status: only active users can log in. 'suspended' is a temporary block set by an admin,
+// 'deactivated' is a former employee (see hr.js)
+const USER_STATUSES = ['active', 'suspended', 'deactivated'];
+
+// Users moved to the trash (see softDelete.js), no longer active, or whose token_version was bumped after
+// the token was issued (password reset, deactivation) lose their sessions immediately
+const loadSessionUser = async (userId, tokenVersion) => {
+    const [rows] = await db.query("SELECT * FROM users WHERE id = ? AND deleted_at IS NULL AND status = 'active'", [userId]);
+    if (rows.length === 0 || Number(rows[0].token_version || 0) !== Number(tokenVersion)) return null;
+    return toSessionUser(rows[0]);
+};
+
+const readBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Middleware: authenticates the request from the `Authorization: Bearer <accessToken>` header
+ * and populates req.user. Legacy X-User-Id / X-User-Role headers are ignored.
+ */
+const authenticate = async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ message: 'Authentication required.' });
+    }
+    const payload = verifyAccessToken(token);
+    if (!payload) {
+        return res.status(401).json({ message: 'Invalid or expired access token.' });
+    }
+    try {
+        const user = await loadSessionUser(payload.sub, payload.ver);
+        if (!user) {
+            return res.status(401).json({ message: 'User for this session no longer exists.' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ message: 'An internal server error occurred during authentication.' });
+    }
+};
+
+module.exports = {
+    USER_STATUSES,
+    issueTokens,
+    verifyAccessToken,
+    verifyRefreshToken,
+    toSessionUser,
+    loadSessionUser,
+    authenticate,
+};
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
+const { authorize } = require('./permissions');
+const { softDelete, restore } = require('./softDelete');
 
 // GET /api/branches
-router.get('/branches', async (req, res) => {
+router.get('/branches', authorize('branch', 'list'), async (req, res) => {
     try {
-        const [rows] = await db.query('SELECT * FROM branches ORDER BY created_at DESC');
+        const [rows] = await db.query('SELECT * FROM branches WHERE deleted_at IS NULL ORDER BY created_at DESC');
         const branches = rows.map(branch => ({
             id: branch.id.toString(),
             name: branch.name || 'N/A',
@@ -22,7 +24,7 @@ router.get('/branches', async (req, res) => {
 });
 
 // POST /api/branches - Create a new branch
-router.post('/branches', async (req, res) => {
+router.post('/branches', authorize('branch', 'create'), async (req, res) => {
     const { name, location, phone, manager } = req.body;
     try {
         const newBranch = {
@@ -49,7 +51,7 @@ router.post('/branches', async (req, res) => {
 });
 
 // PUT /api/branches/:id - Update a branch
-router.put('/branches/:id', async (req, res) => {
+router.put('/branches/:id', authorize('branch', 'update'), async (req, res) => {
     const { id } = req.params;
     const { name, location, phone, manager } = req.body;
     try {
@@ -59,7 +61,7 @@ router.put('/branches/:id', async (req, res) => {
             phone,
             manager_name: manager
         };
-        const [result] = await db.query('UPDATE branches SET ? WHERE id = ?', [updatedBranch, id]);
+        const [result] = await db.query('UPDATE branches SET ? WHERE id = ? AND deleted_at IS NULL', [updatedBranch, id]);
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'Branch not found.' });
         }
@@ -79,13 +81,13 @@ router.put('/branches/:id', async (req, res) => {
     }
 });
 
-// DELETE /api/branches/:id - Delete a branch
-router.delete('/branches/:id', async (req, res) => {
+// DELETE /api/branches/:id - Move a branch to the trash (see softDelete.js); blocked while it still has users
+router.delete('/branches/:id', authorize('branch', 'delete'), async (req, res) => {
     const { id } = req.params;
     try {
-        const [result] = await db.query('DELETE FROM branches WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Branch not found.' });
+        const outcome = await softDelete(db, 'branch', id, req.user.id);
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Branch not found.' : outcome.message });
         }
         res.status(200).json({ message: 'Branch deleted successfully.' });
     } catch (error) {
@@ -94,5 +96,19 @@ router.delete('/branches/:id', async (req, res) => {
     }
 });
 
+// POST /api/branches/:id/restore - Take a branch out of the trash
+router.post('/branches/:id/restore', authorize('branch', 'restore'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const outcome = await restore(db, 'branch', id);
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Branch not found in the trash.' : outcome.message });
+        }
+        res.status(200).json({ message: 'Branch restored successfully.' });
+    } catch (error) {
+        console.error('Error restoring branch:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Optimistic concurrency for whole-document updates (reports, package requests, workflow requests).
+// Those rows carry a `version` that every overwriting write increments. Reads return it as `version`
+// and, for single records, as the ETag header; PUTs must send it back in If-Match and get a 409
+// with the current record when someone else saved in between.
+
+const etagFor = (version) => `"${Number(version || 0)}"`;
+
+/**
+ * Sets the ETag header of a single-record response.
+ */
+const setVersionHeader = (res, version) => res.set('ETag', etagFor(version));
+
+/**
+ * Middleware: requires an If-Match header holding a version ETag ("3", W/"3" or 3) and stores the
+ * version in req.expectedVersion. Runs before upload parsing so stale writes don't upload files.
+ */
+const requireIfMatch = (req, res, next) => {
+    const header = req.get('If-Match');
+    if (!header) {
+        return res.status(428).json({ message: 'If-Match header with the record version is required.', code: 'VERSION_REQUIRED' });
+    }
+    const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    if (!match) {
+        return res.status(400).json({ message: 'If-Match must be the ETag returned when the record was read.', code: 'INVALID_VERSION' });
+    }
+    req.expectedVersion = Number(match[1]);
+    next();
+};
+
+/**
+ * Whether the version the client edited is still the stored one.
+ */
+const isCurrentVersion = (req, storedVersion) => Number(storedVersion || 0) === req.expectedVersion;
+
+/**
+ * Sends the 409 response of a stale write, with the record as currently stored.
+ * @param {object} current The record in its frontend shape (including `version`).
+ */
+const sendVersionConflict = (res, current) => {
+    setVersionHeader(res, current.version);
+    res.status(409).json({
+        message: 'This record was changed by someone else. Review the current version and apply your changes again.',
+        code: 'VERSION_CONFLICT',
+        current,
+    });
+};
+
+module.exports = {
+    setVersionHeader,
+    requireIfMatch,
+    isCurrentVersion,
+    sendVersionConflict,
+};
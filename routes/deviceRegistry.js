@@ -0,0 +1,112 @@
+const db = require('../db.js');
+
+// Registry of the mobile devices (FCM tokens) push notifications go to.
+// A token belongs to one user at a time: registering it for someone else (another person logging in
+// on a shared tablet) moves it. Devices report in with a heartbeat; devices not seen for
+// DEVICE_STALE_DAYS are removed.
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+const STALE_AFTER_DAYS = Number(process.env.DEVICE_STALE_DAYS) || 60;
+
+const formatDevice = (row) => ({
+    device: `…${String(row.token).slice(-12)}`,
+    platform: row.platform || null,
+    appVersion: row.app_version || null,
+    lastSeenAt: row.last_seen_at || row.updated_at || null,
+    registeredAt: row.registered_at || null,
+});
+
+/**
+ * Registers a device for a user, moving the token away from any other user.
+ * @param {number|string} userId
+ * @param {object} device
+ * @param {string} device.token The FCM registration token.
+ * @param {string} [device.platform] One of PLATFORMS.
+ * @param {string} [device.appVersion]
+ * @returns {Promise<{reassignedFrom: Array<number>}>} The users the token was taken from.
+ */
+async function registerDevice(userId, { token, platform = null, appVersion = null }) {
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [previous] = await connection.query('SELECT user_id FROM fcm_tokens WHERE token = ? AND user_id <> ? FOR UPDATE', [token, userId]);
+        if (previous.length > 0) {
+            await connection.query('DELETE FROM fcm_tokens WHERE token = ? AND user_id <> ?', [token, userId]);
+        }
+        await connection.query(
+            `INSERT INTO fcm_tokens (user_id, token, platform, app_version, registered_at, last_seen_at, updated_at)
+             VALUES (?, ?, ?, ?, NOW(), NOW(), NOW())
+             ON DUPLICATE KEY UPDATE platform = COALESCE(VALUES(platform), platform),
+                app_version = COALESCE(VALUES(app_version), app_version), last_seen_at = NOW(), updated_at = NOW()`,
+            [userId, token, platform, appVersion]
+        );
+        await connection.commit();
+
+        const reassignedFrom = previous.map(row => row.user_id);
+        if (reassignedFrom.length > 0) {
+            console.log(`FCM token moved to user ${userId} from user(s) ${reassignedFrom.join(', ')}`);
+        }
+        return { reassignedFrom };
+    } catch (error) {
+        if (connection) await connection.rollback();
+        throw error;
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Marks a device of the user as seen. Returns false when the token isn't registered for the user
+ * (it expired or moved to someone else), in which case the app should register again.
+ */
+async function heartbeat(userId, token, appVersion = null) {
+    const [result] = await db.query(
+        'UPDATE fcm_tokens SET last_seen_at = NOW(), app_version = COALESCE(?, app_version) WHERE user_id = ? AND token = ?',
+        [appVersion, userId, token]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Removes a device of the user (on logout). Returns whether it was registered.
+ */
+async function unregisterDevice(userId, token) {
+    const [result] = await db.query('DELETE FROM fcm_tokens WHERE user_id = ? AND token = ?', [userId, token]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * The user's registered devices, without their tokens.
+ */
+async function listDevices(userId) {
+    const [rows] = await db.query(
+        'SELECT token, platform, app_version, registered_at, last_seen_at, updated_at FROM fcm_tokens WHERE user_id = ? ORDER BY COALESCE(last_seen_at, updated_at) DESC',
+        [userId]
+    );
+    return rows.map(formatDevice);
+}
+
+/**
+ * Removes devices not seen for STALE_AFTER_DAYS (a scheduled job, see server.js). Returns the number removed.
+ */
+async function expireStaleDevices() {
+    const [result] = await db.query(
+        'DELETE FROM fcm_tokens WHERE COALESCE(last_seen_at, updated_at) < DATE_SUB(NOW(), INTERVAL ? DAY)',
+        [STALE_AFTER_DAYS]
+    );
+    if (result.affectedRows > 0) {
+        console.log(`Removed ${result.affectedRows} device(s) not seen for ${STALE_AFTER_DAYS} days.`);
+    }
+    return result.affectedRows;
+}
+
+module.exports = {
+    PLATFORMS,
+    registerDevice,
+    heartbeat,
+    unregisterDevice,
+    listDevices,
+    expireStaleDevices,
+};
@@ -0,0 +1,93 @@
+const { can } = require('./permissions');
+
+// Server-Sent Events hub behind GET /api/events (see events.js).
+// Routers publish a change once it is committed; every open stream whose user may see the changed
+// record (the same `can()` rules as the REST endpoints) receives it. Events carry ids and states,
+// not full records, so clients refetch what they display through the REST endpoints.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+
+const streams = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+const write = (stream, chunk) => {
+    try {
+        stream.res.write(chunk);
+    } catch (error) {
+        closeStream(stream);
+    }
+};
+
+function closeStream(stream) {
+    if (!streams.delete(stream)) return;
+    clearTimeout(stream.expiryTimer);
+    if (!stream.res.writableEnded) stream.res.end();
+    if (streams.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+const streamCount = (userId) => [...streams].filter(stream => String(stream.user.id) === String(userId)).length;
+
+/**
+ * Turns a response into an event stream of the user. The stream is closed when the access token it
+ * was opened with expires; clients reconnect with a fresh token.
+ * @param {object} user req.user
+ * @param {object} res The Express response.
+ * @param {number} expiresAt Token expiry, in ms since the epoch.
+ * @returns {boolean} false when the user already has MAX_STREAMS_PER_USER streams open.
+ */
+function openStream(user, res, expiresAt) {
+    if (streamCount(user.id) >= MAX_STREAMS_PER_USER) return false;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disables response buffering in nginx
+        'X-Accel-Buffering': 'no',
+    });
+    const stream = { user, res, expiryTimer: null };
+    streams.add(stream);
+    stream.expiryTimer = setTimeout(() => closeStream(stream), Math.max(expiresAt - Date.now(), 0));
+    res.on('close', () => closeStream(stream));
+
+    write(stream, `retry: 5000\nevent: ready\ndata: ${JSON.stringify({ userId: String(user.id) })}\n\n`);
+    if (!heartbeatTimer) {
+        // Comment lines keep proxies from closing idle connections
+        heartbeatTimer = setInterval(() => streams.forEach(s => write(s, ': ping\n\n')), HEARTBEAT_INTERVAL_MS);
+        heartbeatTimer.unref();
+    }
+    return true;
+}
+
+/**
+ * Sends an event to the open streams allowed to see it.
+ * @param {string} type Event name, e.g. 'report.updated'.
+ * @param {object} data JSON payload.
+ * @param {object} audience Either `userIds` (explicit recipients) or `resource`, `action` and
+ *   `record` for a `can()` check per connected user.
+ * @param {Array<number|string>} [audience.userIds]
+ * @param {string} [audience.resource]
+ * @param {string} [audience.action='view']
+ * @param {object} [audience.record]
+ */
+function publish(type, data, { userIds, resource, action = 'view', record } = {}) {
+    if (streams.size === 0) return;
+    const recipients = userIds ? new Set(userIds.map(String)) : null;
+    const chunk = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const stream of streams) {
+        const allowed = recipients
+            ? recipients.has(String(stream.user.id))
+            : can(stream.user, resource, action, record);
+        if (allowed) write(stream, chunk);
+    }
+}
+
+module.exports = {
+    openStream,
+    publish,
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, verifyAccessToken } = require('./authMiddleware');
+const { openStream } = require('./eventStream');
+
+// EventSource can't send headers, so the stream also accepts the access token as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// GET /api/events - Server-Sent Events of the authenticated user (see eventStream.js)
+// Events: report.created, report.updated, report.deleted, report.restored, report.note, package.status, workflow.stage, notification.created
+router.get('/events', tokenFromQuery, authenticate, (req, res) => {
+    const token = req.headers.authorization.replace(/^Bearer\s+/i, '');
+    const { exp } = verifyAccessToken(token);
+    if (!openStream(req.user, res, exp * 1000)) {
+        return res.status(429).json({ message: 'Too many open event streams for this user.' });
+    }
+});
+
+module.exports = router;
@@ -1,17 +1,89 @@
 const express = require('express');
 const router = express.Router();
-const { saveTokenToDatabase } = require('./pushService');
+const deviceRegistry = require('./deviceRegistry');
+const { authorize } = require('./permissions');
 
-// POST /api/fcm-token
-router.post('/', async (req, res) => {
-    const { userId, token } = req.body;
+// Device registry API for FCM push (see deviceRegistry.js)
 
-    if (!userId || !token) {
-        return res.status(400).json({ message: 'User ID and FCM token are required.' });
+const validateRegistration = ({ token, platform }) => {
+    if (!token) return 'FCM token is required.';
+    if (platform && !deviceRegistry.PLATFORMS.includes(platform)) {
+        return `platform must be one of: ${deviceRegistry.PLATFORMS.join(', ')}.`;
+    }
+    return null;
+};
+
+// POST /api/devices - Body: { token, platform?, appVersion? }
+// Registers the device for the current user; a token registered by another user moves to this one.
+router.post('/devices', authorize('push', 'registerDevice'), async (req, res) => {
+    const { token, platform, appVersion } = req.body || {};
+    const validationError = validateRegistration(req.body || {});
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    try {
+        const { reassignedFrom } = await deviceRegistry.registerDevice(req.user.id, { token, platform, appVersion });
+        res.status(200).json({ message: 'Device registered successfully.', reassigned: reassignedFrom.length > 0 });
+    } catch (error) {
+        console.error('Error registering device:', error);
+        res.status(500).json({ message: 'Failed to register device.' });
+    }
+});
+
+// POST /api/devices/heartbeat - Body: { token, appVersion? }
+// 404 means the token is no longer registered for this user and the app should register again.
+router.post('/devices/heartbeat', authorize('push', 'registerDevice'), async (req, res) => {
+    const { token, appVersion } = req.body || {};
+    if (!token) {
+        return res.status(400).json({ message: 'FCM token is required.' });
+    }
+    try {
+        if (!await deviceRegistry.heartbeat(req.user.id, token, appVersion)) {
+            return res.status(404).json({ message: 'Device is not registered.' });
+        }
+        res.status(200).json({ message: 'Device heartbeat recorded.' });
+    } catch (error) {
+        console.error('Error recording device heartbeat:', error);
+        res.status(500).json({ message: 'Failed to record device heartbeat.' });
+    }
+});
+
+// POST /api/devices/unregister - Body: { token }
+router.post('/devices/unregister', authorize('push', 'registerDevice'), async (req, res) => {
+    const { token } = req.body || {};
+    if (!token) {
+        return res.status(400).json({ message: 'FCM token is required.' });
+    }
+    try {
+        await deviceRegistry.unregisterDevice(req.user.id, token);
+        res.status(200).json({ message: 'Device unregistered.' });
+    } catch (error) {
+        console.error('Error unregistering device:', error);
+        res.status(500).json({ message: 'Failed to unregister device.' });
+    }
+});
+
+// GET /api/devices - The current user's registered devices
+router.get('/devices', authorize('push', 'registerDevice'), async (req, res) => {
+    try {
+        res.json(await deviceRegistry.listDevices(req.user.id));
+    } catch (error) {
+        console.error('Error fetching devices:', error);
+        res.status(500).json({ message: 'Failed to fetch devices.' });
+    }
+});
+
+// POST /api/ - Deprecated token registration of older app builds (use POST /api/devices)
+router.post('/', authorize('push', 'registerDevice'), async (req, res) => {
+    const { token } = req.body;
+    const userId = req.user.id;
+
+    if (!token) {
+        return res.status(400).json({ message: 'FCM token is required.' });
     }
 
     try {
-        await saveTokenToDatabase(userId, token);
+        await deviceRegistry.registerDevice(userId, { token });
         res.status(200).json({ message: 'Token registered successfully.' });
     } catch (error) {
         console.error('Error registering FCM token:', error);
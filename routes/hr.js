@@ -0,0 +1,327 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const db = require('../db.js');
+const { authorize } = require('./permissions');
+const { recordReportChange } = require('./reportAudit');
+const { generateTemporaryPassword } = require('./passwordPolicy');
+const saltRounds = 10;
+
+// Employee lifecycle for HR managers: onboarding, deactivation of departing employees (their account is
+// kept, so their records keep their author), handing their open work to a colleague, and the staff roster.
+// HR managers get these endpoints only; they don't gain admin rights over reports or purchases.
+
+// Roles HR may onboard; admins and HR managers are created by admins through POST /api/users
+const ONBOARDING_ROLES = ['employee', 'team_lead', 'branch_manager'];
+
+const formatEmployee = (user) => ({
+    id: user.id.toString(),
+    employeeId: user.username,
+    name: user.full_name || 'N/A',
+    email: user.email || 'N/A',
+    phone: user.phone || 'N/A',
+    role: user.role || 'employee',
+    branch: user.branch_name || 'N/A',
+    department: user.department || 'N/A',
+    position: user.position || 'N/A',
+    employeeType: user.employee_type || 'Technician',
+    status: user.status || 'active',
+    isActive: (user.status || 'active') === 'active',
+    isFirstLogin: !!user.is_first_login,
+    joinDate: user.created_at ? new Date(user.created_at).toISOString() : null,
+});
+
+const loadEmployee = async (conn, id) => {
+    const [rows] = await conn.query(
+        'SELECT u.*, b.name AS branch_name FROM users u LEFT JOIN branches b ON u.branch_id = b.id WHERE u.id = ? AND u.deleted_at IS NULL',
+        [id]
+    );
+    return rows[0] || null;
+};
+
+// Branch id for a branch name; undefined when the branch doesn't exist
+const findBranchId = async (name) => {
+    const [rows] = await db.query('SELECT id FROM branches WHERE name = ? AND deleted_at IS NULL', [name]);
+    return rows.length > 0 ? rows[0].id : undefined;
+};
+
+/**
+ * Hands a user's open work to another user:
+ * - project reports that haven't reached the last workflow status (other report types are finished records),
+ * - package requests that aren't delivered,
+ * - open custody sheets.
+ * Must run inside the caller's transaction.
+ * @returns {Promise<{reports: number, packages: number, expenseSheets: number}>}
+ */
+async function reassignOpenWork(conn, fromUserId, toUserId, actor) {
+    const [reports] = await conn.query(
+        `SELECT id FROM reports
+         WHERE user_id = ? AND deleted_at IS NULL AND report_type = 'Project'
+           AND (project_workflow_status IS NULL OR project_workflow_status <> 'FinishingWorks')`,
+        [fromUserId]
+    );
+    for (const { id } of reports) {
+        await conn.query('UPDATE reports SET user_id = ? WHERE id = ?', [toUserId, id]);
+        await recordReportChange(conn, id, { ...actor, action: 'reassigned' }, { userId: String(fromUserId) }, { userId: String(toUserId) });
+    }
+
+    const [packages] = await conn.query("SELECT id FROM package_requests WHERE user_id = ? AND COALESCE(status, '') <> 'DELIVERED'", [fromUserId]);
+    for (const { id } of packages) {
+        await conn.query('UPDATE package_requests SET user_id = ?, last_modified = NOW() WHERE id = ?', [toUserId, id]);
+        await conn.query('INSERT INTO package_logs SET ?', {
+            package_id: id,
+            action: 'reassigned',
+            comment: `${fromUserId} -> ${toUserId}`,
+            actor_id: actor.actorId,
+            date: new Date(),
+        });
+    }
+
+    const [sheets] = await conn.query(
+        "UPDATE instant_expense_sheets SET user_id = ?, last_modified = NOW() WHERE user_id = ? AND status = 'OPEN'",
+        [toUserId, fromUserId]
+    );
+    return { reports: reports.length, packages: packages.length, expenseSheets: sheets.affectedRows };
+}
+
+// Validates a reassignment target; returns an error message or null
+const checkReassignTarget = async (conn, fromUserId, toUserId) => {
+    if (!/^\d+$/.test(String(toUserId || ''))) return 'reassignTo must be a user id.';
+    if (String(toUserId) === String(fromUserId)) return 'Work cannot be reassigned to the same employee.';
+    const target = await loadEmployee(conn, toUserId);
+    if (!target || formatEmployee(target).isActive === false) return 'The employee to reassign work to was not found or is inactive.';
+    return null;
+};
+
+const actorOf = (req) => ({
+    actorId: req.user.id,
+    actorName: req.user.name,
+    endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+});
+
+// POST /api/hr/employees - Onboard an employee with a one-time temporary password
+// Body: { employeeId, name, email?, phone?, role?, branch?, department?, position?, employeeType? }
+// The temporary password is returned once; the employee sets their own on first login (PUT /api/users/profile).
+router.post('/hr/employees', authorize('employee', 'onboard'), async (req, res) => {
+    const { employeeId, name, email, phone, role = 'employee', branch, department, position, employeeType } = req.body || {};
+    if (!employeeId || !String(employeeId).trim() || !name || !String(name).trim()) {
+        return res.status(400).json({ message: 'employeeId and name are required.' });
+    }
+    if (!ONBOARDING_ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${ONBOARDING_ROLES.join(', ')}.` });
+    }
+    try {
+        let branchId = null;
+        if (branch) {
+            branchId = await findBranchId(branch);
+            if (branchId === undefined) {
+                return res.status(400).json({ message: `Branch '${branch}' not found.` });
+            }
+        }
+        const [existing] = await db.query('SELECT id FROM users WHERE username = ?', [String(employeeId).trim()]);
+        if (existing.length > 0) {
+            return res.status(409).json({ message: `Employee ID '${employeeId}' is already taken.` });
+        }
+
+        const temporaryPassword = generateTemporaryPassword({ username: String(employeeId).trim() });
+        const [result] = await db.query('INSERT INTO users SET ?', {
+            username: String(employeeId).trim(),
+            password: await bcrypt.hash(temporaryPassword, saltRounds),
+            full_name: String(name).trim(),
+            email: email || null,
+            phone: phone || null,
+            role,
+            branch_id: branchId,
+            department: department || null,
+            position: position || null,
+            employee_type: employeeType || null,
+            has_import_export_permission: 0,
+            has_package_management_permission: 0,
+            has_purchase_management_permission: 0,
+            is_first_login: 1,
+            is_active: 1,
+        });
+        const employee = formatEmployee(await loadEmployee(db, result.insertId));
+        res.set('Cache-Control', 'no-store');
+        res.status(201).json({ ...employee, temporaryPassword });
+    } catch (error) {
+        console.error('Error in POST /api/hr/employees:', error);
+        res.status(500).json({ message: 'Failed to onboard the employee.' });
+    }
+});
+
+// PUT /api/hr/employees/:id - Update job details. Body: { department?, position?, employeeType?, branch? }
+router.put('/hr/employees/:id(\\d+)', authorize('employee', 'update'), async (req, res) => {
+    const { id } = req.params;
+    const { department, position, employeeType, branch } = req.body || {};
+    try {
+        const updates = {};
+        if (department !== undefined) updates.department = department || null;
+        if (position !== undefined) updates.position = position || null;
+        if (employeeType !== undefined) updates.employee_type = employeeType || null;
+        if (branch !== undefined) {
+            if (!branch) {
+                updates.branch_id = null;
+            } else {
+                updates.branch_id = await findBranchId(branch);
+                if (updates.branch_id === undefined) {
+                    return res.status(400).json({ message: `Branch '${branch}' not found.` });
+                }
+            }
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: 'No fields provided to update.' });
+        }
+        const [result] = await db.query('UPDATE users SET ? WHERE id = ? AND deleted_at IS NULL', [updates, id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Employee not found.' });
+        }
+        res.json(formatEmployee(await loadEmployee(db, id)));
+    } catch (error) {
+        console.error(`Error in PUT /api/hr/employees/${id}:`, error);
+        res.status(500).json({ message: 'Failed to update the employee.' });
+    }
+});
+
+// POST /api/hr/employees/:id/deactivate - Body: { reassignTo? } hands the employee's open work to a colleague
+// POST /api/hr/employees/:id/reactivate
+// Deactivated employees can't sign in and their sessions end; their account and records are kept.
+router.post('/hr/employees/:id(\\d+)/:action(deactivate|reactivate)', authorize('employee', 'deactivate'), async (req, res) => {
+    const { id, action } = req.params;
+    const { reassignTo } = req.body || {};
+    if (action === 'deactivate' && String(id) === String(req.user.id)) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account.' });
+    }
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const employee = await loadEmployee(connection, id);
+        if (!employee) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Employee not found.' });
+        }
+        if (employee.role === 'admin' && req.user.role !== 'admin') {
+            await connection.rollback();
+            return res.status(403).json({ message: 'Only admins can deactivate or reactivate admin accounts.' });
+        }
+        // A suspension is an admin's call (see PUT /api/users/:id/status)
+        if (employee.status === 'suspended' && req.user.role !== 'admin') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'The account is suspended. Only an admin can lift the suspension.' });
+        }
+        let reassigned = null;
+        if (action === 'deactivate' && reassignTo !== undefined && reassignTo !== null && reassignTo !== '') {
+            const targetError = await checkReassignTarget(connection, id, reassignTo);
+            if (targetError) {
+                await connection.rollback();
+                return res.status(400).json({ message: targetError });
+            }
+            reassigned = await reassignOpenWork(connection, id, reassignTo, actorOf(req));
+        }
+        if (action === 'deactivate') {
+            // Bumping token_version revokes the refresh tokens; access tokens fail on the next request
+            await connection.query(
+                "UPDATE users SET status = 'deactivated', status_changed_at = NOW(), is_active = 0, token_version = token_version + 1 WHERE id = ?",
+                [id]
+            );
+        } else {
+            await connection.query("UPDATE users SET status = 'active', status_changed_at = NOW(), is_active = 1 WHERE id = ?", [id]);
+        }
+        await connection.commit();
+        res.json({ ...formatEmployee(await loadEmployee(db, id)), ...(reassigned ? { reassigned } : {}) });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in POST /api/hr/employees/${id}/${action}:`, error);
+        res.status(500).json({ message: `Failed to ${action} the employee.` });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /api/hr/employees/:id/reassign - Body: { reassignTo } hands the employee's open work to a colleague
+router.post('/hr/employees/:id(\\d+)/reassign', authorize('employee', 'reassign'), async (req, res) => {
+    const { id } = req.params;
+    const { reassignTo } = req.body || {};
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        if (!(await loadEmployee(connection, id))) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Employee not found.' });
+        }
+        const targetError = await checkReassignTarget(connection, id, reassignTo);
+        if (targetError) {
+            await connection.rollback();
+            return res.status(400).json({ message: targetError });
+        }
+        const reassigned = await reassignOpenWork(connection, id, reassignTo, actorOf(req));
+        await connection.commit();
+        res.json({ reassigned });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in POST /api/hr/employees/${id}/reassign:`, error);
+        res.status(500).json({ message: 'Failed to reassign the work.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Roster columns: [header, employee field]
+const ROSTER_COLUMNS = [
+    ['Employee ID', 'employeeId'],
+    ['Name', 'name'],
+    ['Email', 'email'],
+    ['Phone', 'phone'],
+    ['Role', 'role'],
+    ['Branch', 'branch'],
+    ['Department', 'department'],
+    ['Position', 'position'],
+    ['Employee Type', 'employeeType'],
+    ['Status', 'status'],
+    ['Join Date', 'joinDate'],
+];
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /api/hr/roster - Query: format=csv|json (default json), includeInactive=1, branch
+router.get('/hr/roster', authorize('employee', 'export'), async (req, res) => {
+    const { format = 'json', includeInactive, branch } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ message: 'format must be csv or json.' });
+    }
+    try {
+        const conditions = ['u.deleted_at IS NULL'];
+        const params = [];
+        if (includeInactive !== '1') conditions.push("u.status = 'active'");
+        if (branch) { conditions.push('b.name = ?'); params.push(branch); }
+        const [rows] = await db.query(
+            `SELECT u.*, b.name AS branch_name FROM users u LEFT JOIN branches b ON u.branch_id = b.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY b.name, u.full_name`,
+            params
+        );
+        const employees = rows.map(formatEmployee);
+        res.set('Cache-Control', 'no-store');
+        if (format === 'json') {
+            return res.json(employees);
+        }
+        const lines = [
+            ROSTER_COLUMNS.map(([header]) => header).join(','),
+            ...employees.map(employee => ROSTER_COLUMNS.map(([, field]) => csvCell(employee[field])).join(',')),
+        ];
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="staff-roster-${new Date().toISOString().slice(0, 10)}.csv"`);
+        // The BOM makes Excel read the Arabic names as UTF-8
+        res.send(`\uFEFF${lines.join('\r\n')}\r\n`);
+    } catch (error) {
+        console.error('Error in GET /api/hr/roster:', error);
+        res.status(500).json({ message: 'Failed to export the staff roster.' });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('./authMiddleware');
 
 const authRoutes = require('./auth.js');
+const eventRoutes = require('./events');
 const reportRoutes = require('./reports');
 const userRoutes = require('./users');
 const branchRoutes = require('./branches');
@@ -11,11 +13,22 @@ const notificationRoutes = require('./notifications');
 const fcmRoutes = require('./fcm');
 const packageRoutes = require('./packages');
 const webpushRoutes = require('./webpush');
+const pushDiagnosticsRoutes = require('./pushDiagnostics');
 const purchaseRoutes = require('./purchases');
 const instantExpenseRoutes = require('./instantExpenses');
 const quotationRoutes = require('./quotations');
+const stageTemplateRoutes = require('./stageTemplates');
+const reminderRoutes = require('./reminders');
+const trashRoutes = require('./trash');
+const hrRoutes = require('./hr');
 
 router.use(authRoutes);
+// Authenticates itself: EventSource clients pass the access token in the query string
+router.use(eventRoutes);
+
+// Everything below requires a valid access token; req.user is the authenticated identity
+router.use(authenticate);
+
 router.use(reportRoutes);
 router.use(userRoutes);
 router.use(branchRoutes);
@@ -24,9 +37,14 @@ router.use(teamRoutes);
 router.use(notificationRoutes);
 router.use(fcmRoutes);
 router.use(webpushRoutes);
+router.use(pushDiagnosticsRoutes);
 router.use(packageRoutes);
 router.use(purchaseRoutes);
 router.use(instantExpenseRoutes);
 router.use(quotationRoutes);
+router.use(stageTemplateRoutes);
+router.use(reminderRoutes);
+router.use(trashRoutes);
+router.use(hrRoutes);
 
 module.exports = router;
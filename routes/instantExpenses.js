@@ -1,47 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
-
-// Security Middleware to check for Purchase Management permission (reused for accounting features)
-const checkPurchaseManagementPermission = async (req, res, next) => {
-  try {
-    const requesterIdOrUsername = req.headers['x-user-id'] || req.body.employeeId;
-    const roleHeader = (req.headers['x-user-role'] || '').toLowerCase();
-    // Allow Admin by role header even if user id is not provided (to avoid blocking browsing lists)
-    if (!requesterIdOrUsername && roleHeader === 'admin') {
-      return next();
-    }
-    if (!requesterIdOrUsername) {
-      return res.status(401).json({ message: 'Unauthorized: User ID is missing.' });
-    }
-    const idStr = String(requesterIdOrUsername);
-    const isNumericId = /^[0-9]+$/.test(idStr);
-    const whereField = isNumericId ? 'id' : 'username';
-    let userRows;
-    try {
-      [userRows] = await db.query(`SELECT role, has_purchase_management_permission FROM users WHERE ${whereField} = ?`, [requesterIdOrUsername]);
-    } catch (err) {
-      // Fallback if column has_purchase_management_permission does not exist yet
-      if (err && err.code === 'ER_BAD_FIELD_ERROR') {
-        console.warn('users.has_purchase_management_permission column missing; falling back to role-only check.');
-        [userRows] = await db.query(`SELECT role FROM users WHERE ${whereField} = ?`, [requesterIdOrUsername]);
-      } else {
-        throw err;
-      }
-    }
-    if (userRows.length === 0) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
-    const user = userRows[0];
-    if (String(user.role).toLowerCase() === 'admin' || !!user.has_purchase_management_permission) {
-      return next();
-    }
-    return res.status(403).json({ message: 'Forbidden: Purchase management permission required.' });
-  } catch (error) {
-    console.error('Error in checkPurchaseManagementPermission (instantExpenses):', error);
-    return res.status(500).json({ message: 'Internal error while checking permissions.' });
-  }
-};
+const { can, authorize, forbid, listScope } = require('./permissions');
 
 // Map DB row to frontend Custody Sheet
 const mapSheetRow = (row) => ({
@@ -57,6 +17,16 @@ const mapSheetRow = (row) => ({
   lineCount: row.line_count !== undefined && row.line_count !== null ? Number(row.line_count) : undefined,
 });
 
+// Resolves a sheet by id or numeric custody number; branch_id is the custodian's branch (for record-level checks)
+const findSheet = async (idOrNumber) => {
+  const query = 'SELECT s.*, u.branch_id FROM instant_expense_sheets s LEFT JOIN users u ON s.user_id = u.id';
+  const [byId] = await db.query(`${query} WHERE s.id = ?`, [idOrNumber]);
+  if (byId.length > 0) return byId[0];
+  if (!/^\d+$/.test(String(idOrNumber))) return null;
+  const [byNumber] = await db.query(`${query} WHERE s.custody_number = ?`, [String(idOrNumber)]);
+  return byNumber[0] || null;
+};
+
 // Map DB row to frontend Line Item
 const mapLineRow = (row) => ({
   id: row.id,
@@ -72,47 +42,21 @@ const mapLineRow = (row) => ({
   createdAt: row.created_at ? new Date(row.created_at).toISOString() : new Date().toISOString(),
 });
 
-// GET /api/instant-expenses/sheets - list custody sheets (ordered by last_modified DESC)
-router.get('/instant-expenses/sheets', checkPurchaseManagementPermission, async (req, res) => {
+// GET /api/instant-expenses/sheets - list custody sheets the user may see (see LIST_SCOPES), by last_modified DESC
+router.get('/instant-expenses/sheets', authorize('instantExpense', 'manage'), async (req, res) => {
   try {
-    const requesterIdOrUsername = req.headers['x-user-id'];
-    const requesterRole = (req.headers['x-user-role'] || '').toLowerCase();
-
-    let base = `
-      SELECT s.*,
-             COALESCE(SUM(l.amount + COALESCE(l.bank_fees, 0)), 0) AS total_spent,
-             COUNT(l.id) AS line_count
-      FROM instant_expense_sheets s
-      LEFT JOIN instant_expense_lines l ON l.sheet_id = s.id
-    `;
-    let where = '';
-    let params = [];
-
-    // If requester is an employee, restrict to their own sheets.
-    if (requesterRole === 'employee' && requesterIdOrUsername) {
-      let userIdForFilter = null;
-      const idStr = String(requesterIdOrUsername);
-      const isNumericId = /^[0-9]+$/.test(idStr);
-      if (isNumericId) {
-        userIdForFilter = Number(idStr);
-      } else {
-        // Resolve username to numeric user id to match s.user_id type
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ? OR id = ?', [requesterIdOrUsername, requesterIdOrUsername]);
-        if (userRows.length > 0) {
-          userIdForFilter = userRows[0].id;
-        } else {
-          // No user found -> return empty list gracefully
-          return res.json([]);
-        }
-      }
-      where = 'WHERE s.user_id = ?';
-      params = [userIdForFilter];
-    }
-
-    const tail = ` GROUP BY s.id ORDER BY s.last_modified DESC`;
-    const query = `${base} ${where} ${tail}`;
-
-    const [rows] = await db.query(query, params);
+    const scope = listScope(req.user, 'instantExpense');
+    const [rows] = await db.query(
+      `SELECT s.*,
+              COALESCE(SUM(l.amount + COALESCE(l.bank_fees, 0)), 0) AS total_spent,
+              COUNT(l.id) AS line_count
+       FROM instant_expense_sheets s
+       LEFT JOIN users u ON s.user_id = u.id
+       LEFT JOIN instant_expense_lines l ON l.sheet_id = s.id
+       WHERE ${scope.sql}
+       GROUP BY s.id ORDER BY s.last_modified DESC`,
+      scope.params
+    );
     res.json(rows.map(mapSheetRow));
   } catch (error) {
     console.error('Error in GET /api/instant-expenses/sheets:', error);
@@ -121,17 +65,20 @@ router.get('/instant-expenses/sheets', checkPurchaseManagementPermission, async
 });
 
 // GET /api/instant-expenses/sheets/by-number/:number - fetch a sheet by numeric custody number
-router.get('/instant-expenses/sheets/by-number/:number', checkPurchaseManagementPermission, async (req, res) => {
+router.get('/instant-expenses/sheets/by-number/:number', authorize('instantExpense', 'manage'), async (req, res) => {
   const { number } = req.params;
   try {
     if (!/^\d+$/.test(String(number))) {
       return res.status(400).json({ message: 'رقم العهدة يجب أن يكون أرقام فقط.' });
     }
-    // Try by numeric custody_number first
-    const [byNum] = await db.query('SELECT * FROM instant_expense_sheets WHERE custody_number = ?', [String(number)]);
+    const [byNum] = await db.query(
+      'SELECT s.*, u.branch_id FROM instant_expense_sheets s LEFT JOIN users u ON s.user_id = u.id WHERE s.custody_number = ?',
+      [String(number)]
+    );
     if (!byNum || byNum.length === 0) {
       return res.status(404).json({ message: 'Sheet not found.' });
     }
+    if (!can(req.user, 'instantExpense', 'view', byNum[0])) return forbid(res);
     const sheet = mapSheetRow(byNum[0]);
     const [lineRows] = await db.query('SELECT * FROM instant_expense_lines WHERE sheet_id = ? ORDER BY date DESC, created_at DESC', [sheet.id]);
     const lines = lineRows.map(mapLineRow);
@@ -143,8 +90,8 @@ router.get('/instant-expenses/sheets/by-number/:number', checkPurchaseManagement
 });
 
 // POST /api/instant-expenses/sheets - create a new custody sheet
-router.post('/instant-expenses/sheets', checkPurchaseManagementPermission, async (req, res) => {
-  const { employeeId, custodyNumber, custodyAmount, notes } = req.body;
+router.post('/instant-expenses/sheets', authorize('instantExpense', 'manage'), async (req, res) => {
+  const { custodyNumber, custodyAmount, notes } = req.body;
   try {
     if (custodyNumber !== null && custodyNumber !== undefined) {
       const numStr = String(custodyNumber).trim();
@@ -160,13 +107,7 @@ router.post('/instant-expenses/sheets', checkPurchaseManagementPermission, async
         return res.status(409).json(mapSheetRow(fetched[0]));
       }
     }
-    let userId = null;
-    try {
-      const [userRows] = await db.query('SELECT id FROM users WHERE username = ? OR id = ?', [employeeId, employeeId]);
-      if (userRows.length > 0) {
-        userId = userRows[0].id;
-      }
-    } catch {}
+    const userId = req.user.id;
 
     const id = `CUST-${Date.now().toString().slice(-6)}`;
     const payload = {
@@ -201,23 +142,13 @@ router.post('/instant-expenses/sheets', checkPurchaseManagementPermission, async
 });
 
 // GET /api/instant-expenses/sheets/:id - sheet details with lines
-router.get('/instant-expenses/sheets/:id', checkPurchaseManagementPermission, async (req, res) => {
+router.get('/instant-expenses/sheets/:id', authorize('instantExpense', 'manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    let sheetRows = [];
-    try {
-      const [byId] = await db.query('SELECT * FROM instant_expense_sheets WHERE id = ?', [id]);
-      sheetRows = byId || [];
-    } catch {}
-    if (!sheetRows || sheetRows.length === 0) {
-      const idStr = String(id);
-      if (/^\d+$/.test(idStr)) {
-        const [byCustody] = await db.query('SELECT * FROM instant_expense_sheets WHERE custody_number = ?', [idStr]);
-        sheetRows = byCustody || [];
-      }
-    }
-    if (!sheetRows || sheetRows.length === 0) return res.status(404).json({ message: 'Sheet not found.' });
-    const sheet = mapSheetRow(sheetRows[0]);
+    const sheetRow = await findSheet(id);
+    if (!sheetRow) return res.status(404).json({ message: 'Sheet not found.' });
+    if (!can(req.user, 'instantExpense', 'view', sheetRow)) return forbid(res);
+    const sheet = mapSheetRow(sheetRow);
     const realId = sheet.id;
 
     const [lineRows] = await db.query('SELECT * FROM instant_expense_lines WHERE sheet_id = ? ORDER BY date DESC, created_at DESC', [realId]);
@@ -230,25 +161,14 @@ router.get('/instant-expenses/sheets/:id', checkPurchaseManagementPermission, as
 });
 
 // POST /api/instant-expenses/sheets/:id/lines - add a line
-router.post('/instant-expenses/sheets/:id/lines', checkPurchaseManagementPermission, async (req, res) => {
+router.post('/instant-expenses/sheets/:id/lines', authorize('instantExpense', 'manage'), async (req, res) => {
   const { id } = req.params; // sheet id or custody number
   const { date, company, invoiceNumber, description, reason, amount, bankFees, buyerName, notes } = req.body;
   try {
-    let sheetId = null;
-    let sheetRows = [];
-    try {
-      const [byId] = await db.query('SELECT id, custody_amount FROM instant_expense_sheets WHERE id = ?', [id]);
-      sheetRows = byId || [];
-    } catch {}
-    if (!sheetRows || sheetRows.length === 0) {
-      const idStr = String(id);
-      if (/^\d+$/.test(idStr)) {
-        const [byCustody] = await db.query('SELECT id, custody_amount FROM instant_expense_sheets WHERE custody_number = ?', [idStr]);
-        sheetRows = byCustody || [];
-      }
-    }
-    if (!sheetRows || sheetRows.length === 0) return res.status(404).json({ message: 'Sheet not found.' });
-    sheetId = sheetRows[0].id;
+    const sheet = await findSheet(id);
+    if (!sheet) return res.status(404).json({ message: 'Sheet not found.' });
+    if (!can(req.user, 'instantExpense', 'update', sheet)) return forbid(res);
+    const sheetId = sheet.id;
 
     const lineId = `LINE-${Date.now().toString().slice(-9)}`;
     const payload = {
@@ -288,15 +208,13 @@ router.post('/instant-expenses/sheets/:id/lines', checkPurchaseManagementPermiss
 });
 
 // DELETE /api/instant-expenses/sheets/:id/lines/:lineId - remove a line
-router.delete('/instant-expenses/sheets/:id/lines/:lineId', checkPurchaseManagementPermission, async (req, res) => {
+router.delete('/instant-expenses/sheets/:id/lines/:lineId', authorize('instantExpense', 'manage'), async (req, res) => {
   const { id, lineId } = req.params; // sheet id or custody number
   try {
-    let sheetId = id;
-    // Resolve sheet id if a custody number was provided
-    if (/^\d+$/.test(String(id))) {
-      const [byCustody] = await db.query('SELECT id FROM instant_expense_sheets WHERE custody_number = ?', [String(id)]);
-      if (byCustody && byCustody.length > 0) sheetId = byCustody[0].id;
-    }
+    const sheet = await findSheet(id);
+    if (!sheet) return res.status(404).json({ message: 'Line not found.' });
+    if (!can(req.user, 'instantExpense', 'update', sheet)) return forbid(res);
+    const sheetId = sheet.id;
     const [exists] = await db.query('SELECT id FROM instant_expense_lines WHERE id = ? AND sheet_id = ?', [lineId, sheetId]);
     if (exists.length === 0) return res.status(404).json({ message: 'Line not found.' });
     await db.query('DELETE FROM instant_expense_lines WHERE id = ? AND sheet_id = ?', [lineId, sheetId]);
@@ -312,11 +230,14 @@ router.delete('/instant-expenses/sheets/:id/lines/:lineId', checkPurchaseManagem
 });
 
 // PUT /api/instant-expenses/sheets/:id/lines/:lineId - update a line
-router.put('/instant-expenses/sheets/:id/lines/:lineId', checkPurchaseManagementPermission, async (req, res) => {
+router.put('/instant-expenses/sheets/:id/lines/:lineId', authorize('instantExpense', 'manage'), async (req, res) => {
   const { id, lineId } = req.params;
   const { date, company, invoiceNumber, description, reason, amount, bankFees, buyerName, notes } = req.body;
   try {
-    const [exists] = await db.query('SELECT id FROM instant_expense_lines WHERE id = ? AND sheet_id = ?', [lineId, id]);
+    const sheet = await findSheet(id);
+    if (!sheet) return res.status(404).json({ message: 'Line not found.' });
+    if (!can(req.user, 'instantExpense', 'update', sheet)) return forbid(res);
+    const [exists] = await db.query('SELECT id FROM instant_expense_lines WHERE id = ? AND sheet_id = ?', [lineId, sheet.id]);
     if (exists.length === 0) return res.status(404).json({ message: 'Line not found.' });
 
     if (reason === undefined || reason === null) {
@@ -337,8 +258,8 @@ router.put('/instant-expenses/sheets/:id/lines/:lineId', checkPurchaseManagement
     if (buyerName !== undefined) payload.buyer_name = buyerName || null;
     if (notes !== undefined) payload.notes = notes || null;
 
-    await db.query('UPDATE instant_expense_lines SET ? WHERE id = ? AND sheet_id = ?', [payload, lineId, id]);
-    await db.query('UPDATE instant_expense_sheets SET last_modified = NOW() WHERE id = ?', [id]);
+    await db.query('UPDATE instant_expense_lines SET ? WHERE id = ? AND sheet_id = ?', [payload, lineId, sheet.id]);
+    await db.query('UPDATE instant_expense_sheets SET last_modified = NOW() WHERE id = ?', [sheet.id]);
 
     const [rows] = await db.query('SELECT * FROM instant_expense_lines WHERE id = ?', [lineId]);
     res.json(mapLineRow(rows[0]));
@@ -349,12 +270,14 @@ router.put('/instant-expenses/sheets/:id/lines/:lineId', checkPurchaseManagement
 });
 
 // POST /api/instant-expenses/sheets/:id/close - close the sheet (optional)
-router.post('/instant-expenses/sheets/:id/close', checkPurchaseManagementPermission, async (req, res) => {
+router.post('/instant-expenses/sheets/:id/close', authorize('instantExpense', 'manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    await db.query('UPDATE instant_expense_sheets SET status = ?, last_modified = NOW() WHERE id = ?', ['CLOSED', id]);
-    const [rows] = await db.query('SELECT * FROM instant_expense_sheets WHERE id = ?', [id]);
-    if (rows.length === 0) return res.status(404).json({ message: 'Sheet not found after closing.' });
+    const sheet = await findSheet(id);
+    if (!sheet) return res.status(404).json({ message: 'Sheet not found.' });
+    if (!can(req.user, 'instantExpense', 'update', sheet)) return forbid(res);
+    await db.query('UPDATE instant_expense_sheets SET status = ?, last_modified = NOW() WHERE id = ?', ['CLOSED', sheet.id]);
+    const [rows] = await db.query('SELECT * FROM instant_expense_sheets WHERE id = ?', [sheet.id]);
     res.json(mapSheetRow(rows[0]));
   } catch (error) {
     console.error('Error in POST /api/instant-expenses/sheets/:id/close:', error);
@@ -0,0 +1,122 @@
+const db = require('../db.js');
+
+// Progressive lockout of POST /api/login after repeated failures.
+// Failures are counted per username and per client IP (see login_throttle in schema.js). Once a key has
+// MAX_FAILURES failures it is locked for LOCK_BASE_SECONDS, and every further failure doubles the lock up
+// to LOCK_MAX_SECONDS. Counters start over after RESET_AFTER_SECONDS without failures, and a successful
+// login clears its username. IPs get a higher limit since an office shares one address.
+
+const SCOPES = ['username', 'ip'];
+
+const MAX_FAILURES = {
+    username: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    ip: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+};
+const LOCK_BASE_SECONDS = 60;
+const LOCK_MAX_SECONDS = 60 * 60;
+const RESET_AFTER_SECONDS = 60 * 60;
+
+const lockSeconds = (scope, failures) => {
+    const over = failures - MAX_FAILURES[scope];
+    if (over < 0) return 0;
+    return Math.min(LOCK_MAX_SECONDS, LOCK_BASE_SECONDS * 2 ** Math.min(over, 16));
+};
+
+const normalizeKey = (scope, key) => (scope === 'username' ? String(key).trim().toLowerCase() : String(key));
+
+/**
+ * Seconds until the login may be attempted again, or 0 when neither the username nor the IP is locked.
+ */
+async function lockedFor(username, ip) {
+    const [rows] = await db.query(
+        `SELECT GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), locked_until)) AS remaining FROM login_throttle
+         WHERE locked_until > NOW() AND ((scope = 'username' AND throttle_key = ?) OR (scope = 'ip' AND throttle_key = ?))`,
+        [normalizeKey('username', username), normalizeKey('ip', ip)]
+    );
+    return rows.reduce((max, row) => Math.max(max, Number(row.remaining) || 0), 0);
+}
+
+/**
+ * Counts a failed login against the username and the IP, locking them once over their limit.
+ * @returns {Promise<number>} Seconds the login is now locked for (0 when not locked).
+ */
+async function recordFailure(username, ip) {
+    let locked = 0;
+    for (const [scope, key] of [['username', username], ['ip', ip]]) {
+        const throttleKey = normalizeKey(scope, key);
+        // failures is assigned before last_failure_at, so the IF() sees the previous failure's time
+        await db.query(
+            `INSERT INTO login_throttle (scope, throttle_key, failures, last_failure_at) VALUES (?, ?, 1, NOW())
+             ON DUPLICATE KEY UPDATE
+                failures = IF(last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND) AND (locked_until IS NULL OR locked_until < NOW()), 1, failures + 1),
+                last_failure_at = NOW()`,
+            [scope, throttleKey, RESET_AFTER_SECONDS]
+        );
+        const [rows] = await db.query('SELECT failures FROM login_throttle WHERE scope = ? AND throttle_key = ?', [scope, throttleKey]);
+        const seconds = rows.length > 0 ? lockSeconds(scope, Number(rows[0].failures)) : 0;
+        if (seconds > 0) {
+            await db.query(
+                'UPDATE login_throttle SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE scope = ? AND throttle_key = ?',
+                [seconds, scope, throttleKey]
+            );
+            console.warn(`Login locked for ${scope} '${throttleKey}' for ${seconds}s after ${rows[0].failures} failures.`);
+            locked = Math.max(locked, seconds);
+        }
+    }
+    return locked;
+}
+
+/**
+ * Clears the failures of a username after a successful login. The IP keeps its count, so one valid
+ * account can't be used to keep guessing others from the same address.
+ */
+async function recordSuccess(username) {
+    await db.query("DELETE FROM login_throttle WHERE scope = 'username' AND throttle_key = ?", [normalizeKey('username', username)]);
+}
+
+/**
+ * Removes the lock and failure count of a username or IP (admin unlock). Returns whether there was one.
+ */
+async function unlock(scope, key) {
+    const [result] = await db.query('DELETE FROM login_throttle WHERE scope = ? AND throttle_key = ?', [scope, normalizeKey(scope, key)]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * The usernames and IPs currently locked, the longest lock first.
+ */
+async function listLockouts() {
+    const [rows] = await db.query(
+        `SELECT scope, throttle_key, failures, last_failure_at, locked_until FROM login_throttle
+         WHERE locked_until > NOW() ORDER BY locked_until DESC`
+    );
+    return rows.map(row => ({
+        scope: row.scope,
+        key: row.throttle_key,
+        failures: Number(row.failures),
+        lastFailureAt: row.last_failure_at,
+        lockedUntil: row.locked_until,
+    }));
+}
+
+/**
+ * Removes counters that have expired (a scheduled job, see server.js). Returns the number removed.
+ */
+async function pruneLoginThrottle() {
+    const [result] = await db.query(
+        `DELETE FROM login_throttle
+         WHERE last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND) AND (locked_until IS NULL OR locked_until < NOW())`,
+        [RESET_AFTER_SECONDS]
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    SCOPES,
+    lockedFor,
+    recordFailure,
+    recordSuccess,
+    unlock,
+    listLockouts,
+    pruneLoginThrottle,
+};
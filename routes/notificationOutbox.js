@@ -0,0 +1,260 @@
+const db = require('../db.js');
+const { dispatchPush } = require('./pushService');
+const { publish } = require('./eventStream');
+const { CHANNELS, enabledChannels, loadQuietHours, quietHoursRemainingSeconds } = require('./notificationPreferences');
+
+// Transactional outbox for notifications.
+// Routers call enqueueNotification() with the connection of their open transaction, so deliveries only
+// exist once the transaction commits. A background dispatcher then delivers each row on its channel
+// (in-app, FCM, web push), retrying failures with exponential backoff.
+// Only the channels the recipient enabled for the event are queued, and pushes due during the
+// recipient's quiet hours are held, then sent as one digest per channel when the quiet hours end.
+
+// Channels held during quiet hours; in-app notifications are never held
+const PUSH_CHANNELS = ['fcm', 'web_push'];
+
+// Notification center categories, derived from the event type prefix
+const CATEGORIES_BY_EVENT_PREFIX = {
+    'report.': 'report_notes',
+    'package.': 'packages',
+    'workflow.': 'workflows',
+    'reminder.': 'reminders',
+};
+const NOTIFICATION_CATEGORIES = [...Object.values(CATEGORIES_BY_EVENT_PREFIX), 'general'];
+
+const categoryOf = (eventType) => {
+    const prefix = Object.keys(CATEGORIES_BY_EVENT_PREFIX).find(p => String(eventType).startsWith(p));
+    return prefix ? CATEGORIES_BY_EVENT_PREFIX[prefix] : 'general';
+};
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A row claimed by a dispatcher that died is picked up again after this long
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const backoffMs = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const DIGEST_TITLE = 'ملخص الإشعارات';
+const DIGEST_LINK = '/notifications';
+
+// ==== Channel senders ====
+// Each receives the outbox row and its parsed payload, and returns the per-device results of a push
+// (stored on the row); throwing schedules a retry.
+const SENDERS = {
+    in_app: async (row, payload) => {
+        const category = categoryOf(row.event_type);
+        const [result] = await db.query('INSERT INTO notifications SET ?', {
+            user_id: row.recipient_id,
+            message: payload.message,
+            link: payload.link,
+            category,
+            is_read: 0,
+        });
+        publish('notification.created', {
+            id: String(result.insertId),
+            message: payload.message,
+            link: payload.link,
+            category,
+        }, { userIds: [row.recipient_id] });
+    },
+    fcm: async (row, payload) => {
+        const { results } = await dispatchPush(row.recipient_id, { title: payload.title, body: payload.message, link: payload.link }, { channels: ['fcm'], source: 'outbox', outboxId: row.id });
+        return results;
+    },
+    web_push: async (row, payload) => {
+        const { results } = await dispatchPush(row.recipient_id, { title: payload.title, body: payload.message, link: payload.link }, { channels: ['web_push'], source: 'outbox', outboxId: row.id });
+        return results;
+    },
+};
+
+/**
+ * Queues a notification for one recipient on the channels they enabled for the event. Call with the
+ * connection of the transaction that produced the event; nothing is delivered if it rolls back.
+ * @param {object} conn A connection with an open transaction.
+ * @param {number|string} recipientId
+ * @param {object} notification
+ * @param {string} notification.eventType E.g. 'report.note' (see NOTIFICATION_EVENTS).
+ * @param {string} notification.title Push title.
+ * @param {string} notification.message In-app message and push body.
+ * @param {string} [notification.link] Frontend route to open.
+ */
+async function enqueueNotification(conn, recipientId, { eventType, title, message, link = null }) {
+    if (!recipientId) {
+        console.warn("Attempted to enqueue a notification for a null recipientId.");
+        return;
+    }
+    const channels = await enabledChannels(conn, recipientId, eventType);
+    if (channels.length === 0) return;
+    const payload = JSON.stringify({ title, message, link });
+    await conn.query(
+        'INSERT INTO notification_outbox (event_type, recipient_id, channel, payload) VALUES ?',
+        [channels.map(channel => [eventType, recipientId, channel, payload])]
+    );
+}
+
+// Atomically takes a row for this dispatcher; false when another run got it first
+async function claim(row) {
+    const [result] = await db.query(
+        `UPDATE notification_outbox
+         SET status = 'sending', locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id = ? AND status = ? AND (locked_until IS NULL OR locked_until = ?)`,
+        [CLAIM_TIMEOUT_MS / 1000, row.id, row.status, row.locked_until]
+    );
+    return result.affectedRows === 1;
+}
+
+const resultsJson = (results) => (Array.isArray(results) ? JSON.stringify(results) : null);
+
+// Records a failed attempt of the given rows: back to `retryStatus` after a backoff, or failed for good
+async function recordFailure(ids, attempts, error, retryStatus, exhausted = false) {
+    await db.query(
+        `UPDATE notification_outbox
+         SET status = ?, attempts = ?, last_error = ?, delivery_results = ?, locked_until = NULL,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id IN (?)`,
+        [exhausted || attempts >= MAX_ATTEMPTS ? 'failed' : retryStatus, attempts, String(error.message).slice(0, 1000), resultsJson(error.results), Math.round(backoffMs(attempts) / 1000), ids]
+    );
+}
+
+const markSent = (ids, attempts, results) => db.query(
+    "UPDATE notification_outbox SET status = 'sent', attempts = ?, sent_at = NOW(), delivery_results = ?, locked_until = NULL, last_error = NULL WHERE id IN (?)",
+    [attempts, resultsJson(results), ids]
+);
+
+async function deliver(row) {
+    const attempts = row.attempts + 1;
+    try {
+        if (PUSH_CHANNELS.includes(row.channel)) {
+            const holdSeconds = quietHoursRemainingSeconds(await loadQuietHours(db, row.recipient_id));
+            if (holdSeconds > 0) {
+                // Not an attempt: the push waits for the digest at the end of the quiet hours
+                await db.query(
+                    "UPDATE notification_outbox SET status = 'held', locked_until = NULL, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?",
+                    [holdSeconds, row.id]
+                );
+                return;
+            }
+        }
+        const payload = JSON.parse(row.payload);
+        const results = await SENDERS[row.channel](row, payload);
+        await markSent([row.id], attempts, results);
+    } catch (error) {
+        console.error(`Outbox delivery ${row.id} (${row.channel}) failed, attempt ${attempts}:`, error.message);
+        await recordFailure([row.id], attempts, error, 'pending', !SENDERS[row.channel]);
+    }
+}
+
+// Sends the pushes held for one recipient on one channel: the notification itself when only one
+// was held, a single summary push otherwise
+async function deliverDigest(recipientId, channel) {
+    const [rows] = await db.query(
+        `SELECT * FROM notification_outbox
+         WHERE status = 'held' AND next_attempt_at <= NOW() AND recipient_id = ? AND channel = ?
+         ORDER BY id`,
+        [recipientId, channel]
+    );
+    if (rows.length === 0) return;
+    const ids = rows.map(row => row.id);
+    const [claimed] = await db.query(
+        "UPDATE notification_outbox SET status = 'sending', locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id IN (?) AND status = 'held'",
+        [CLAIM_TIMEOUT_MS / 1000, ids]
+    );
+    if (claimed.affectedRows !== ids.length) return;
+
+    const attempts = Math.max(...rows.map(row => row.attempts)) + 1;
+    try {
+        const latest = JSON.parse(rows[rows.length - 1].payload);
+        const payload = rows.length === 1
+            ? latest
+            : { title: DIGEST_TITLE, message: `لديك ${rows.length} إشعارات جديدة. آخرها: ${latest.message}`, link: DIGEST_LINK };
+        const results = await SENDERS[channel](rows[rows.length - 1], payload);
+        await markSent(ids, attempts, results);
+    } catch (error) {
+        console.error(`Outbox digest for user ${recipientId} (${channel}) failed, attempt ${attempts}:`, error.message);
+        await recordFailure(ids, attempts, error, 'held');
+    }
+}
+
+let running = false;
+let rerunRequested = false;
+let lastLoggedError = null;
+
+/**
+ * Delivers due outbox rows until none are left. Overlapping calls are folded into one run.
+ */
+async function dispatchPending() {
+    if (running) {
+        rerunRequested = true;
+        return;
+    }
+    running = true;
+    try {
+        do {
+            rerunRequested = false;
+            const [rows] = await db.query(
+                `SELECT * FROM notification_outbox
+                 WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                    OR (status = 'sending' AND locked_until < NOW())
+                 ORDER BY id
+                 LIMIT ?`,
+                [BATCH_SIZE]
+            );
+            for (const row of rows) {
+                if (await claim(row)) {
+                    await deliver(row);
+                }
+            }
+
+            // Pushes whose quiet hours are over
+            const [digests] = await db.query(
+                `SELECT DISTINCT recipient_id, channel FROM notification_outbox
+                 WHERE status = 'held' AND next_attempt_at <= NOW()
+                 LIMIT ?`,
+                [BATCH_SIZE]
+            );
+            for (const digest of digests) {
+                await deliverDigest(digest.recipient_id, digest.channel);
+            }
+            if (rows.length === BATCH_SIZE || digests.length === BATCH_SIZE) rerunRequested = true;
+        } while (rerunRequested);
+        lastLoggedError = null;
+    } catch (error) {
+        // Log a failing poll once rather than on every tick (e.g. while the database is down)
+        if (error.message !== lastLoggedError) {
+            console.error('Notification outbox dispatch failed:', error.message);
+            lastLoggedError = error.message;
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Asks the dispatcher to run now instead of waiting for the next poll. Call after committing.
+ */
+function flushOutbox() {
+    setImmediate(dispatchPending);
+}
+
+let timer = null;
+
+/**
+ * Starts polling the outbox. Called once from server.js.
+ */
+function startOutboxDispatcher() {
+    if (timer) return;
+    timer = setInterval(dispatchPending, POLL_INTERVAL_MS);
+    timer.unref();
+    console.log(`Notification outbox dispatcher started (every ${POLL_INTERVAL_MS} ms).`);
+}
+
+module.exports = {
+    NOTIFICATION_CATEGORIES,
+    categoryOf,
+    enqueueNotification,
+    flushOutbox,
+    startOutboxDispatcher,
+};
@@ -0,0 +1,169 @@
+// Per-user notification preferences: delivery channels per event type, and quiet hours during which
+// pushes are held and later delivered as a digest (see notificationOutbox.js).
+// Users without stored preferences get every channel for every event and no quiet hours.
+
+const CHANNELS = ['in_app', 'fcm', 'web_push'];
+
+// Event types users can configure, with their label in the settings screen
+const NOTIFICATION_EVENTS = {
+    'report.note': 'ملاحظة جديدة على تقرير',
+    'report.reply': 'رد في محادثة تقرير',
+    'report.mention': 'إشارة إليك في ملاحظة',
+    'package.status': 'تغيير حالة طرد',
+    'workflow.stage': 'تغيير مرحلة طلب',
+    // Scheduled reminders (see reminderRules.js)
+    'reminder.package_processing': 'تذكير: طلب بكج متأخر في التنفيذ',
+    'reminder.project_stalled': 'تذكير: مشروع لم تتغير مرحلته',
+    'reminder.workflow_arrival_overdue': 'تذكير: تجاوز تاريخ الوصول المتوقع',
+    'reminder.expense_sheet_open': 'تذكير: عهدة مفتوحة لفترة طويلة',
+};
+
+// Quiet hours are entered and evaluated in Saudi time (UTC+3, no daylight saving)
+const QUIET_HOURS_TIME_ZONE = 'Asia/Riyadh';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const localClock = new Intl.DateTimeFormat('en-GB', {
+    timeZone: QUIET_HOURS_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+});
+
+// 'HH:MM' or 'HH:MM:SS' (MySQL TIME) -> minutes since midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Seconds until the quiet hours end, or 0 when `now` is outside them.
+ * A window may span midnight (e.g. 22:00-07:00); start and end are in QUIET_HOURS_TIME_ZONE.
+ * @param {{start: string, end: string}|null} quietHours
+ * @param {Date} [now]
+ */
+function quietHoursRemainingSeconds(quietHours, now = new Date()) {
+    if (!quietHours) return 0;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return 0;
+
+    const parts = Object.fromEntries(localClock.formatToParts(now).map(part => [part.type, part.value]));
+    const secondOfDay = Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second);
+    const minuteOfDay = Math.floor(secondOfDay / 60);
+    const inside = start < end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+    if (!inside) return 0;
+    return (end * 60 - secondOfDay + 24 * 3600) % (24 * 3600);
+}
+
+/**
+ * Channels a user receives an event on.
+ * @param {object} conn The pool or a connection.
+ * @returns {Promise<string[]>} A subset of CHANNELS.
+ */
+async function enabledChannels(conn, userId, eventType) {
+    const [rows] = await conn.query(
+        'SELECT in_app, fcm, web_push FROM notification_preferences WHERE user_id = ? AND event_type = ?',
+        [userId, eventType]
+    );
+    if (rows.length === 0) return CHANNELS;
+    return CHANNELS.filter(channel => !!rows[0][channel]);
+}
+
+/**
+ * The user's quiet hours, or null when none are set.
+ * @returns {Promise<{start: string, end: string}|null>} Times as 'HH:MM'.
+ */
+async function loadQuietHours(conn, userId) {
+    const [rows] = await conn.query(
+        'SELECT quiet_hours_start, quiet_hours_end FROM notification_settings WHERE user_id = ?',
+        [userId]
+    );
+    if (rows.length === 0 || !rows[0].quiet_hours_start || !rows[0].quiet_hours_end) return null;
+    return {
+        start: String(rows[0].quiet_hours_start).slice(0, 5),
+        end: String(rows[0].quiet_hours_end).slice(0, 5),
+    };
+}
+
+/**
+ * All preferences of a user, shaped for the settings screen.
+ */
+async function getPreferences(conn, userId) {
+    const [rows] = await conn.query(
+        'SELECT event_type, in_app, fcm, web_push FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    const events = Object.entries(NOTIFICATION_EVENTS).map(([eventType, label]) => {
+        const row = rows.find(r => r.event_type === eventType);
+        return {
+            eventType,
+            label,
+            inApp: row ? !!row.in_app : true,
+            fcm: row ? !!row.fcm : true,
+            webPush: row ? !!row.web_push : true,
+        };
+    });
+    return { events, quietHours: await loadQuietHours(conn, userId), timeZone: QUIET_HOURS_TIME_ZONE };
+}
+
+/**
+ * Validates a PUT /api/notifications/preferences body; returns an error message or null.
+ * Body: { events?: [{ eventType, inApp?, fcm?, webPush? }], quietHours?: { start: 'HH:MM', end: 'HH:MM' } | null }
+ */
+function validatePreferences({ events, quietHours }) {
+    if (events !== undefined) {
+        if (!Array.isArray(events)) return 'events must be a list.';
+        for (const event of events) {
+            if (!event || !NOTIFICATION_EVENTS[event.eventType]) {
+                return `Unknown event type '${event && event.eventType}'. Expected one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}.`;
+            }
+        }
+    }
+    if (quietHours !== undefined && quietHours !== null) {
+        if (!TIME_PATTERN.test(quietHours.start || '') || !TIME_PATTERN.test(quietHours.end || '')) {
+            return 'quietHours.start and quietHours.end must be times in HH:MM format.';
+        }
+        if (quietHours.start === quietHours.end) return 'quietHours.start and quietHours.end must differ.';
+    }
+    return null;
+}
+
+/**
+ * Stores the preferences given in the body; omitted events and an omitted quietHours are left unchanged,
+ * quietHours: null turns quiet hours off. Call validatePreferences() first.
+ * @param {object} conn A connection with an open transaction.
+ */
+async function savePreferences(conn, userId, { events, quietHours }) {
+    const stored = events && events.length > 0 ? (await getPreferences(conn, userId)).events : [];
+    const flag = (value, fallback) => (value === undefined ? fallback : !!value) ? 1 : 0;
+    for (const event of events || []) {
+        const current = stored.find(e => e.eventType === event.eventType);
+        await conn.query(
+            `INSERT INTO notification_preferences (user_id, event_type, in_app, fcm, web_push) VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), fcm = VALUES(fcm), web_push = VALUES(web_push)`,
+            [userId, event.eventType, flag(event.inApp, current.inApp), flag(event.fcm, current.fcm), flag(event.webPush, current.webPush)]
+        );
+    }
+    if (quietHours !== undefined) {
+        await conn.query(
+            `INSERT INTO notification_settings (user_id, quiet_hours_start, quiet_hours_end) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE quiet_hours_start = VALUES(quiet_hours_start), quiet_hours_end = VALUES(quiet_hours_end)`,
+            [userId, quietHours ? quietHours.start : null, quietHours ? quietHours.end : null]
+        );
+    }
+}
+
+module.exports = {
+    CHANNELS,
+    NOTIFICATION_EVENTS,
+    QUIET_HOURS_TIME_ZONE,
+    quietHoursRemainingSeconds,
+    enabledChannels,
+    loadQuietHours,
+    getPreferences,
+    validatePreferences,
+    savePreferences,
+};
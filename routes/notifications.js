@@ -1,37 +1,273 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
+const { can, forbid } = require('./permissions');
+const { encodeCursor, decodeCursor, pageLimit } = require('./pagination');
+const { NOTIFICATION_CATEGORIES } = require('./notificationOutbox');
+const notificationPreferences = require('./notificationPreferences');
 
-// GET /api/notifications/:userId - Fetch notifications for a user
-router.get('/notifications/:userId', async (req, res) => {
+// Notification center of the authenticated user. Every query is scoped to req.user.id;
+// the user is never taken from the URL.
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+const formatNotification = (n) => ({
+    id: n.id.toString(),
+    message: n.message,
+    link: n.link,
+    category: n.category,
+    isRead: !!n.is_read,
+    readAt: n.read_at || null,
+    archived: !!n.archived_at,
+    createdAt: n.created_at,
+});
+
+// Notification ids from a request body: { ids: [...] }; null when missing or malformed
+const parseIds = (body) => {
+    const ids = body && body.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500) return null;
+    if (!ids.every(id => /^\d+$/.test(String(id)))) return null;
+    return ids.map(Number);
+};
+
+const isValidCategory = (category) => NOTIFICATION_CATEGORIES.includes(category);
+
+// GET /api/notifications - Query: category, unread=1, archived=1, limit, cursor
+// Archived notifications are only listed with archived=1.
+router.get('/notifications', async (req, res) => {
+    const { category, unread, archived, cursor } = req.query;
+    if (category && !isValidCategory(category)) {
+        return res.status(400).json({ message: `Unknown category. Expected one of: ${NOTIFICATION_CATEGORIES.join(', ')}.` });
+    }
+    try {
+        const conditions = ['user_id = ?', archived === '1' ? 'archived_at IS NOT NULL' : 'archived_at IS NULL'];
+        const params = [req.user.id];
+        if (category) { conditions.push('category = ?'); params.push(category); }
+        if (unread === '1') conditions.push('is_read = 0');
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({ message: 'Invalid cursor.' });
+            }
+            conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+            params.push(position.createdAt, position.createdAt, position.id);
+        }
+        const limit = pageLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+        // Fetch one extra row to know whether another page exists
+        const [rows] = await db.query(
+            `SELECT id, message, link, category, is_read, read_at, archived_at, created_at
+             FROM notifications
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const pageRows = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+        res.json({ items: pageRows.map(formatNotification), nextCursor });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Failed to fetch notifications.' });
+    }
+});
+
+// GET /api/notifications/unread-count - Unread, non-archived notifications, in total and per category
+router.get('/notifications/unread-count', async (req, res) => {
+    try {
+        const [rows] = await db.query(
+            `SELECT category, COUNT(*) AS count
+             FROM notifications
+             WHERE user_id = ? AND is_read = 0 AND archived_at IS NULL
+             GROUP BY category`,
+            [req.user.id]
+        );
+        const byCategory = Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, 0]));
+        let total = 0;
+        for (const row of rows) {
+            byCategory[row.category] = Number(row.count);
+            total += Number(row.count);
+        }
+        res.json({ total, byCategory });
+    } catch (error) {
+        console.error('Error counting unread notifications:', error);
+        res.status(500).json({ message: 'Failed to count unread notifications.' });
+    }
+});
+
+// GET /api/notifications/preferences - Channels per event type and quiet hours
+router.get('/notifications/preferences', async (req, res) => {
+    try {
+        res.json(await notificationPreferences.getPreferences(db, req.user.id));
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Failed to fetch notification preferences.' });
+    }
+});
+
+// PUT /api/notifications/preferences
+// Body: { events?: [{ eventType, inApp?, fcm?, webPush? }], quietHours?: { start: 'HH:MM', end: 'HH:MM' } | null }
+router.put('/notifications/preferences', async (req, res) => {
+    const body = req.body || {};
+    const validationError = notificationPreferences.validatePreferences(body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        await notificationPreferences.savePreferences(connection, req.user.id, body);
+        await connection.commit();
+        res.json(await notificationPreferences.getPreferences(db, req.user.id));
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error saving notification preferences:', error);
+        res.status(500).json({ message: 'Failed to save notification preferences.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /api/notifications/read - Body: { ids: [...] } or { all: true, category? }
+router.post('/notifications/read', async (req, res) => {
+    const { all, category } = req.body || {};
+    const ids = parseIds(req.body);
+    if (!ids && all !== true) {
+        return res.status(400).json({ message: 'Provide a list of notification ids or all: true.' });
+    }
+    if (category && !isValidCategory(category)) {
+        return res.status(400).json({ message: `Unknown category. Expected one of: ${NOTIFICATION_CATEGORIES.join(', ')}.` });
+    }
+    try {
+        const conditions = ['user_id = ?', 'is_read = 0'];
+        const params = [req.user.id];
+        if (ids) { conditions.push('id IN (?)'); params.push(ids); }
+        if (category) { conditions.push('category = ?'); params.push(category); }
+        const [result] = await db.query(
+            `UPDATE notifications SET is_read = 1, read_at = NOW() WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        res.status(200).json({ message: 'Notifications marked as read.', updated: result.affectedRows });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Failed to mark notifications as read.' });
+    }
+});
+
+// POST /api/notifications/:id/read - Mark one notification as read
+router.post('/notifications/:id(\\d+)/read', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [result] = await db.query(
+            'UPDATE notifications SET is_read = 1, read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+            [id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.status(200).json({ message: 'Notification marked as read.' });
+    } catch (error) {
+        console.error(`Error marking notification ${id} as read:`, error);
+        res.status(500).json({ message: 'Failed to mark notification as read.' });
+    }
+});
+
+// POST /api/notifications/archive - Body: { ids: [...] }
+router.post('/notifications/archive', async (req, res) => {
+    const ids = parseIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ message: 'Provide a list of notification ids.' });
+    }
+    try {
+        const [result] = await db.query(
+            'UPDATE notifications SET archived_at = NOW() WHERE user_id = ? AND id IN (?) AND archived_at IS NULL',
+            [req.user.id, ids]
+        );
+        res.status(200).json({ message: 'Notifications archived.', updated: result.affectedRows });
+    } catch (error) {
+        console.error('Error archiving notifications:', error);
+        res.status(500).json({ message: 'Failed to archive notifications.' });
+    }
+});
+
+// POST /api/notifications/:id/archive and /unarchive
+router.post('/notifications/:id(\\d+)/:action(archive|unarchive)', async (req, res) => {
+    const { id, action } = req.params;
+    try {
+        const [result] = await db.query(
+            `UPDATE notifications SET archived_at = ${action === 'archive' ? 'COALESCE(archived_at, NOW())' : 'NULL'}
+             WHERE id = ? AND user_id = ?`,
+            [id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.status(200).json({ message: action === 'archive' ? 'Notification archived.' : 'Notification restored.' });
+    } catch (error) {
+        console.error(`Error in POST /api/notifications/${id}/${action}:`, error);
+        res.status(500).json({ message: 'Failed to update notification.' });
+    }
+});
+
+// DELETE /api/notifications/:id
+router.delete('/notifications/:id(\\d+)', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [result] = await db.query('DELETE FROM notifications WHERE id = ? AND user_id = ?', [id, req.user.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        res.status(200).json({ message: 'Notification deleted.' });
+    } catch (error) {
+        console.error(`Error deleting notification ${id}:`, error);
+        res.status(500).json({ message: 'Failed to delete notification.' });
+    }
+});
+
+// DELETE /api/notifications - Body: { ids: [...] }
+router.delete('/notifications', async (req, res) => {
+    const ids = parseIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ message: 'Provide a list of notification ids.' });
+    }
+    try {
+        const [result] = await db.query('DELETE FROM notifications WHERE user_id = ? AND id IN (?)', [req.user.id, ids]);
+        res.status(200).json({ message: 'Notifications deleted.', deleted: result.affectedRows });
+    } catch (error) {
+        console.error('Error deleting notifications:', error);
+        res.status(500).json({ message: 'Failed to delete notifications.' });
+    }
+});
+
+// --- Deprecated URL-based routes, kept for older app builds; only the caller's own user id is accepted ---
+
+// GET /api/notifications/:userId - Latest 50 non-archived notifications (use GET /api/notifications)
+router.get('/notifications/:userId(\\d+)', async (req, res) => {
     const { userId } = req.params;
+    if (!can(req.user, 'notification', 'read', { user_id: userId })) return forbid(res);
     try {
         const [rows] = await db.query(
-            `SELECT id, message, link, is_read, created_at
-             FROM notifications 
-             WHERE user_id = ? 
-             ORDER BY created_at DESC 
-             LIMIT 50`, [userId]
+            `SELECT id, message, link, category, is_read, read_at, archived_at, created_at
+             FROM notifications
+             WHERE user_id = ? AND archived_at IS NULL
+             ORDER BY created_at DESC, id DESC
+             LIMIT 50`, [req.user.id]
         );
-        const notifications = rows.map(n => ({ 
-            id: n.id.toString(),
-            message: n.message,
-            link: n.link,
-            isRead: !!n.is_read,
-            createdAt: n.created_at,
-        }));
-        res.json(notifications);
+        res.json(rows.map(formatNotification));
     } catch (error) {
         console.error('Error fetching notifications:', error);
         res.status(500).json({ message: 'Failed to fetch notifications.' });
     }
 });
 
-// POST /api/notifications/read/:userId - Mark all as read
-router.post('/notifications/read/:userId', async (req, res) => {
+// POST /api/notifications/read/:userId - Mark all as read (use POST /api/notifications/read)
+router.post('/notifications/read/:userId(\\d+)', async (req, res) => {
     const { userId } = req.params;
+    if (!can(req.user, 'notification', 'update', { user_id: userId })) return forbid(res);
     try {
-        await db.query('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0', [userId]);
+        await db.query('UPDATE notifications SET is_read = 1, read_at = NOW() WHERE user_id = ? AND is_read = 0', [req.user.id]);
         res.status(200).json({ message: 'Notifications marked as read.' });
     } catch (error) {
         console.error('Error marking notifications as read:', error);
@@ -39,4 +275,4 @@ router.post('/notifications/read/:userId', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,32 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
-const multer = require('multer');
-const { cloudinary } = require('../cloudinary.js');
-const streamifier = require('streamifier');
-
-// Multer memory storage for direct Cloudinary uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-// Helper: upload a file to Cloudinary into a packages folder per user
-const uploadFileToCloudinary = (file, uploadedById) => {
-  return new Promise((resolve, reject) => {
-    const publicId = file.originalname.split('.').slice(0, -1).join('.').trim();
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: `qssun_reports/packages/${uploadedById}`,
-        public_id: publicId,
-        resource_type: 'auto'
-      },
-      (error, result) => {
-        if (error) return reject(error);
-        if (result) resolve({ url: result.secure_url, fileName: file.originalname, id: result.public_id, uploadedBy: uploadedById });
-        else reject(new Error('Cloudinary upload failed without an error object.'));
-      }
-    );
-    streamifier.createReadStream(file.buffer).pipe(uploadStream);
-  });
+const { can, authorize, forbid, listScope } = require('./permissions');
+const { storeFiles, acceptUploads, discardOnFailure } = require('./attachmentService');
+const { publish } = require('./eventStream');
+const { enqueueNotification, flushOutbox } = require('./notificationOutbox');
+const { setVersionHeader, requireIfMatch, isCurrentVersion, sendVersionConflict } = require('./concurrency');
+
+// Accepted uploads per endpoint
+const uploadPaymentProof = acceptUploads({ field: 'payment_proof', kind: 'imageOrPdf', maxFiles: 5 });
+const uploadShippingDocs = acceptUploads({ field: 'shipping_docs', kind: 'pdf', maxFiles: 10 });
+
+// Load the bare package row used for record-level permission checks (branch_id is the requester's branch)
+const findPackageForPolicy = async (id) => {
+  const [rows] = await db.query(
+    'SELECT p.id, p.user_id, p.status, p.progress_percent, p.version, u.branch_id FROM package_requests p LEFT JOIN users u ON p.user_id = u.id WHERE p.id = ?',
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// Tell the connected users who may see the package about its new status (see eventStream.js)
+const announceStatus = (row) => {
+  if (!row) return;
+  publish('package.status', { id: row.id, status: row.status, progressPercent: Number(row.progress_percent || 0) }, { resource: 'package', record: row });
+};
+
+// Queue the new status for the requester, their branch manager and the package managers, except whoever
+// changed it. Call inside the transaction of the change; flushOutbox() once it is committed
+const queueStatusNotification = async (conn, id, actorId) => {
+  const [[pkg]] = await conn.query(
+    'SELECT p.id, p.user_id, p.title, p.status, u.branch_id FROM package_requests p LEFT JOIN users u ON p.user_id = u.id WHERE p.id = ?',
+    [id]
+  );
+  if (!pkg) return;
+  const [managers] = await conn.query(
+    `SELECT id FROM users WHERE deleted_at IS NULL
+       AND (role = 'admin' OR has_package_management_permission = 1 OR (role = 'branch_manager' AND branch_id = ?))`,
+    [pkg.branch_id]
+  );
+  const recipients = new Set([pkg.user_id, ...managers.map(m => m.id)].filter(Boolean).map(String));
+  recipients.delete(String(actorId));
+  for (const recipientId of recipients) {
+    await enqueueNotification(conn, recipientId, {
+      eventType: 'package.status',
+      title: 'تغيير حالة طلب البكج',
+      message: `أصبحت حالة طلب البكج "${pkg.title || pkg.id}": ${pkg.status}`,
+      link: `/packages/${pkg.id}`,
+    });
+  }
 };
 
 // Map DB row to frontend PackageRequest
@@ -46,33 +68,34 @@ const mapPackageRowToFrontend = (row) => ({
   branch: row.branch_name || 'N/A',
   customerLocation: row.customer_location || null,
   meta: (() => { try { return JSON.parse(row.meta || '{}'); } catch { return {}; } })(),
+  version: Number(row.version || 0),
 });
 
-// GET /api/package-requests - list
-router.get('/package-requests', async (req, res) => {
-  try {
-    const requesterId = req.headers['x-user-id'];
-    const requesterRole = (req.headers['x-user-role'] || '').toLowerCase();
-
-    let query = `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
-                 FROM package_requests p
-                 LEFT JOIN users u ON p.user_id = u.id
-                 LEFT JOIN branches b ON u.branch_id = b.id
-                 ORDER BY p.created_at DESC`;
-    let params = [];
-
-    // If employee role, limit to their own requests; admins see all
-    if (requesterRole === 'employee' && requesterId) {
-      query = `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
-               FROM package_requests p
-               LEFT JOIN users u ON p.user_id = u.id
-               LEFT JOIN branches b ON u.branch_id = b.id
-               WHERE p.user_id = ?
-               ORDER BY p.created_at DESC`;
-      params = [requesterId];
-    }
+// Loads a package in its frontend shape, or null when it doesn't exist
+const fetchPackage = async (id) => {
+  const [rows] = await db.query(
+    `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
+     FROM package_requests p
+     LEFT JOIN users u ON p.user_id = u.id
+     LEFT JOIN branches b ON u.branch_id = b.id
+     WHERE p.id = ?`, [id]
+  );
+  return rows.length > 0 ? mapPackageRowToFrontend(rows[0]) : null;
+};
 
-    const [rows] = await db.query(query, params);
+// GET /api/package-requests - list, limited to the requests the user may see (see LIST_SCOPES)
+router.get('/package-requests', authorize('package', 'list'), async (req, res) => {
+  try {
+    const scope = listScope(req.user, 'package');
+    const [rows] = await db.query(
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
+       FROM package_requests p
+       LEFT JOIN users u ON p.user_id = u.id
+       LEFT JOIN branches b ON u.branch_id = b.id
+       WHERE ${scope.sql}
+       ORDER BY p.created_at DESC`,
+      scope.params
+    );
     const list = rows.map(mapPackageRowToFrontend);
     res.json(list);
   } catch (error) {
@@ -82,9 +105,8 @@ router.get('/package-requests', async (req, res) => {
 });
 
 // POST /api/package-requests - create
-router.post('/package-requests', async (req, res) => {
+router.post('/package-requests', authorize('package', 'create'), async (req, res) => {
   const {
-    employeeId,
     title,
     description,
     customerName,
@@ -99,10 +121,7 @@ router.post('/package-requests', async (req, res) => {
   } = req.body;
 
   try {
-    // Resolve user
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
+    const userId = req.user.id;
 
     const id = `PKG-${Date.now().toString().slice(-6)}`;
     const status = isPaid ? 'PAYMENT_CONFIRMED' : 'NEW';
@@ -128,7 +147,7 @@ router.post('/package-requests', async (req, res) => {
 
     // Return with user join fields
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
@@ -147,14 +166,16 @@ router.get('/package-requests/:id', async (req, res) => {
   const { id } = req.params;
   try {
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
     if (rows.length === 0) return res.status(404).json({ message: 'Package request not found.' });
+    if (!can(req.user, 'package', 'view', rows[0])) return forbid(res);
     const base = mapPackageRowToFrontend(rows[0]);
+    setVersionHeader(res, base.version);
 
     const [attachRows] = await db.query('SELECT * FROM package_attachments WHERE package_id = ? ORDER BY upload_date DESC', [id]);
     const attachments = attachRows.map(a => ({ url: a.url, fileName: a.file_name, type: a.type }));
@@ -172,147 +193,190 @@ router.get('/package-requests/:id', async (req, res) => {
 });
 
 // POST /api/package-requests/:id/confirm-payment - upload payment proof and set status
-router.post('/package-requests/:id/confirm-payment', upload.array('payment_proof'), async (req, res) => {
+router.post('/package-requests/:id/confirm-payment', uploadPaymentProof, async (req, res) => {
   const { id } = req.params;
-  const { employeeId, comment } = req.body;
+  const { comment } = req.body;
+  const userId = req.user.id;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
-
-    // Upload files
-    let uploadedFiles = [];
-    if (req.files && req.files.length > 0) {
-      uploadedFiles = await Promise.all(req.files.map(file => uploadFileToCloudinary(file, userId)));
-      for (const f of uploadedFiles) {
-        await db.query('INSERT INTO package_attachments SET ?', {
-          package_id: id,
-          type: 'payment_proof',
-          url: f.url,
-          file_name: f.fileName,
-          uploaded_by: userId,
-          upload_date: new Date(),
-        });
-      }
+    const pkg = await findPackageForPolicy(id);
+    if (!pkg) return res.status(404).json({ message: 'Package request not found.' });
+    if (!can(req.user, 'package', 'confirmPayment', pkg)) return forbid(res);
+
+    // Files are stored before the transaction and discarded if the request fails
+    const uploadedFiles = await storeFiles(req.files, { ownerId: userId, entityType: 'package', entityId: id, folder: 'packages' });
+    discardOnFailure(res, uploadedFiles);
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    for (const f of uploadedFiles) {
+      await connection.query('INSERT INTO package_attachments SET ?', {
+        package_id: id,
+        type: 'payment_proof',
+        url: f.url,
+        file_name: f.fileName,
+        uploaded_by: userId,
+        upload_date: new Date(),
+      });
     }
-
-    await db.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ? WHERE id = ?', ['PAYMENT_CONFIRMED', 20, new Date(), id]);
-    await db.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'payment_confirmed', comment: comment || '', actor_id: userId, date: new Date() });
+    await connection.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ?, version = version + 1 WHERE id = ?', ['PAYMENT_CONFIRMED', 20, new Date(), id]);
+    await connection.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'payment_confirmed', comment: comment || '', actor_id: userId, date: new Date() });
+    await queueStatusNotification(connection, id, userId);
+    await connection.commit();
+    flushOutbox();
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
+    announceStatus(rows[0]);
     res.json(mapPackageRowToFrontend(rows[0]));
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in POST /api/package-requests/${id}/confirm-payment:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء تأكيد الدفع.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // POST /api/package-requests/:id/start - move to PROCESSING
-router.post('/package-requests/:id/start', async (req, res) => {
+router.post('/package-requests/:id/start', authorize('package', 'start'), async (req, res) => {
   const { id } = req.params;
-  const { employeeId, comment } = req.body;
+  const { comment } = req.body;
+  const userId = req.user.id;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
+    if (!(await findPackageForPolicy(id))) return res.status(404).json({ message: 'Package request not found.' });
 
-    await db.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ? WHERE id = ?', ['PROCESSING', 50, new Date(), id]);
-    await db.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'processing_started', comment: comment || '', actor_id: userId, date: new Date() });
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    await connection.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ?, version = version + 1 WHERE id = ?', ['PROCESSING', 50, new Date(), id]);
+    await connection.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'processing_started', comment: comment || '', actor_id: userId, date: new Date() });
+    await queueStatusNotification(connection, id, userId);
+    await connection.commit();
+    flushOutbox();
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
+    announceStatus(rows[0]);
     res.json(mapPackageRowToFrontend(rows[0]));
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in POST /api/package-requests/${id}/start:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء بدء التنفيذ.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // POST /api/package-requests/:id/mark-ready - upload shipping docs and set READY_FOR_DELIVERY
-router.post('/package-requests/:id/mark-ready', upload.array('shipping_docs'), async (req, res) => {
+router.post('/package-requests/:id/mark-ready', authorize('package', 'markReady'), uploadShippingDocs, async (req, res) => {
   const { id } = req.params;
-  const { employeeId, comment } = req.body;
+  const { comment } = req.body;
+  const userId = req.user.id;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
-
-    let uploadedFiles = [];
-    if (req.files && req.files.length > 0) {
-      uploadedFiles = await Promise.all(req.files.map(file => uploadFileToCloudinary(file, userId)));
-      for (const f of uploadedFiles) {
-        await db.query('INSERT INTO package_attachments SET ?', {
-          package_id: id,
-          type: 'shipping_doc',
-          url: f.url,
-          file_name: f.fileName,
-          uploaded_by: userId,
-          upload_date: new Date(),
-        });
-      }
+    if (!(await findPackageForPolicy(id))) return res.status(404).json({ message: 'Package request not found.' });
+
+    // Files are stored before the transaction and discarded if the request fails
+    const uploadedFiles = await storeFiles(req.files, { ownerId: userId, entityType: 'package', entityId: id, folder: 'packages' });
+    discardOnFailure(res, uploadedFiles);
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    for (const f of uploadedFiles) {
+      await connection.query('INSERT INTO package_attachments SET ?', {
+        package_id: id,
+        type: 'shipping_doc',
+        url: f.url,
+        file_name: f.fileName,
+        uploaded_by: userId,
+        upload_date: new Date(),
+      });
     }
-
-    await db.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ? WHERE id = ?', ['READY_FOR_DELIVERY', 75, new Date(), id]);
-    await db.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'marked_ready', comment: comment || '', actor_id: userId, date: new Date() });
+    await connection.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ?, version = version + 1 WHERE id = ?', ['READY_FOR_DELIVERY', 75, new Date(), id]);
+    await connection.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'marked_ready', comment: comment || '', actor_id: userId, date: new Date() });
+    await queueStatusNotification(connection, id, userId);
+    await connection.commit();
+    flushOutbox();
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
+    announceStatus(rows[0]);
     res.json(mapPackageRowToFrontend(rows[0]));
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in POST /api/package-requests/${id}/mark-ready:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء تجهيز الطلب.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // POST /api/package-requests/:id/confirm-delivery - set DELIVERED
 router.post('/package-requests/:id/confirm-delivery', async (req, res) => {
   const { id } = req.params;
-  const { employeeId, comment } = req.body;
+  const { comment } = req.body;
+  const userId = req.user.id;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
-
-    await db.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ? WHERE id = ?', ['DELIVERED', 100, new Date(), id]);
-    await db.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'delivery_confirmed', comment: comment || '', actor_id: userId, date: new Date() });
+    const pkg = await findPackageForPolicy(id);
+    if (!pkg) return res.status(404).json({ message: 'Package request not found.' });
+    if (!can(req.user, 'package', 'confirmDelivery', pkg)) return forbid(res);
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    await connection.query('UPDATE package_requests SET status = ?, progress_percent = ?, last_modified = ?, version = version + 1 WHERE id = ?', ['DELIVERED', 100, new Date(), id]);
+    await connection.query('INSERT INTO package_logs SET ?', { package_id: id, action: 'delivery_confirmed', comment: comment || '', actor_id: userId, date: new Date() });
+    await queueStatusNotification(connection, id, userId);
+    await connection.commit();
+    flushOutbox();
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
+    announceStatus(rows[0]);
     res.json(mapPackageRowToFrontend(rows[0]));
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in POST /api/package-requests/${id}/confirm-delivery:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء تأكيد الاستلام.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
-// PUT /api/package-requests/:id - update editable fields
-router.put('/package-requests/:id', async (req, res) => {
+// PUT /api/package-requests/:id - update editable fields; requires If-Match with the version (see concurrency.js)
+router.put('/package-requests/:id', requireIfMatch, async (req, res) => {
   const { id } = req.params;
-  const { employeeId, title, description, customerName, customerPhone, priority, status, progressPercent } = req.body;
+  const { title, description, customerName, customerPhone, priority, status, progressPercent } = req.body;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
+    const pkg = await findPackageForPolicy(id);
+    if (!pkg) return res.status(404).json({ message: 'Package request not found.' });
+    if (!can(req.user, 'package', 'update', pkg)) return forbid(res);
+    const statusChanged = status !== undefined && status !== pkg.status;
+    const progressChanged = progressPercent !== undefined && Number(progressPercent) !== Number(pkg.progress_percent || 0);
+    if ((statusChanged || progressChanged) && !can(req.user, 'package', 'setStatus', pkg)) return forbid(res);
+    if (!isCurrentVersion(req, pkg.version)) return sendVersionConflict(res, await fetchPackage(id));
 
     const updates = {};
     if (title !== undefined) updates.title = title;
@@ -328,27 +392,40 @@ router.put('/package-requests/:id', async (req, res) => {
       return res.status(400).json({ message: 'لا توجد حقول محدّثة.' });
     }
 
-    const [result] = await db.query('UPDATE package_requests SET ? WHERE id = ?', [updates, id]);
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    const [result] = await connection.query('UPDATE package_requests SET ?, version = version + 1 WHERE id = ? AND version = ?', [updates, id, req.expectedVersion]);
     if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'الطلب غير موجود.' });
+      await connection.rollback();
+      const current = await fetchPackage(id);
+      if (!current) return res.status(404).json({ message: 'الطلب غير موجود.' });
+      return sendVersionConflict(res, current);
     }
+    if (statusChanged) await queueStatusNotification(connection, id, req.user.id);
+    await connection.commit();
+    flushOutbox();
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, b.name as branch_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id, b.name as branch_name
        FROM package_requests p
        LEFT JOIN users u ON p.user_id = u.id
        LEFT JOIN branches b ON u.branch_id = b.id
        WHERE p.id = ?`, [id]
     );
+    if (statusChanged) announceStatus(rows[0]);
+    setVersionHeader(res, rows[0].version);
     res.json(mapPackageRowToFrontend(rows[0]));
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in PUT /api/package-requests/${id}:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء تعديل الطلب.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // DELETE /api/package-requests/:id - delete
-router.delete('/package-requests/:id', async (req, res) => {
+router.delete('/package-requests/:id', authorize('package', 'delete'), async (req, res) => {
   const { id } = req.params;
   try {
     await db.query('DELETE FROM package_attachments WHERE package_id = ?', [id]);
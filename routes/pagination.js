@@ -0,0 +1,23 @@
+// Keyset pagination helpers shared by the list endpoints.
+// Lists are sorted newest first on (created_at, id); the cursor is an opaque token for the last row of a page.
+
+const encodeCursor = (row) => Buffer.from(`${row.created_at}|${row.id}`).toString('base64url');
+
+// Returns { createdAt, id }, or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    if (!createdAt || !/^\d+$/.test(id || '')) return null;
+    return { createdAt, id: Number(id) };
+};
+
+// Clamps the `limit` query parameter
+const pageLimit = (requested, defaultSize, maxSize) => {
+    const limit = parseInt(requested, 10);
+    return Number.isNaN(limit) || limit < 1 ? defaultSize : Math.min(limit, maxSize);
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    pageLimit,
+};
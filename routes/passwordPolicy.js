@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Rules every new password must meet, whichever endpoint sets it (user creation, first login profile,
+// change-password, password reset). Existing passwords are not re-checked at login.
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+// Passwords guessed first, beyond those the rules below already reject (all digits, a blocked word with
+// digits added, a keyboard run). Checked after lowercasing, with Arabic-Indic digits read as 0-9
+const COMMON_PASSWORDS = new Set([
+    'p@ssw0rd', 'passw0rd', 'p@ssword1', 'abc12345', 'abcd1234', 'abc123456', 'a1b2c3d4', 'a1b2c3d4e5',
+    '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx', 'zaq12wsx', 'q1w2e3r4', 'aa123456', 'test1234', 'user1234',
+]);
+
+// Words that are weak with any digits or symbols added (Password2024!, qssun@123, مرحبا123)
+const BLOCKED_WORDS = new Set([
+    'password', 'passwd', 'admin', 'administrator', 'welcome', 'qwerty', 'letmein', 'iloveyou', 'qssun', 'solar',
+    'كلمةالسر', 'كلمةالمرور', 'كلمةسر', 'مرحبا', 'السلام', 'الله', 'بسمالله', 'سلام',
+]);
+
+// Keyboard rows: Latin QWERTY, and the same keys on the Arabic layout, which is what users get when they
+// type "qwerty" or "asdf" with the keyboard switched to Arabic
+const KEYBOARD_ROWS = [
+    'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'qazwsxedcrfvtgbyhnujmikolp',
+    'ضصثقفغعهخحجد', 'شسيبلاتنمكط', 'ئءؤرلاىةوزظ',
+];
+// Shortest run along a row that counts as a keyboard pattern
+const KEYBOARD_RUN = 4;
+
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+const normalize = (password) => password
+    .toLowerCase()
+    .replace(ARABIC_INDIC_DIGITS, (digit) => String(digit.charCodeAt(0) & 0xF));
+
+// The password is nothing but a run along one keyboard row (forwards or backwards), digits and symbols
+const isKeyboardPattern = (letters) => letters.length >= KEYBOARD_RUN && KEYBOARD_ROWS.some(row => {
+    const reversed = [...row].reverse().join('');
+    return row.includes(letters) || reversed.includes(letters);
+});
+
+/**
+ * Checks a new password against the policy.
+ * @param {string} password
+ * @param {object} [user] The account it is for; the password may not contain its employee ID.
+ * @param {string} [user.username]
+ * @returns {string|null} The first rule broken, as a message for the user, or null when it passes.
+ */
+function validatePassword(password, { username } = {}) {
+    if (typeof password !== 'string' || password.length === 0) return 'Password is required.';
+    if (password.length < MIN_LENGTH) return `Password must be at least ${MIN_LENGTH} characters long.`;
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) return `Password must be at most ${MAX_BYTES} bytes long.`;
+    if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) return 'Password must contain both letters and numbers.';
+    if (/^\s|\s$/.test(password)) return 'Password cannot start or end with a space.';
+    const normalized = normalize(password);
+    // Letters only: digits, symbols, spaces and Arabic diacritics (tashkeel) removed
+    const letters = normalized.replace(/[^\p{L}]/gu, '');
+    if (COMMON_PASSWORDS.has(normalized) || BLOCKED_WORDS.has(letters)) {
+        return 'Password is too common. Choose a less predictable one.';
+    }
+    if (isKeyboardPattern(letters)) {
+        return 'Password cannot be a keyboard pattern such as qwerty or ضصثق.';
+    }
+    // Very short IDs (e.g. '12') would rule out too many passwords
+    if (username && String(username).length >= 3 && password.toLowerCase().includes(String(username).toLowerCase())) {
+        return 'Password cannot contain the employee ID.';
+    }
+    return null;
+}
+
+// Temporary passwords avoid look-alike characters since they are read out or typed from a printout
+const TEMPORARY_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+const TEMPORARY_PASSWORD_LENGTH = 10;
+
+/**
+ * A random password meeting the policy, for accounts an admin or HR sets up or resets.
+ * The user replaces it on first login (PUT /api/users/profile).
+ */
+function generateTemporaryPassword(user = {}) {
+    for (;;) {
+        const password = Array.from(
+            { length: Math.max(TEMPORARY_PASSWORD_LENGTH, MIN_LENGTH) },
+            () => TEMPORARY_PASSWORD_ALPHABET[crypto.randomInt(TEMPORARY_PASSWORD_ALPHABET.length)]
+        ).join('');
+        if (!validatePassword(password, user)) return password;
+    }
+}
+
+module.exports = {
+    MIN_LENGTH,
+    validatePassword,
+    generateTemporaryPassword,
+};
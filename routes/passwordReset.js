@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const db = require('../db.js');
+
+// One-time codes for resetting a password (POST /api/password-reset/confirm).
+// Users request one themselves (it is sent to them, see passwordResetDelivery.js) or an admin issues one
+// to pass on (POST /api/users/:id/reset-password). Only a hash of the code is stored; a code works once,
+// until it expires, and issuing a new one cancels the user's earlier codes. Wrong guesses count as failed
+// logins (see loginThrottle.js), which caps how many of the 10^6 codes can be tried.
+
+const CODE_LENGTH = 6;
+const SELF_SERVICE_TTL_MINUTES = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 15;
+// Admin-issued codes are handed over in person or by phone, so they last longer
+const ADMIN_TTL_MINUTES = 24 * 60;
+// A user can't be sent another code sooner than this
+const RESEND_INTERVAL_SECONDS = 60;
+
+const hashCode = (userId, code) => crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+
+const generateCode = () => String(crypto.randomInt(10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+/**
+ * Issues a reset code for a user, cancelling their earlier unused codes.
+ * @param {object} conn The pool or a connection.
+ * @param {number|string} userId
+ * @param {object} [options]
+ * @param {'self_service'|'admin'} [options.purpose='self_service']
+ * @param {number|string|null} [options.createdBy] The admin issuing it.
+ * @returns {Promise<{code: string, expiresAt: Date}>}
+ */
+async function issueResetCode(conn, userId, { purpose = 'self_service', createdBy = null } = {}) {
+    const code = generateCode();
+    const ttlMinutes = purpose === 'admin' ? ADMIN_TTL_MINUTES : SELF_SERVICE_TTL_MINUTES;
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await conn.query('DELETE FROM password_reset_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+    await conn.query(
+        `INSERT INTO password_reset_codes (user_id, code_hash, purpose, created_by, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [userId, hashCode(userId, code), purpose, createdBy, ttlMinutes]
+    );
+    return { code, expiresAt };
+}
+
+/**
+ * Whether the user was issued a code less than RESEND_INTERVAL_SECONDS ago.
+ */
+async function issuedRecently(userId) {
+    const [rows] = await db.query(
+        'SELECT 1 FROM password_reset_codes WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND) LIMIT 1',
+        [userId, RESEND_INTERVAL_SECONDS]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Uses up a reset code. Returns false when it is wrong, expired or already used.
+ * @param {object} conn A connection with an open transaction.
+ */
+async function consumeResetCode(conn, userId, code) {
+    const [rows] = await conn.query(
+        `SELECT id FROM password_reset_codes
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+        [userId, hashCode(userId, String(code).trim())]
+    );
+    if (rows.length === 0) return false;
+    await conn.query('UPDATE password_reset_codes SET used_at = NOW() WHERE id = ?', [rows[0].id]);
+    await conn.query('DELETE FROM password_reset_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+    return true;
+}
+
+/**
+ * Removes codes expired or used more than a day ago (a scheduled job, see server.js). Returns the number removed.
+ */
+async function pruneResetCodes() {
+    const [result] = await db.query(
+        'DELETE FROM password_reset_codes WHERE COALESCE(used_at, expires_at) < DATE_SUB(NOW(), INTERVAL 1 DAY)'
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    issueResetCode,
+    issuedRecently,
+    consumeResetCode,
+    pruneResetCodes,
+};
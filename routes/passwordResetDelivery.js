@@ -0,0 +1,78 @@
+const fetch = require('node-fetch');
+
+// Sends password reset codes to users (see passwordReset.js).
+// PASSWORD_RESET_DELIVERY selects the adapter: 'console' (for dev: the code is only logged) or 'webhook',
+// which posts the message to PASSWORD_RESET_WEBHOOK_URL for an SMS or email gateway to send.
+// Outside production it defaults to 'console'; in production it must be set, or the server won't start.
+
+// ==== Delivery adapters ====
+// An adapter implements send({ channel, to, message, user, code, expiresAt }) -> Promise<void>.
+// channel is 'sms' when the user has a phone number, 'email' otherwise.
+
+const consoleDelivery = {
+    name: 'console',
+    async send({ channel, to, user, code, expiresAt }) {
+        console.log(`[password reset] ${channel} to ${to} for ${user.username}: code ${code}, valid until ${expiresAt.toISOString()}`);
+    },
+};
+
+const webhookDelivery = {
+    name: 'webhook',
+    async send({ channel, to, message, user, expiresAt }) {
+        const url = process.env.PASSWORD_RESET_WEBHOOK_URL;
+        if (!url) throw new Error('PASSWORD_RESET_WEBHOOK_URL is not set.');
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.PASSWORD_RESET_WEBHOOK_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.PASSWORD_RESET_WEBHOOK_TOKEN}`;
+        }
+        const res = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ channel, to, message, userId: String(user.id), expiresAt: expiresAt.toISOString() }),
+        });
+        if (!res.ok) throw new Error(`Password reset webhook answered ${res.status}.`);
+    },
+};
+
+const ADAPTERS = { console: consoleDelivery, webhook: webhookDelivery };
+
+const resolveDelivery = () => {
+    if (!process.env.PASSWORD_RESET_DELIVERY && process.env.NODE_ENV === 'production') {
+        throw new Error('PASSWORD_RESET_DELIVERY must be set in production.');
+    }
+    const configured = (process.env.PASSWORD_RESET_DELIVERY || 'console').toLowerCase();
+    if (!ADAPTERS[configured]) throw new Error(`Unknown PASSWORD_RESET_DELIVERY '${configured}'.`);
+    return ADAPTERS[configured];
+};
+
+const delivery = resolveDelivery();
+
+/**
+ * Where a user's reset code can be sent, or null when they have neither a phone number nor an email.
+ * @returns {{channel: 'sms'|'email', to: string}|null}
+ */
+function destinationFor(user) {
+    if (user.phone && String(user.phone).trim()) return { channel: 'sms', to: String(user.phone).trim() };
+    if (user.email && String(user.email).trim()) return { channel: 'email', to: String(user.email).trim() };
+    return null;
+}
+
+/**
+ * Sends a reset code through the configured adapter.
+ * @param {object} user A users row (id, username, phone, email).
+ * @param {string} code
+ * @param {Date} expiresAt
+ * @returns {Promise<boolean>} false when the user has nowhere to send it to.
+ */
+async function deliverResetCode(user, code, expiresAt) {
+    const destination = destinationFor(user);
+    if (!destination) return false;
+    const minutes = Math.max(1, Math.round((expiresAt.getTime() - Date.now()) / 60000));
+    const message = `رمز إعادة تعيين كلمة المرور: ${code}\nصالح لمدة ${minutes} دقيقة. إذا لم تطلبه فتجاهل هذه الرسالة.`;
+    await delivery.send({ ...destination, message, user, code, expiresAt });
+    return true;
+}
+
+module.exports = {
+    deliverResetCode,
+};
@@ -0,0 +1,233 @@
+// Central permission policy shared by all routers.
+// Every rule is defined once here as `resource -> action -> rule(user, record)`, where `user` is
+// req.user (see authMiddleware.js) and `record` is the optional DB row the action targets.
+
+// ==== Rule building blocks ====
+const everyone = () => true;
+const hasRole = (...roles) => (user) => roles.includes(user.role);
+const hasFlag = (flag) => (user) => !!user[flag];
+const isAdmin = hasRole('admin');
+const isOwner = (user, record) => !!record && String(record.user_id) === String(user.id);
+const isTeamLeadOf = (user, record) => !!record && user.role === 'team_lead'
+    && record.team_leader_id !== undefined && record.team_leader_id !== null
+    && String(record.team_leader_id) === String(user.id);
+const isBranchManager = (user) => user.role === 'branch_manager' && !!user.branchId;
+// For records owned by a user rather than a branch, `record.branch_id` is the owner's branch.
+// Reports have both: `branch_id` they were filed for and `author_branch_id`, their author's branch
+const isBranchManagerOf = (user, record) => !!record && isBranchManager(user)
+    && [record.branch_id, record.author_branch_id].some(branchId => String(branchId) === String(user.branchId));
+const isNoteAuthor = (user, record) => !!record && String(record.author_id) === String(user.id);
+const anyOf = (...rules) => (user, record) => rules.some(rule => rule(user, record));
+const not = (rule) => (user, record) => !rule(user, record);
+
+const isPackageManager = anyOf(isAdmin, hasFlag('hasPackageManagementPermission'));
+const isPurchaseManager = anyOf(isAdmin, hasFlag('hasPurchaseManagementPermission'));
+const isImportExportManager = anyOf(isAdmin, hasFlag('hasImportExportPermission'));
+const isHrManager = anyOf(isAdmin, hasRole('hr_manager'));
+
+const POLICIES = {
+    report: {
+        list: everyone,
+        create: everyone,
+        view: anyOf(isAdmin, isOwner, isTeamLeadOf, isBranchManagerOf),
+        // Branch managers act on the reports of their branch
+        update: anyOf(isAdmin, isOwner, isTeamLeadOf, isBranchManagerOf),
+        // Setting the report status (approval); PUT keeps the stored status for everyone else
+        approve: anyOf(isAdmin, isBranchManagerOf),
+        comment: anyOf(isAdmin, isOwner, isTeamLeadOf, isBranchManagerOf),
+        delete: isAdmin,
+        restore: isAdmin,
+        // Team leads only see the project stage files they uploaded themselves
+        viewAllStageFiles: not(hasRole('team_lead')),
+    },
+    // Notes and replies on reports; `record` is the report_admin_notes row
+    reportNote: {
+        update: isNoteAuthor,
+        delete: anyOf(isAdmin, isNoteAuthor),
+    },
+    user: {
+        list: everyone,
+        create: isAdmin,
+        update: isAdmin,
+        delete: isAdmin,
+        restore: isAdmin,
+        setStatus: isAdmin,
+        resetPassword: isAdmin,
+    },
+    loginLockout: {
+        list: isAdmin,
+        unlock: isAdmin,
+    },
+    branch: {
+        list: everyone,
+        create: isAdmin,
+        update: isAdmin,
+        delete: isAdmin,
+        restore: isAdmin,
+    },
+    team: {
+        list: everyone,
+        create: isAdmin,
+        update: isAdmin,
+        delete: isAdmin,
+        restore: isAdmin,
+    },
+    // Employee lifecycle (see hr.js)
+    employee: {
+        onboard: isHrManager,
+        update: isHrManager,
+        deactivate: isHrManager,
+        reassign: isHrManager,
+        export: isHrManager,
+    },
+    stageTemplate: {
+        list: everyone,
+        create: isAdmin,
+        update: isAdmin,
+        delete: isAdmin,
+    },
+    workflow: {
+        list: everyone,
+        create: isImportExportManager,
+        update: isImportExportManager,
+        delete: isImportExportManager,
+    },
+    package: {
+        list: everyone,
+        create: everyone,
+        // Plain employees see their own requests, branch managers those of their branch's users
+        view: anyOf(isPackageManager, isOwner, isBranchManagerOf, not(hasRole('employee', 'branch_manager'))),
+        confirmPayment: anyOf(isPackageManager, isOwner, isBranchManagerOf),
+        start: isPackageManager,
+        markReady: isPackageManager,
+        confirmDelivery: anyOf(isPackageManager, isOwner, isBranchManagerOf),
+        // Owners and branch managers edit the descriptive fields; status and progress move through the
+        // endpoints above, or PUT for package managers
+        update: anyOf(isPackageManager, isOwner, isBranchManagerOf),
+        setStatus: isPackageManager,
+        delete: isPackageManager,
+    },
+    // Branch managers handle the invoices and custody sheets of their branch's users
+    purchase: {
+        manage: anyOf(isPurchaseManager, isBranchManager),
+        view: anyOf(isPurchaseManager, isBranchManagerOf),
+        update: anyOf(isPurchaseManager, isBranchManagerOf),
+    },
+    instantExpense: {
+        manage: anyOf(isPurchaseManager, isBranchManager),
+        view: anyOf(isPurchaseManager, isBranchManagerOf),
+        update: anyOf(isPurchaseManager, isBranchManagerOf),
+    },
+    quotation: {
+        list: everyone,
+        create: everyone,
+        view: everyone,
+        // Quotations saved before user_id existed have no owner and are deleted by admins only
+        delete: anyOf(isAdmin, isOwner),
+    },
+    notification: {
+        read: isOwner,
+        update: isOwner,
+    },
+    // Soft-deleted records (see softDelete.js)
+    trash: {
+        list: isAdmin,
+    },
+    reminderRule: {
+        list: isAdmin,
+        update: isAdmin,
+        run: isAdmin,
+    },
+    push: {
+        registerDevice: everyone,
+        send: isAdmin,
+        // Delivery history and test pushes
+        diagnose: isAdmin,
+    },
+};
+
+// ==== List scopes ====
+// SQL conditions restricting list queries to the rows a user may see. They mirror the `view`
+// rules above and use the table aliases of the corresponding router query.
+const ALL_ROWS = { sql: '1 = 1', params: [] };
+
+const LIST_SCOPES = {
+    // reports r, users u (the author), technical_teams t
+    report: (user) => {
+        if (user.role === 'admin') return ALL_ROWS;
+        if (isBranchManager(user)) return { sql: '(r.branch_id = ? OR u.branch_id = ?)', params: [user.branchId, user.branchId] };
+        if (user.role === 'team_lead') return { sql: '(r.user_id = ? OR t.leader_id = ?)', params: [user.id, user.id] };
+        return { sql: 'r.user_id = ?', params: [user.id] };
+    },
+    // package_requests p, users u (the requester)
+    package: (user) => {
+        if (isPackageManager(user)) return ALL_ROWS;
+        if (isBranchManager(user)) return { sql: 'u.branch_id = ?', params: [user.branchId] };
+        if (hasRole('employee', 'branch_manager')(user)) return { sql: 'p.user_id = ?', params: [user.id] };
+        return ALL_ROWS;
+    },
+    // purchase_invoices p, users u (who entered the invoice); only reachable with purchase.manage
+    purchase: (user) => {
+        if (user.role === 'employee') return { sql: 'p.user_id = ?', params: [user.id] };
+        if (isBranchManager(user) && !isPurchaseManager(user)) return { sql: 'u.branch_id = ?', params: [user.branchId] };
+        return ALL_ROWS;
+    },
+    // instant_expense_sheets s, users u (the custodian); only reachable with instantExpense.manage
+    instantExpense: (user) => {
+        if (user.role === 'employee') return { sql: 's.user_id = ?', params: [user.id] };
+        if (isBranchManager(user) && !isPurchaseManager(user)) return { sql: 'u.branch_id = ?', params: [user.branchId] };
+        return ALL_ROWS;
+    },
+};
+
+/**
+ * Returns the SQL condition (and its params) limiting a list query to what the user may see.
+ * Resources without a declared scope match nothing.
+ * @param {object} user The authenticated user (req.user).
+ * @param {string} resource A key of LIST_SCOPES, e.g. 'report'.
+ * @returns {{sql: string, params: Array}}
+ */
+function listScope(user, resource) {
+    const scope = LIST_SCOPES[resource];
+    if (!user || !scope) return { sql: '1 = 0', params: [] };
+    return scope(user);
+}
+
+/**
+ * Checks whether a user may perform an action on a resource.
+ * Unknown resources/actions are denied.
+ * @param {object} user The authenticated user (req.user).
+ * @param {string} resource A key of POLICIES, e.g. 'report'.
+ * @param {string} action An action of that resource, e.g. 'update'.
+ * @param {object} [record] The DB row being acted upon, for ownership rules.
+ * @returns {boolean}
+ */
+function can(user, resource, action, record) {
+    const rule = POLICIES[resource] && POLICIES[resource][action];
+    if (!user || !rule) return false;
+    return !!rule(user, record);
+}
+
+/**
+ * Middleware: rejects the request with 403 unless req.user may perform the action.
+ * For record-level rules, call `can()` from the handler once the row is loaded.
+ */
+const authorize = (resource, action) => (req, res, next) => {
+    if (can(req.user, resource, action)) {
+        return next();
+    }
+    return res.status(403).json({ message: 'Access Denied: You do not have permission for this operation.' });
+};
+
+/**
+ * Sends the standard 403 response used when a record-level check fails.
+ */
+const forbid = (res) => res.status(403).json({ message: 'Access Denied: You do not have permission for this operation.' });
+
+module.exports = {
+    can,
+    authorize,
+    forbid,
+    listScope,
+    POLICIES,
+};
@@ -0,0 +1,375 @@
+// Project workflow state machine.
+// A project report moves through reports.project_workflow_status only by the transitions declared
+// below. Each transition lists the statuses it may start from, the roles allowed to trigger it, how
+// many attachments it needs and the side effects applied to the report's stages and files.
+// Stage transitions are triggered through POST /reports/:id/confirm-stage (stageId = transition key);
+// transitions marked `manual` carry no side effects and may also be applied by PUT /reports/:id.
+// A PUT never changes which stages are completed (see checkStageEdits).
+//
+// Reports seeded from a stage template (see stageTemplates.js) may have stages without a dedicated
+// transition; those are confirmed with stageId = the stage key and don't move the status. Transitions
+// bound to a stage the template leaves out are skipped, so projects never have to fake stages.
+
+const reportStore = require('./reportStore');
+
+// Declared workflow statuses, in order. A project starts without a status (null).
+const STATUSES = ['ConcreteWorksDone', 'TechnicallyCompleted', 'FinishingWorks'];
+
+// Roles allowed to confirm template stages that have no dedicated transition
+const STAGE_CONFIRM_ROLES = ['admin', 'team_lead'];
+
+// ==== Side effects ====
+// Each effect runs inside the caller's transaction with
+// ctx = { conn, reportId, files, comment, now } and may return report columns to update.
+
+// Marks a stage completed; `files` are either appended to the stage or replace its files.
+const completeStage = (stageKey, { replaceFiles = false, keepComment = false } = {}) => async (ctx) => {
+    const stage = await reportStore.findStage(ctx.conn, ctx.reportId, stageKey);
+    if (!stage) return;
+    const comment = keepComment ? (ctx.comment || undefined) : (ctx.comment ?? null);
+    await reportStore.updateStage(ctx.conn, stage, { completed: true, timestamp: ctx.now, comment });
+    if (replaceFiles) {
+        await reportStore.replaceFiles(ctx.conn, ctx.reportId, 'stage', String(stage.position), ctx.files);
+    } else {
+        await reportStore.appendFiles(ctx.conn, ctx.reportId, 'stage', String(stage.position), ctx.files);
+    }
+};
+
+// Stores the first uploaded file at a fixed position of a stage's files (e.g. the signed handover doc)
+const setStageFile = (stageKey, position) => async (ctx) => {
+    const stage = await reportStore.findStage(ctx.conn, ctx.reportId, stageKey);
+    if (!stage) return;
+    await reportStore.replaceFiles(ctx.conn, ctx.reportId, 'stage', String(stage.position), ctx.files, position);
+};
+
+const appendWorkflowDocs = async (ctx) => {
+    await reportStore.appendFiles(ctx.conn, ctx.reportId, 'workflow_doc', null, ctx.files);
+};
+
+// Older clients stored the completion proof directly on details; it now lives on the stage
+const dropLegacyCompletionProof = async (ctx) => {
+    const [rows] = await ctx.conn.query('SELECT content FROM reports WHERE id = ?', [ctx.reportId]);
+    const details = reportStore.safeJsonParse(rows[0].content, {});
+    if (!('completionProof' in details)) return;
+    delete details.completionProof;
+    return { content: JSON.stringify(details) };
+};
+
+// ==== Transitions ====
+// from: statuses the transition may start from; to: resulting status (undefined keeps the current one)
+// stageKey: the project stage the transition acts on; completesStage: it marks that stage completed
+const TRANSITIONS = {
+    concreteWorks: {
+        from: [null],
+        to: 'ConcreteWorksDone',
+        stageKey: 'concreteWorks',
+        completesStage: true,
+        roles: ['admin', 'team_lead'],
+        minAttachments: 0,
+        effects: [completeStage('concreteWorks', { keepComment: true })],
+    },
+    technicalCompletion: {
+        from: ['ConcreteWorksDone'],
+        to: 'TechnicallyCompleted',
+        stageKey: 'installationComplete',
+        completesStage: true,
+        roles: ['admin', 'team_lead'],
+        minAttachments: 1,
+        effects: [completeStage('installationComplete', { replaceFiles: true }), dropLegacyCompletionProof],
+    },
+    // The approval of a technically completed project; branch managers approve their own branch's
+    // projects (PUT /reports/:id checks report.update first)
+    finishingWorks: {
+        from: ['TechnicallyCompleted'],
+        to: 'FinishingWorks',
+        roles: ['admin', 'branch_manager'],
+        minAttachments: 0,
+        manual: true,
+        effects: [],
+    },
+    deliveryHandover_signed: {
+        from: ['FinishingWorks'],
+        stageKey: 'deliveryHandover',
+        roles: ['admin', 'team_lead', 'employee'],
+        minAttachments: 1,
+        effects: [setStageFile('deliveryHandover', 1)],
+    },
+    workflowDocs: {
+        from: ['FinishingWorks'],
+        roles: ['admin', 'team_lead', 'employee'],
+        minAttachments: 1,
+        effects: [appendWorkflowDocs],
+    },
+};
+
+// Statuses outside STATUSES (empty strings, values written before the state machine) count as not started
+const currentStatus = (status) => (STATUSES.includes(status) ? status : null);
+
+const getTransition = (key) => (Object.prototype.hasOwnProperty.call(TRANSITIONS, key) ? TRANSITIONS[key] : null);
+
+/**
+ * Stage keys a template may not use because a transition with another stage owns that key.
+ */
+const isReservedStageKey = (key) => {
+    const transition = getTransition(key);
+    return !!transition && transition.stageKey !== key;
+};
+
+// ==== Workflow state ====
+
+/**
+ * Loads what the state machine needs to know about a report.
+ * @param {object} conn The pool or a connection (use the transaction's connection once the row is locked).
+ * @returns {Promise<{status: string|null, templated: boolean, stages: Array<object>}|null>}
+ */
+async function loadWorkflowState(conn, reportId) {
+    const [rows] = await conn.query('SELECT project_workflow_status, stage_template_id FROM reports WHERE id = ?', [reportId]);
+    if (rows.length === 0) return null;
+    const [stages] = await conn.query('SELECT * FROM report_project_stages WHERE report_id = ? ORDER BY position', [reportId]);
+    return {
+        status: rows[0].project_workflow_status,
+        templated: !!rows[0].stage_template_id,
+        stages: stages.map(row => ({ ...row, data: reportStore.safeJsonParse(row.data, {}) })),
+    };
+}
+
+// On templated reports, transitions bound to a stage the template doesn't have are passed through
+const isSkipped = (transition, state) => !!state.templated && !!transition.stageKey
+    && !state.stages.some(stage => stage.stage_key === transition.stageKey);
+
+/**
+ * The statuses a report is effectively at: its status plus any reached by skipped transitions.
+ */
+const effectiveStatuses = (state) => {
+    const statuses = new Set([currentStatus(state.status)]);
+    let grown = true;
+    while (grown) {
+        grown = false;
+        Object.values(TRANSITIONS).forEach(transition => {
+            if (transition.to !== undefined && !statuses.has(transition.to) && isSkipped(transition, state)
+                && transition.from.some(status => statuses.has(status))) {
+                statuses.add(transition.to);
+                grown = true;
+            }
+        });
+    }
+    return statuses;
+};
+
+const canStartFrom = (transition, state) => {
+    const statuses = effectiveStatuses(state);
+    return transition.from.some(status => statuses.has(status));
+};
+
+/**
+ * Lists the transition keys that may start from a report's current state.
+ * @param {object|string|null} state A loadWorkflowState() result, or just a status.
+ */
+const allowedTransitions = (state) => {
+    const normalized = (state && typeof state === 'object') ? state : { status: state, templated: false, stages: [] };
+    return Object.keys(TRANSITIONS)
+        .filter(key => !isSkipped(TRANSITIONS[key], normalized) && canStartFrom(TRANSITIONS[key], normalized));
+};
+
+// Attachments a template asks for when a stage is completed
+const stageAttachmentCount = (stage) => {
+    if (!stage) return 0;
+    const documents = Array.isArray(stage.data.requiredDocuments) ? stage.data.requiredDocuments.length : 0;
+    return documents + (stage.data.requiresSignedDocument ? 1 : 0);
+};
+
+// Stages of a templated report are confirmed in order
+const pendingEarlierStages = (state, stage) => (state.templated && stage
+    ? state.stages.filter(other => other.position < stage.position && !other.completed).map(other => other.stage_key)
+    : []);
+
+const forbidden = () => ({ status: 403, body: { message: 'Access Denied: You do not have permission for this operation.' } });
+
+/**
+ * Validates a confirm-stage action for a user and a report's workflow state.
+ * `key` is either a transition key or, on templated reports, a stage key.
+ * @param {object} user req.user
+ * @param {string} key
+ * @param {object} state A loadWorkflowState() result.
+ * @param {number} [fileCount]
+ * @returns {{status: number, body: object}|null} The error response to send, or null when allowed.
+ */
+function checkTransition(user, key, state, fileCount = 0) {
+    const transition = getTransition(key);
+    const stage = state.stages.find(s => s.stage_key === (transition ? transition.stageKey : key)) || null;
+
+    if (!transition && !stage) {
+        return { status: 400, body: { message: `Stage action '${key}' is not recognized.` } };
+    }
+    if (transition && !canStartFrom(transition, state)) {
+        return {
+            status: 409,
+            body: {
+                message: `Stage action '${key}' is not allowed while the project is in status '${currentStatus(state.status) || 'NotStarted'}'.`,
+                currentStatus: currentStatus(state.status),
+                allowedTransitions: allowedTransitions(state),
+            },
+        };
+    }
+    if (!transition && stage.completed) {
+        return { status: 409, body: { message: `Stage '${key}' is already completed.` } };
+    }
+    const pending = pendingEarlierStages(state, stage);
+    if (pending.length > 0) {
+        return { status: 409, body: { message: `Complete the earlier stages first: ${pending.join(', ')}.`, pendingStages: pending } };
+    }
+    if (!(transition ? transition.roles : STAGE_CONFIRM_ROLES).includes(user.role)) {
+        return forbidden();
+    }
+    const completes = !transition || transition.completesStage;
+    const minAttachments = Math.max(transition ? transition.minAttachments : 0, completes ? stageAttachmentCount(stage) : 0);
+    if (fileCount < minAttachments) {
+        return { status: 400, body: { message: `Stage action '${key}' requires at least ${minAttachments} attachment(s).` } };
+    }
+    return null;
+}
+
+/**
+ * Validates a status change requested through PUT /reports/:id.
+ * Unchanged statuses always pass; anything else must be a manual transition the user may trigger.
+ * @param {object} user req.user
+ * @param {object} state A loadWorkflowState() result (for new reports: { status: null, templated: false, stages: [] }).
+ * @param {string|null} toStatus
+ * @returns {{status: number, body: object}|null}
+ */
+function checkStatusChange(user, state, toStatus) {
+    if ((toStatus || null) === (state.status || null)) return null;
+    const transition = Object.values(TRANSITIONS)
+        .find(t => t.manual && t.to === toStatus && canStartFrom(t, state)) || null;
+    if (!transition) {
+        return {
+            status: 409,
+            body: {
+                message: `Project workflow status cannot change from '${currentStatus(state.status) || 'NotStarted'}' to '${toStatus || 'NotStarted'}'.`,
+                currentStatus: currentStatus(state.status),
+                allowedTransitions: allowedTransitions(state),
+            },
+        };
+    }
+    if (!transition.roles.includes(user.role)) {
+        return forbidden();
+    }
+    return null;
+}
+
+// ==== Report edits ====
+
+// The stored stage a stage sent with PUT /reports/:id stands for: same id, or same position without one
+const storedStageFor = (storedStages, stage, index) => (stage && stage.id !== undefined && stage.id !== null
+    ? storedStages.find(stored => stored && stored.id === stage.id)
+    : storedStages[index]) || null;
+
+const stageLabel = (stage, index) => (stage && stage.id !== undefined && stage.id !== null ? String(stage.id) : `#${index}`);
+
+/**
+ * Validates the stages sent with PUT /reports/:id (`details.updates`) against the stored ones.
+ * Stages are completed only through confirm-stage, where checkTransition() applies the roles, the
+ * required attachments (including a template's signed document) and the order, so a PUT may neither
+ * complete, un-complete nor drop a completed stage. New reports pass no stored stages.
+ * @param {Array<object>} storedStages The stored `details.updates`.
+ * @param {Array<object>} stages The submitted `details.updates`.
+ * @returns {{status: number, body: object}|null}
+ */
+function checkStageEdits(storedStages, stages) {
+    const stored = Array.isArray(storedStages) ? storedStages : [];
+    const submitted = Array.isArray(stages) ? stages : [];
+    const matched = new Set();
+    const changed = [];
+    submitted.forEach((stage, index) => {
+        const storedStage = storedStageFor(stored, stage, index);
+        if (storedStage) matched.add(storedStage);
+        if (!!(stage && stage.completed) !== !!(storedStage && storedStage.completed)) changed.push(stageLabel(stage, index));
+    });
+    stored.forEach((storedStage, index) => {
+        if (storedStage && storedStage.completed && !matched.has(storedStage)) changed.push(stageLabel(storedStage, index));
+    });
+    if (changed.length === 0) return null;
+    return {
+        status: 409,
+        body: {
+            message: `Stage completion can only change through confirm-stage: ${changed.join(', ')}.`,
+            stages: changed,
+        },
+    };
+}
+
+/**
+ * Gives the submitted stages the completion time stored for them, after checkStageEdits() passed.
+ */
+function keepStageCompletion(storedStages, stages) {
+    const stored = Array.isArray(storedStages) ? storedStages : [];
+    (Array.isArray(stages) ? stages : []).forEach((stage, index) => {
+        if (!stage) return;
+        const storedStage = storedStageFor(stored, stage, index);
+        stage.timestamp = storedStage ? storedStage.timestamp : undefined;
+    });
+}
+
+/**
+ * Runs a confirm-stage action and moves the report to the transition's target status.
+ * Must run inside the caller's transaction, after checkTransition() passed.
+ * @param {object} conn
+ * @param {number|string} reportId
+ * @param {string} key A transition key or a template stage key.
+ * @param {object} [input] { files, comment }
+ */
+async function applyTransition(conn, reportId, key, { files = [], comment } = {}) {
+    const transition = getTransition(key) || { effects: [completeStage(key, { keepComment: true })] };
+    const ctx = { conn, reportId, files, comment, now: new Date().toISOString() };
+
+    const updates = {};
+    for (const effect of transition.effects) {
+        Object.assign(updates, await effect(ctx));
+    }
+    if (transition.to !== undefined) {
+        updates.project_workflow_status = transition.to;
+        updates.workflow_status_changed_at = new Date();
+    }
+    if (Object.keys(updates).length > 0) {
+        await conn.query('UPDATE reports SET ? WHERE id = ?', [updates, reportId]);
+    }
+}
+
+// ==== Stage templates ====
+
+/**
+ * Loads a stage template with its ordered stages, or null when it doesn't exist.
+ */
+async function loadStageTemplate(conn, templateId) {
+    const [rows] = await conn.query('SELECT * FROM project_stage_templates WHERE id = ?', [templateId]);
+    if (rows.length === 0) return null;
+    const [stages] = await conn.query('SELECT * FROM project_stage_template_stages WHERE template_id = ? ORDER BY position', [templateId]);
+    return { ...rows[0], stages };
+}
+
+/**
+ * Builds the initial `details.updates` of a Project report from a template.
+ */
+const stagesFromTemplate = (template) => template.stages.map(stage => ({
+    id: stage.stage_key,
+    title: stage.title || undefined,
+    requiredDocuments: reportStore.safeJsonParse(stage.required_documents, []),
+    requiresSignedDocument: !!stage.requires_signed_document,
+    completed: false,
+    files: [],
+}));
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    isReservedStageKey,
+    loadWorkflowState,
+    allowedTransitions,
+    checkTransition,
+    checkStatusChange,
+    checkStageEdits,
+    keepStageCompletion,
+    applyTransition,
+    loadStageTemplate,
+    stagesFromTemplate,
+};
@@ -1,57 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
-const multer = require('multer');
-const { cloudinary } = require('../cloudinary.js');
-const streamifier = require('streamifier');
-
-// Multer memory storage for direct Cloudinary uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-// Helper: upload a file to Cloudinary into a purchases folder per user
-const uploadFileToCloudinary = (file, uploadedById) => {
-  return new Promise((resolve, reject) => {
-    const publicId = file.originalname.split('.').slice(0, -1).join('.').trim();
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: `qssun_reports/purchases/${uploadedById}`,
-        public_id: publicId,
-        resource_type: 'auto'
-      },
-      (error, result) => {
-        if (error) return reject(error);
-        if (result) resolve({ url: result.secure_url, fileName: file.originalname, id: result.public_id, uploadedBy: uploadedById });
-        else reject(new Error('Cloudinary upload failed without an error object.'));
-      }
-    );
-    streamifier.createReadStream(file.buffer).pipe(uploadStream);
-  });
-};
-
-// Security Middleware to check for Purchase Management permission
-const checkPurchaseManagementPermission = async (req, res, next) => {
-  try {
-    const requesterIdOrUsername = req.headers['x-user-id'] || req.body.employeeId;
-    if (!requesterIdOrUsername) {
-      return res.status(401).json({ message: 'Unauthorized: User ID is missing.' });
-    }
-    const idStr = String(requesterIdOrUsername);
-    const isNumericId = /^[0-9]+$/.test(idStr);
-    const whereField = isNumericId ? 'id' : 'username';
-    const [userRows] = await db.query(`SELECT role, has_purchase_management_permission FROM users WHERE ${whereField} = ?`, [requesterIdOrUsername]);
-    if (userRows.length === 0) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
-    const user = userRows[0];
-    if (String(user.role).toLowerCase() === 'admin' || !!user.has_purchase_management_permission) {
-      return next();
-    }
-    return res.status(403).json({ message: 'Forbidden: Purchase management permission required.' });
-  } catch (error) {
-    console.error('Error in checkPurchaseManagementPermission:', error);
-    return res.status(500).json({ message: 'Internal error while checking permissions.' });
-  }
+const { can, authorize, forbid, listScope } = require('./permissions');
+const { storeFiles, acceptUploads, discardOnFailure } = require('./attachmentService');
+
+// Invoice scans and payment proofs
+const uploadAttachments = acceptUploads({ field: 'attachments', kind: 'imageOrPdf', maxFiles: 10 });
+
+// Load the bare invoice row used for record-level permission checks (branch_id is the branch of who entered it)
+const findPurchaseForPolicy = async (id) => {
+  const [rows] = await db.query(
+    'SELECT p.id, p.user_id, u.branch_id FROM purchase_invoices p LEFT JOIN users u ON p.user_id = u.id WHERE p.id = ?',
+    [id]
+  );
+  return rows[0] || null;
 };
 
 // Map DB row to frontend PurchaseInvoice
@@ -75,28 +37,18 @@ const mapPurchaseRowToFrontend = (row) => ({
   reviewStatus: row.review_status || 'NEEDS_REVIEW',
 });
 
-// GET /api/purchase-invoices - list
-router.get('/purchase-invoices', checkPurchaseManagementPermission, async (req, res) => {
+// GET /api/purchase-invoices - list, limited to the invoices the user may see (see LIST_SCOPES)
+router.get('/purchase-invoices', authorize('purchase', 'manage'), async (req, res) => {
   try {
-    const requesterId = req.headers['x-user-id'];
-    const requesterRole = (req.headers['x-user-role'] || '').toLowerCase();
-
-    let query = `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name
-                 FROM purchase_invoices p
-                 LEFT JOIN users u ON p.user_id = u.id
-                 ORDER BY p.invoice_date DESC, p.created_at DESC`;
-    let params = [];
-
-    if (requesterRole === 'employee' && requesterId) {
-      query = `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name
-               FROM purchase_invoices p
-               LEFT JOIN users u ON p.user_id = u.id
-               WHERE p.user_id = ?
-               ORDER BY p.invoice_date DESC, p.created_at DESC`;
-      params = [requesterId];
-    }
-
-    const [rows] = await db.query(query, params);
+    const scope = listScope(req.user, 'purchase');
+    const [rows] = await db.query(
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id
+       FROM purchase_invoices p
+       LEFT JOIN users u ON p.user_id = u.id
+       WHERE ${scope.sql}
+       ORDER BY p.invoice_date DESC, p.created_at DESC`,
+      scope.params
+    );
     res.json(rows.map(mapPurchaseRowToFrontend));
   } catch (error) {
     console.error('Error in GET /api/purchase-invoices:', error);
@@ -105,9 +57,8 @@ router.get('/purchase-invoices', checkPurchaseManagementPermission, async (req,
 });
 
 // POST /api/purchase-invoices - create
-router.post('/purchase-invoices', checkPurchaseManagementPermission, async (req, res) => {
+router.post('/purchase-invoices', authorize('purchase', 'manage'), async (req, res) => {
   const {
-    employeeId,
     invoiceNumber,
     vendor,
     payee,
@@ -121,11 +72,8 @@ router.post('/purchase-invoices', checkPurchaseManagementPermission, async (req,
     reviewStatus,
   } = req.body;
 
+  const userId = req.user.id;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
-
     const id = `PUR-${Date.now().toString().slice(-6)}`;
     const payload = {
       id,
@@ -148,7 +96,7 @@ router.post('/purchase-invoices', checkPurchaseManagementPermission, async (req,
     await db.query('INSERT INTO purchase_invoices SET ?', payload);
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id
        FROM purchase_invoices p
        LEFT JOIN users u ON p.user_id = u.id
        WHERE p.id = ?`, [id]
@@ -161,16 +109,17 @@ router.post('/purchase-invoices', checkPurchaseManagementPermission, async (req,
 });
 
 // GET /api/purchase-invoices/:id - details with attachments + logs
-router.get('/purchase-invoices/:id', checkPurchaseManagementPermission, async (req, res) => {
+router.get('/purchase-invoices/:id', authorize('purchase', 'manage'), async (req, res) => {
   const { id } = req.params;
   try {
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id
        FROM purchase_invoices p
        LEFT JOIN users u ON p.user_id = u.id
        WHERE p.id = ?`, [id]
     );
     if (rows.length === 0) return res.status(404).json({ message: 'Purchase invoice not found.' });
+    if (!can(req.user, 'purchase', 'view', rows[0])) return forbid(res);
     const base = mapPurchaseRowToFrontend(rows[0]);
 
     const [attachRows] = await db.query('SELECT * FROM purchase_attachments WHERE purchase_id = ? ORDER BY upload_date DESC', [id]);
@@ -187,19 +136,20 @@ router.get('/purchase-invoices/:id', checkPurchaseManagementPermission, async (r
 });
 
 // POST /api/purchase-invoices/:id/hide - hide invoice with reason
-router.post('/purchase-invoices/:id/hide', checkPurchaseManagementPermission, async (req, res) => {
+router.post('/purchase-invoices/:id/hide', authorize('purchase', 'manage'), async (req, res) => {
   const { id } = req.params;
-  const { employeeId, reason } = req.body;
+  const { reason } = req.body;
+  const userId = req.user.id;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
+    const invoice = await findPurchaseForPolicy(id);
+    if (!invoice) return res.status(404).json({ message: 'Purchase invoice not found.' });
+    if (!can(req.user, 'purchase', 'update', invoice)) return forbid(res);
 
     await db.query('UPDATE purchase_invoices SET hidden = 1, hide_reason = ?, hidden_at = ?, last_modified = ? WHERE id = ?', [reason || null, new Date(), new Date(), id]);
     await db.query('INSERT INTO purchase_logs SET ?', { purchase_id: id, action: 'hidden', comment: reason || '', actor_id: userId, date: new Date() });
 
     const [rows] = await db.query(
-      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name
+      `SELECT p.*, u.username as employee_id_username, u.full_name as employee_full_name, u.branch_id
        FROM purchase_invoices p
        LEFT JOIN users u ON p.user_id = u.id
        WHERE p.id = ?`, [id]
@@ -212,34 +162,41 @@ router.post('/purchase-invoices/:id/hide', checkPurchaseManagementPermission, as
 });
 
 // POST /api/purchase-invoices/:id/attachments - upload attachments
-router.post('/purchase-invoices/:id/attachments', checkPurchaseManagementPermission, upload.array('attachments'), async (req, res) => {
+router.post('/purchase-invoices/:id/attachments', authorize('purchase', 'manage'), uploadAttachments, async (req, res) => {
   const { id } = req.params;
-  const { employeeId, type } = req.body; // optional type: invoice_scan | payment_proof | other
+  const { type } = req.body; // optional type: invoice_scan | payment_proof | other
+  const userId = req.user.id;
+  let connection;
   try {
-    const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-    if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-    const userId = userRows[0].id;
-
-    let uploadedFiles = [];
-    if (req.files && req.files.length > 0) {
-      uploadedFiles = await Promise.all(req.files.map(file => uploadFileToCloudinary(file, userId)));
-      for (const f of uploadedFiles) {
-        await db.query('INSERT INTO purchase_attachments SET ?', {
-          purchase_id: id,
-          type: type || 'invoice_scan',
-          url: f.url,
-          file_name: f.fileName,
-          uploaded_by: userId,
-          upload_date: new Date(),
-        });
-      }
+    const invoice = await findPurchaseForPolicy(id);
+    if (!invoice) return res.status(404).json({ message: 'Purchase invoice not found.' });
+    if (!can(req.user, 'purchase', 'update', invoice)) return forbid(res);
+
+    // Files are stored before the transaction and discarded if the request fails
+    const uploadedFiles = await storeFiles(req.files, { ownerId: userId, entityType: 'purchase', entityId: id, folder: 'purchases' });
+    discardOnFailure(res, uploadedFiles);
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+    for (const f of uploadedFiles) {
+      await connection.query('INSERT INTO purchase_attachments SET ?', {
+        purchase_id: id,
+        type: type || 'invoice_scan',
+        url: f.url,
+        file_name: f.fileName,
+        uploaded_by: userId,
+        upload_date: new Date(),
+      });
     }
-
-    await db.query('INSERT INTO purchase_logs SET ?', { purchase_id: id, action: 'attachments_uploaded', comment: type || '', actor_id: userId, date: new Date() });
+    await connection.query('INSERT INTO purchase_logs SET ?', { purchase_id: id, action: 'attachments_uploaded', comment: type || '', actor_id: userId, date: new Date() });
+    await connection.commit();
     res.status(201).json({ message: 'تم رفع المرفقات بنجاح.', files: uploadedFiles });
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error(`Error in POST /api/purchase-invoices/${id}/attachments:`, error);
     res.status(500).json({ message: 'حدث خطأ داخلي أثناء رفع المرفقات.' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
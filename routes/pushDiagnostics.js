@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db.js');
+const { authorize } = require('./permissions');
+const { encodeCursor, decodeCursor, pageLimit } = require('./pagination');
+const { dispatchPush, listPushDevices } = require('./pushService');
+
+// Admin diagnostics for push delivery: per-user history from push_delivery_log, the user's devices,
+// and test pushes to one device.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PUSH_CHANNELS = ['fcm', 'web_push'];
+const DELIVERY_STATUSES = ['sent', 'failed', 'pruned', 'skipped'];
+
+const formatDelivery = (row) => ({
+    id: row.id.toString(),
+    userId: row.user_id.toString(),
+    channel: row.channel,
+    device: row.device_hint,
+    deviceHash: row.device_hash,
+    title: row.title,
+    body: row.body_summary,
+    link: row.link,
+    status: row.status,
+    errorCode: row.error_code,
+    error: row.error_message,
+    source: row.source,
+    outboxId: row.outbox_id ? row.outbox_id.toString() : null,
+    createdAt: row.created_at,
+});
+
+// GET /api/push/deliveries - Query: userId (required), channel, status, deviceHash, limit, cursor
+router.get('/push/deliveries', authorize('push', 'diagnose'), async (req, res) => {
+    const { userId, channel, status, deviceHash, cursor } = req.query;
+    if (!userId) {
+        return res.status(400).json({ message: 'userId is required.' });
+    }
+    if (channel && !PUSH_CHANNELS.includes(channel)) {
+        return res.status(400).json({ message: `channel must be one of: ${PUSH_CHANNELS.join(', ')}.` });
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+    }
+    try {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+        if (channel) { conditions.push('channel = ?'); params.push(channel); }
+        if (status) { conditions.push('status = ?'); params.push(status); }
+        if (deviceHash) { conditions.push('device_hash = ?'); params.push(deviceHash); }
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({ message: 'Invalid cursor.' });
+            }
+            conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+            params.push(position.createdAt, position.createdAt, position.id);
+        }
+        const limit = pageLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+        // Fetch one extra row to know whether another page exists
+        const [rows] = await db.query(
+            `SELECT * FROM push_delivery_log WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const pageRows = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+        res.json({ items: pageRows.map(formatDelivery), nextCursor });
+    } catch (error) {
+        console.error('Error in GET /api/push/deliveries:', error);
+        res.status(500).json({ message: 'Failed to fetch push deliveries.' });
+    }
+});
+
+// GET /api/push/devices/:userId - The user's FCM tokens and web push subscriptions, identified by hash
+router.get('/push/devices/:userId(\\d+)', authorize('push', 'diagnose'), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        res.json(await listPushDevices(userId));
+    } catch (error) {
+        console.error(`Error in GET /api/push/devices/${userId}:`, error);
+        res.status(500).json({ message: 'Failed to fetch push devices.' });
+    }
+});
+
+// POST /api/push/test - Body: { userId, deviceHash?, channel?, title?, body? }
+// Sends a test push to one device (deviceHash from GET /api/push/devices/:userId) or to all devices of the user.
+router.post('/push/test', authorize('push', 'diagnose'), async (req, res) => {
+    const { userId, deviceHash, channel, title = 'إشعار تجريبي', body = 'هذا إشعار تجريبي من الدعم الفني' } = req.body || {};
+    if (!userId) {
+        return res.status(400).json({ message: 'userId is required.' });
+    }
+    if (channel && !PUSH_CHANNELS.includes(channel)) {
+        return res.status(400).json({ message: `channel must be one of: ${PUSH_CHANNELS.join(', ')}.` });
+    }
+    try {
+        let channels = channel ? [channel] : PUSH_CHANNELS;
+        if (deviceHash) {
+            const device = (await listPushDevices(userId)).find(d => d.deviceHash === deviceHash);
+            if (!device) {
+                return res.status(404).json({ message: 'Device not found for this user.' });
+            }
+            channels = [device.channel];
+        }
+        const { results, sent } = await dispatchPush(userId, { title, body, link: '/' }, { channels, deviceHash, source: 'test' });
+        res.json({ sent, results });
+    } catch (error) {
+        if (error.results) {
+            return res.status(502).json({ message: error.message, sent: 0, results: error.results });
+        }
+        console.error('Error in POST /api/push/test:', error);
+        res.status(500).json({ message: 'Failed to send test push.' });
+    }
+});
+
+module.exports = router;
@@ -1,89 +1,102 @@
+const crypto = require('crypto');
 const admin = require('./firebaseAdmin').admin; // Ensure we get the initialized admin object
 const db = require('../db.js');
 const fetch = require('node-fetch');
 
-/**
- * Saves or updates a user's FCM token in the database.
- * Uses an UPSERT to avoid duplicate key errors and noisy logs.
- * @param {string} userId The ID of the user.
- * @param {string} token The FCM token from the device.
- */
-async function saveTokenToDatabase(userId, token) {
-    try {
-        await db.query(
-            `INSERT INTO fcm_tokens (user_id, token, updated_at)
-             VALUES (?, ?, NOW())
-             ON DUPLICATE KEY UPDATE updated_at = NOW()`,
-            [userId, token]
-        );
-        console.log(`FCM token saved/updated for user ${userId}`);
-    } catch (error) {
-        console.error(`Error saving FCM token for user ${userId}:`, error);
-        throw error;
-    }
+let webpush;
+try {
+    webpush = require('web-push');
+} catch (e) {
+    console.warn('web-push module not installed yet. Install it to enable sending notifications.');
+}
+
+const VAPID_PUBLIC = process.env.WEB_PUSH_PUBLIC_KEY || process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE = process.env.WEB_PUSH_PRIVATE_KEY || process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.WEB_PUSH_SUBJECT || process.env.VAPID_SUBJECT || 'mailto:admin@qssun.solar';
+
+if (webpush && VAPID_PUBLIC && VAPID_PRIVATE) {
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC, VAPID_PRIVATE);
 }
 
+// Devices (FCM tokens, web push endpoints) are identified by a hash outside this module, plus a short
+// hint for humans; the token itself is never logged or returned.
+const deviceHash = (device) => crypto.createHash('sha256').update(String(device)).digest('hex');
+const deviceHint = (device) => `…${String(device).slice(-12)}`;
+
+// Result of one device in a dispatch
+const deviceResult = (channel, device, error = null, pruned = false) => ({
+    channel,
+    device: deviceHint(device),
+    deviceHash: deviceHash(device),
+    status: error ? (pruned ? 'pruned' : 'failed') : 'sent',
+    errorCode: error ? String(error.code || error.statusCode || 'unknown') : null,
+    error: error ? error.message || String(error) : null,
+});
+
+// Result of a channel that was not attempted (no device, or the channel isn't configured)
+const skippedResult = (channel, errorCode, error) => ({ channel, device: null, deviceHash: null, status: 'skipped', errorCode, error });
+
+// FCM error codes meaning the token is gone for good
+const INVALID_TOKEN_CODES = [
+    'messaging/invalid-registration-token',
+    'messaging/registration-token-not-registered'
+];
+
+// Web push endpoints answering 404/410 are expired subscriptions
+const EXPIRED_SUBSCRIPTION_STATUSES = [404, 410];
+
 /**
- * Sends a push notification to a specific user.
- * @param {string} userId The ID of the user to notify.
- * @param {string} title The title of the notification.
- * @param {string} body The body text of the notification.
- * @param {object} data The data payload to send with the notification (e.g., for navigation).
+ * Sends to every FCM token of a user (or only the one with `onlyDevice` as hash), through the Admin SDK
+ * or the legacy server key.
+ * @returns {Promise<Array<object>>} One deviceResult per token.
  */
-async function sendPushNotification(userId, title, body, data = {}) {
-    try {
-        const [rows] = await db.query('SELECT token FROM fcm_tokens WHERE user_id = ?', [userId]);
-        
-        if (rows.length === 0) {
-            console.log(`No FCM tokens found for user ${userId}. Skipping push notification.`);
-            return;
-        }
+async function sendToFcmDevices(userId, { title, body, data }, onlyDevice = null) {
+    const [rows] = await db.query('SELECT token FROM fcm_tokens WHERE user_id = ?', [userId]);
+    const tokens = rows.map(row => row.token).filter(token => !onlyDevice || deviceHash(token) === onlyDevice);
+    if (tokens.length === 0) {
+        console.log(`No FCM tokens found for user ${userId}.`);
+        return [skippedResult('fcm', 'NO_DEVICES', 'No FCM token registered.')];
+    }
 
-        const tokens = rows.map(row => row.token);
-        // Fallback: use FCM legacy server key if Admin SDK is not initialized
-        if (!(admin && admin.apps && admin.apps.length > 0)) {
-            const serverKey = process.env.FCM_SERVER_KEY;
-            if (!serverKey) {
-                console.warn('FCM_SERVER_KEY not configured and Firebase Admin not initialized. Skipping push notification.');
-                return;
-            }
-            await sendViaLegacyFCM(tokens, title, body, data, userId);
-            return;
+    // Fallback: use FCM legacy server key if Admin SDK is not initialized
+    if (!(admin && admin.apps && admin.apps.length > 0)) {
+        if (!process.env.FCM_SERVER_KEY) {
+            console.warn('FCM_SERVER_KEY not configured and Firebase Admin not initialized. Skipping FCM.');
+            return [skippedResult('fcm', 'NOT_CONFIGURED', 'Neither Firebase Admin nor FCM_SERVER_KEY is configured.')];
         }
+        return sendViaLegacyFCM(tokens, title, body, data, userId);
+    }
 
-        const message = {
-            notification: { title, body },
-            data: { ...data, click_action: 'FLUTTER_NOTIFICATION_CLICK' }, // Standard field for Capacitor
-            tokens: tokens,
-        };
-
-        const response = await admin.messaging().sendEachForMulticast(message);
-        
-        console.log(`Push notification sent to user ${userId}. Success: ${response.successCount}, Failure: ${response.failureCount}`);
-
-        if (response.failureCount > 0) {
-            const failures = [];
-            response.responses.forEach((resp, idx) => {
-                if (!resp.success) {
-                    failures.push(handleFailedToken(tokens[idx], resp.error));
-                }
-            });
-            await Promise.all(failures);
-        }
+    const message = {
+        notification: { title, body },
+        data: { ...data, click_action: 'FLUTTER_NOTIFICATION_CLICK' }, // Standard field for Capacitor
+        tokens: tokens,
+    };
 
+    let response;
+    try {
+        response = await admin.messaging().sendEachForMulticast(message);
     } catch (error) {
-        console.error(`Error sending push notification to user ${userId}:`, error);
+        return tokens.map(token => deviceResult('fcm', token, error));
     }
+    console.log(`FCM sent to user ${userId}. Success: ${response.successCount}, Failure: ${response.failureCount}`);
+
+    return Promise.all(response.responses.map(async (resp, idx) => {
+        if (resp.success) return deviceResult('fcm', tokens[idx]);
+        const pruned = await handleFailedToken(tokens[idx], resp.error);
+        return deviceResult('fcm', tokens[idx], resp.error, pruned);
+    }));
 }
 
 async function sendViaLegacyFCM(tokens, title, body, data, userId) {
-    try {
-        const payload = {
-            registration_ids: tokens,
-            notification: { title, body },
-            data: { ...data, click_action: 'FLUTTER_NOTIFICATION_CLICK' }
-        };
+    const payload = {
+        registration_ids: tokens,
+        notification: { title, body },
+        data: { ...data, click_action: 'FLUTTER_NOTIFICATION_CLICK' }
+    };
 
+    let result;
+    try {
         const res = await fetch('https://fcm.googleapis.com/fcm/send', {
             method: 'POST',
             headers: {
@@ -92,28 +105,24 @@ async function sendViaLegacyFCM(tokens, title, body, data, userId) {
             },
             body: JSON.stringify(payload)
         });
-
         if (!res.ok) {
             const text = await res.text();
-            throw new Error(`Legacy FCM request failed: ${text}`);
-        }
-
-        const result = await res.json();
-        console.log(`Legacy FCM sent to user ${userId}. Success: ${result.success}, Failure: ${result.failure}`);
-
-        if (result.failure > 0 && Array.isArray(result.results)) {
-            const failures = [];
-            result.results.forEach((item, idx) => {
-                if (item && item.error) {
-                    const mapped = mapLegacyErrorCode(item.error);
-                    failures.push(handleFailedToken(tokens[idx], { code: mapped, message: item.error }));
-                }
-            });
-            await Promise.all(failures);
+            throw Object.assign(new Error(`Legacy FCM request failed: ${text}`), { statusCode: res.status });
         }
+        result = await res.json();
     } catch (error) {
-        console.error(`Error sending legacy FCM to user ${userId}:`, error);
+        return tokens.map(token => deviceResult('fcm', token, error));
     }
+    console.log(`Legacy FCM sent to user ${userId}. Success: ${result.success}, Failure: ${result.failure}`);
+
+    const items = Array.isArray(result.results) ? result.results : [];
+    return Promise.all(tokens.map(async (token, idx) => {
+        const item = items[idx];
+        if (!item || !item.error) return deviceResult('fcm', token);
+        const error = { code: mapLegacyErrorCode(item.error), message: item.error };
+        const pruned = await handleFailedToken(token, error);
+        return deviceResult('fcm', token, error, pruned);
+    }));
 }
 
 function mapLegacyErrorCode(error) {
@@ -122,25 +131,168 @@ function mapLegacyErrorCode(error) {
         case 'NotRegistered': return 'messaging/registration-token-not-registered';
         default: return error || 'unknown';
     }
-}async function handleFailedToken(token, error) {
-    console.warn(`Failed to send to token: ${token}`, error.message);
-    const invalidTokenCodes = [
-        'messaging/invalid-registration-token',
-        'messaging/registration-token-not-registered'
-    ];
-    if (invalidTokenCodes.includes(error.code)) {
+}
+
+// Removes a token FCM rejected for good; returns whether it was removed
+async function handleFailedToken(token, error) {
+    console.warn(`Failed to send to FCM token ${deviceHint(token)}:`, error.message);
+    if (!INVALID_TOKEN_CODES.includes(error.code)) return false;
+    try {
+        await db.query('DELETE FROM fcm_tokens WHERE token = ?', [token]);
+        console.log(`Removed invalid FCM token ${deviceHint(token)}`);
+        return true;
+    } catch (dbError) {
+        console.error(`Error removing invalid FCM token ${deviceHint(token)}:`, dbError);
+        return false;
+    }
+}
+
+/**
+ * Sends to every browser subscription of a user (or only the one with `onlyDevice` as hash).
+ * @returns {Promise<Array<object>>} One deviceResult per subscription.
+ */
+async function sendToWebPushDevices(userId, { title, body, link, data }, onlyDevice = null) {
+    const unavailable = webPushUnavailableReason();
+    if (unavailable) {
+        console.warn(`${unavailable} Skipping web push.`);
+        return [skippedResult('web_push', 'NOT_CONFIGURED', unavailable)];
+    }
+
+    const [allRows] = await db.query('SELECT id, endpoint, keys_auth, keys_p256dh, raw FROM web_push_subscriptions WHERE user_id = ?', [userId]);
+    const rows = allRows.filter(row => !onlyDevice || deviceHash(row.endpoint) === onlyDevice);
+    if (rows.length === 0) {
+        console.log(`No web push subscriptions found for user ${userId}.`);
+        return [skippedResult('web_push', 'NO_DEVICES', 'No web push subscription registered.')];
+    }
+
+    const payload = JSON.stringify({ title, body, link, data });
+    const results = await Promise.all(rows.map(async (row) => {
         try {
-            await db.query('DELETE FROM fcm_tokens WHERE token = ?', [token]);
-            console.log(`Removed invalid FCM token: ${token}`);
-        } catch (dbError) {
-            console.error(`Error removing invalid FCM token ${token}:`, dbError);
+            await webpush.sendNotification(subscriptionFromRow(row), payload);
+            return deviceResult('web_push', row.endpoint);
+        } catch (error) {
+            const pruned = await handleFailedSubscription(row, error);
+            return deviceResult('web_push', row.endpoint, error, pruned);
         }
+    }));
+    console.log(`Web push sent to user ${userId}. Success: ${results.filter(r => r.status === 'sent').length}, Failure: ${results.filter(r => r.status !== 'sent').length}`);
+    return results;
+}
+
+// Removes a subscription the push service reports as expired; returns whether it was removed
+async function handleFailedSubscription(row, error) {
+    console.warn(`Failed to send to web push subscription ${row.id} (${deviceHint(row.endpoint)}):`, error.message);
+    if (!EXPIRED_SUBSCRIPTION_STATUSES.includes(error.statusCode)) return false;
+    try {
+        await db.query('DELETE FROM web_push_subscriptions WHERE id = ?', [row.id]);
+        console.log(`Removed expired web push subscription ${row.id}`);
+        return true;
+    } catch (dbError) {
+        console.error(`Error removing expired web push subscription ${row.id}:`, dbError);
+        return false;
     }
 }
 
+const PUSH_CHANNEL_SENDERS = {
+    fcm: sendToFcmDevices,
+    web_push: sendToWebPushDevices,
+};
+
+// Saves the per-device results of a dispatch in push_delivery_log. Logging never fails a push.
+async function logDeliveries(userId, { title, body, link }, results, { source, outboxId }) {
+    if (results.length === 0) return;
+    const summary = (text) => (text ? String(text).slice(0, 255) : null);
+    try {
+        await db.query(
+            `INSERT INTO push_delivery_log
+                (user_id, channel, device_hash, device_hint, title, body_summary, link, status, error_code, error_message, source, outbox_id)
+             VALUES ?`,
+            [results.map(result => [
+                userId, result.channel, result.deviceHash, result.device, summary(title), summary(body), summary(link),
+                result.status, result.errorCode, result.error ? String(result.error).slice(0, 1000) : null, source, outboxId,
+            ])]
+        );
+    } catch (error) {
+        console.error(`Failed to log push deliveries for user ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Lists the push devices of a user, for diagnostics (no tokens, see deviceHash()).
+ * @returns {Promise<Array<{channel: string, device: string, deviceHash: string, updatedAt: string}>>}
+ */
+async function listPushDevices(userId) {
+    const [tokens] = await db.query('SELECT token, updated_at FROM fcm_tokens WHERE user_id = ?', [userId]);
+    const [subscriptions] = await db.query('SELECT endpoint, updated_at FROM web_push_subscriptions WHERE user_id = ?', [userId]);
+    return [
+        ...tokens.map(row => ({ channel: 'fcm', device: deviceHint(row.token), deviceHash: deviceHash(row.token), updatedAt: row.updated_at })),
+        ...subscriptions.map(row => ({ channel: 'web_push', device: deviceHint(row.endpoint), deviceHash: deviceHash(row.endpoint), updatedAt: row.updated_at })),
+    ];
+}
+
+/**
+ * Sends a push to all devices of a user, on FCM (mobile apps) and web push (browsers).
+ * Expired tokens and subscriptions are pruned on the way, and every device attempt is saved in
+ * push_delivery_log. Rejects with a PushDeliveryError when the
+ * user has devices but none was reached and at least one failure may be temporary, so callers
+ * (the notification outbox) can retry; users without devices are not an error.
+ * @param {number|string} userId The ID of the user to notify.
+ * @param {object} notification
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {string} [notification.link] Frontend route to open.
+ * @param {object} [notification.data] Extra data payload (string values, for FCM).
+ * @param {object} [options]
+ * @param {string[]} [options.channels] Defaults to both channels.
+ * @param {string} [options.deviceHash] Send to this device only (see listPushDevices()).
+ * @param {string} [options.source] What triggered the push, for the log: 'outbox', 'test', 'manual'.
+ * @param {number} [options.outboxId] The notification_outbox row being delivered.
+ * @returns {Promise<{results: Array<{channel: string, device: string|null, deviceHash: string|null, status: string, errorCode: string|null, error: string|null}>, sent: number}>}
+ *   `status` is sent, failed, pruned (expired device removed) or skipped (channel not attempted).
+ */
+async function dispatchPush(userId, { title, body, link = null, data = {} }, { channels = Object.keys(PUSH_CHANNEL_SENDERS), deviceHash: onlyDevice = null, source = 'manual', outboxId = null } = {}) {
+    const notification = { title, body, link, data: link ? { ...data, link } : data };
+    const results = [];
+    for (const channel of channels) {
+        if (!PUSH_CHANNEL_SENDERS[channel]) throw new Error(`Unknown push channel '${channel}'.`);
+        results.push(...await PUSH_CHANNEL_SENDERS[channel](userId, notification, onlyDevice));
+    }
+    await logDeliveries(userId, notification, results, { source, outboxId });
+
+    const sent = results.filter(result => result.status === 'sent').length;
+    const failed = results.filter(result => result.status === 'failed');
+    if (sent === 0 && failed.length > 0) {
+        throw Object.assign(new Error(`Push to user ${userId} failed on all devices: ${failed[0].error}`), {
+            name: 'PushDeliveryError',
+            results,
+        });
+    }
+    return { results, sent };
+}
+
+// Subscription object for web-push from a web_push_subscriptions row
+function subscriptionFromRow(row) {
+    const fallback = { endpoint: row.endpoint, keys: { auth: row.keys_auth, p256dh: row.keys_p256dh } };
+    try {
+        return row.raw ? JSON.parse(row.raw) : fallback;
+    } catch (_) {
+        return fallback;
+    }
+}
+
+/**
+ * Returns why web push can't be sent (module or VAPID keys missing), or null when it can.
+ */
+function webPushUnavailableReason() {
+    if (!webpush) return 'web-push not installed on server.';
+    if (!VAPID_PUBLIC || !VAPID_PRIVATE) return 'VAPID keys missing. Set WEB_PUSH_PUBLIC_KEY/WEB_PUSH_PRIVATE_KEY.';
+    return null;
+}
+
 module.exports = {
-    saveTokenToDatabase,
-    sendPushNotification,
+    dispatchPush,
+    listPushDevices,
+    webPushUnavailableReason,
 };
 
 
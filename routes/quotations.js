@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
 const { getDailySerial } = require('../serials');
+const { can, authorize, forbid } = require('./permissions');
 
 // List saved quotations (summary for cards)
-router.get('/quotations', async (req, res) => {
+router.get('/quotations', authorize('quotation', 'list'), async (req, res) => {
   try {
     const [rows] = await db.query(
       `SELECT q.id, q.quote_number, q.quote_date, q.customer_name, q.location, q.mobile,
@@ -23,7 +24,7 @@ router.get('/quotations', async (req, res) => {
 });
 
 // Generate daily auto-increment serial with fixed prefix 'القصيم'
-router.get('/serial/today', async (req, res) => {
+router.get('/serial/today', authorize('quotation', 'create'), async (req, res) => {
   try {
     const serial = getDailySerial();
     return res.status(200).json({ serial });
@@ -34,7 +35,7 @@ router.get('/serial/today', async (req, res) => {
 });
 
 // Create/save a quotation with its items
-router.post('/quotations', async (req, res) => {
+router.post('/quotations', authorize('quotation', 'create'), async (req, res) => {
   try {
     const {
       quote_number,
@@ -50,6 +51,7 @@ router.post('/quotations', async (req, res) => {
     }
 
     const payload = {
+      user_id: req.user.id,
       quote_number: String(quote_number),
       quote_date: quote_date ? new Date(quote_date) : new Date(),
       customer_name: String(customer_name),
@@ -97,7 +99,7 @@ router.post('/quotations', async (req, res) => {
 });
 
 // Fetch single quotation with items
-router.get('/quotations/:id', async (req, res) => {
+router.get('/quotations/:id', authorize('quotation', 'view'), async (req, res) => {
   try {
     const { id } = req.params;
     const [qRows] = await db.query(
@@ -137,10 +139,11 @@ router.get('/quotations/:id', async (req, res) => {
 router.delete('/quotations/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const [qRows] = await db.query(`SELECT id FROM quotations WHERE id = ?`, [id]);
+    const [qRows] = await db.query(`SELECT id, user_id FROM quotations WHERE id = ?`, [id]);
     if (!qRows || qRows.length === 0) {
       return res.status(404).json({ message: 'لم يتم العثور على عرض السعر.' });
     }
+    if (!can(req.user, 'quotation', 'delete', qRows[0])) return forbid(res);
     await db.query(`DELETE FROM quotation_items WHERE quotation_id = ?`, [id]);
     await db.query(`DELETE FROM quotations WHERE id = ?`, [id]);
     return res.status(204).send();
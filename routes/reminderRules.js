@@ -0,0 +1,219 @@
+const db = require('../db.js');
+const { enqueueNotification, flushOutbox } = require('./notificationOutbox');
+
+// Reminders about stalled work, run by the scheduler (see server.js).
+// Each rule finds the records that have been stuck longer than its threshold and notifies their owners
+// through the notification outbox. A record is reminded about again only after `repeatDays`.
+// Thresholds can be changed by admins (reminder_rules table); the values below are the defaults.
+
+const usersWhere = async (conn, condition, params = []) => {
+    const [rows] = await conn.query(`SELECT id FROM users WHERE deleted_at IS NULL AND (${condition})`, params);
+    return rows.map(row => row.id);
+};
+
+// Workflow stages are defined by the frontend; WORKFLOW_FINAL_STAGE_ID is the id of the last one (goods
+// delivered). Without it arrived requests can't be told apart, so the overdue arrival rule doesn't run
+const WORKFLOW_FINAL_STAGE_ID = Number(process.env.WORKFLOW_FINAL_STAGE_ID) || null;
+if (!WORKFLOW_FINAL_STAGE_ID) {
+    console.warn('⚠️ WORKFLOW_FINAL_STAGE_ID is not set. Overdue arrival reminders for workflow requests are disabled.');
+}
+
+const RULES = [
+    {
+        key: 'package_processing',
+        label: 'طلب بكج في مرحلة التنفيذ لفترة طويلة',
+        eventType: 'reminder.package_processing',
+        defaults: { thresholdDays: 5, repeatDays: 2 },
+        async findDue(conn, thresholdDays) {
+            const [rows] = await conn.query(
+                `SELECT id, user_id, title FROM package_requests
+                 WHERE status = 'PROCESSING' AND last_modified < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [thresholdDays]
+            );
+            if (rows.length === 0) return [];
+            const managers = await usersWhere(conn, "role = 'admin' OR has_package_management_permission = 1");
+            return rows.map(row => ({
+                entityId: row.id,
+                recipients: [row.user_id, ...managers],
+                message: `طلب البكج "${row.title || row.id}" في مرحلة التنفيذ منذ أكثر من ${thresholdDays} أيام`,
+                link: `/packages/${row.id}`,
+            }));
+        },
+    },
+    {
+        key: 'project_stalled',
+        label: 'مشروع لم تتغير مرحلته',
+        eventType: 'reminder.project_stalled',
+        defaults: { thresholdDays: 7, repeatDays: 7 },
+        // Projects in the last workflow status are done moving and not reminded about. Projects that never
+        // started count from their creation
+        async findDue(conn, thresholdDays) {
+            const [rows] = await conn.query(
+                `SELECT r.id, r.user_id, r.branch_id, r.project_workflow_status, t.leader_id
+                 FROM reports r LEFT JOIN technical_teams t ON r.assigned_team_id = t.id
+                 WHERE r.report_type = 'Project' AND r.deleted_at IS NULL
+                   AND (r.project_workflow_status IS NULL OR r.project_workflow_status <> 'FinishingWorks')
+                   AND COALESCE(r.workflow_status_changed_at, r.created_at) < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [thresholdDays]
+            );
+            const due = [];
+            for (const row of rows) {
+                const branchManagers = row.branch_id
+                    ? await usersWhere(conn, "role = 'branch_manager' AND branch_id = ?", [row.branch_id])
+                    : [];
+                due.push({
+                    entityId: row.id,
+                    recipients: [row.user_id, row.leader_id, ...branchManagers],
+                    message: row.project_workflow_status
+                        ? `لم تتغير مرحلة المشروع في تقرير #${row.id} منذ أكثر من ${thresholdDays} أيام`
+                        : `لم يبدأ المشروع في تقرير #${row.id} منذ أكثر من ${thresholdDays} أيام`,
+                    link: `/reports/${row.id}`,
+                });
+            }
+            return due;
+        },
+    },
+    {
+        key: 'workflow_arrival_overdue',
+        label: 'تجاوز تاريخ الوصول المتوقع لطلب',
+        eventType: 'reminder.workflow_arrival_overdue',
+        defaults: { thresholdDays: 0, repeatDays: 3 },
+        // Requests in the final stage have arrived and are not reminded about
+        async findDue(conn, thresholdDays) {
+            if (!WORKFLOW_FINAL_STAGE_ID) return [];
+            const [rows] = await conn.query(
+                `SELECT id, user_id, title, expected_arrival_date FROM workflow_requests
+                 WHERE expected_arrival_date IS NOT NULL AND expected_arrival_date < DATE_SUB(CURDATE(), INTERVAL ? DAY)
+                   AND current_stage_id < ?`,
+                [thresholdDays, WORKFLOW_FINAL_STAGE_ID]
+            );
+            if (rows.length === 0) return [];
+            const managers = await usersWhere(conn, "role = 'admin' OR has_import_export_permission = 1");
+            return rows.map(row => ({
+                entityId: row.id,
+                recipients: [row.user_id, ...managers],
+                message: `تجاوز الطلب ${row.id} (${row.title || ''}) تاريخ الوصول المتوقع ${String(row.expected_arrival_date).slice(0, 10)}`,
+                link: `/workflows/${row.id}`,
+            }));
+        },
+    },
+    {
+        key: 'expense_sheet_open',
+        label: 'عهدة مفتوحة لفترة طويلة',
+        eventType: 'reminder.expense_sheet_open',
+        defaults: { thresholdDays: 30, repeatDays: 7 },
+        async findDue(conn, thresholdDays) {
+            const [rows] = await conn.query(
+                `SELECT id, user_id, custody_number FROM instant_expense_sheets
+                 WHERE status = 'OPEN' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+                [thresholdDays]
+            );
+            if (rows.length === 0) return [];
+            const managers = await usersWhere(conn, "role = 'admin' OR has_purchase_management_permission = 1");
+            return rows.map(row => ({
+                entityId: row.id,
+                recipients: [row.user_id, ...managers],
+                message: `العهدة رقم ${row.custody_number || row.id} مفتوحة منذ أكثر من ${thresholdDays} يوماً`,
+                link: `/instant-expenses/${row.id}`,
+            }));
+        },
+    },
+];
+
+const findRule = (key) => RULES.find(rule => rule.key === key) || null;
+
+/**
+ * The rules with their effective settings (defaults overridden by the reminder_rules table).
+ * @returns {Promise<Array<{key: string, label: string, enabled: boolean, thresholdDays: number, repeatDays: number}>>}
+ */
+async function loadRuleSettings(conn = db) {
+    const [rows] = await conn.query('SELECT * FROM reminder_rules');
+    return RULES.map(rule => {
+        const row = rows.find(r => r.rule_key === rule.key);
+        return {
+            key: rule.key,
+            label: rule.label,
+            enabled: row ? !!row.enabled : true,
+            thresholdDays: row ? row.threshold_days : rule.defaults.thresholdDays,
+            repeatDays: row ? row.repeat_days : rule.defaults.repeatDays,
+        };
+    });
+}
+
+/**
+ * Stores the settings of a rule. Call with validated values.
+ */
+async function saveRuleSettings(key, { enabled, thresholdDays, repeatDays }, updatedBy) {
+    await db.query(
+        `INSERT INTO reminder_rules (rule_key, enabled, threshold_days, repeat_days, updated_by) VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), threshold_days = VALUES(threshold_days),
+            repeat_days = VALUES(repeat_days), updated_by = VALUES(updated_by)`,
+        [key, enabled ? 1 : 0, thresholdDays, repeatDays, updatedBy]
+    );
+}
+
+// Sends the reminders of one rule; returns how many records were reminded about
+async function runRule(rule, settings) {
+    const due = await rule.findDue(db, settings.thresholdDays);
+    if (due.length === 0) return { due: 0, reminded: 0 };
+
+    const [recent] = await db.query(
+        'SELECT entity_id FROM reminder_log WHERE rule_key = ? AND last_sent_at > DATE_SUB(NOW(), INTERVAL ? DAY)',
+        [rule.key, settings.repeatDays]
+    );
+    const remindedRecently = new Set(recent.map(row => String(row.entity_id)));
+
+    let reminded = 0;
+    for (const item of due.filter(d => !remindedRecently.has(String(d.entityId)))) {
+        let connection;
+        try {
+            connection = await db.getConnection();
+            await connection.beginTransaction();
+            const recipients = new Set(item.recipients.filter(Boolean).map(String));
+            for (const recipientId of recipients) {
+                await enqueueNotification(connection, recipientId, {
+                    eventType: rule.eventType,
+                    title: 'تذكير',
+                    message: item.message,
+                    link: item.link,
+                });
+            }
+            await connection.query(
+                `INSERT INTO reminder_log (rule_key, entity_id, last_sent_at) VALUES (?, ?, NOW())
+                 ON DUPLICATE KEY UPDATE last_sent_at = NOW()`,
+                [rule.key, String(item.entityId)]
+            );
+            await connection.commit();
+            reminded++;
+        } catch (error) {
+            if (connection) await connection.rollback();
+            console.error(`Reminder '${rule.key}' for ${item.entityId} failed:`, error.message);
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+    return { due: due.length, reminded };
+}
+
+/**
+ * Runs every enabled rule (the scheduled job).
+ * @returns {Promise<Array<{rule: string, due: number, reminded: number}>>}
+ */
+async function runReminderRules() {
+    const settings = await loadRuleSettings();
+    const summary = [];
+    for (const rule of RULES) {
+        const ruleSettings = settings.find(s => s.key === rule.key);
+        if (!ruleSettings.enabled) continue;
+        summary.push({ rule: rule.key, ...await runRule(rule, ruleSettings) });
+    }
+    if (summary.some(s => s.reminded > 0)) flushOutbox();
+    return summary;
+}
+
+module.exports = {
+    findRule,
+    loadRuleSettings,
+    saveRuleSettings,
+    runReminderRules,
+};
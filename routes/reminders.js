@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('./permissions');
+const reminderRules = require('./reminderRules');
+
+// Admin settings of the scheduled reminders (see reminderRules.js)
+
+// GET /api/reminder-rules
+router.get('/reminder-rules', authorize('reminderRule', 'list'), async (req, res) => {
+    try {
+        res.json(await reminderRules.loadRuleSettings());
+    } catch (error) {
+        console.error('Error in GET /api/reminder-rules:', error);
+        res.status(500).json({ message: 'Failed to fetch reminder rules.' });
+    }
+});
+
+// PUT /api/reminder-rules/:key - Body: { enabled?, thresholdDays?, repeatDays? }
+router.put('/reminder-rules/:key', authorize('reminderRule', 'update'), async (req, res) => {
+    const { key } = req.params;
+    if (!reminderRules.findRule(key)) {
+        return res.status(404).json({ message: 'Reminder rule not found.' });
+    }
+    const { enabled, thresholdDays, repeatDays } = req.body || {};
+    const isDays = (value, min) => value === undefined || (Number.isInteger(value) && value >= min && value <= 365);
+    if (!isDays(thresholdDays, 0) || !isDays(repeatDays, 1)) {
+        return res.status(400).json({ message: 'thresholdDays (0-365) and repeatDays (1-365) must be whole numbers of days.' });
+    }
+    try {
+        const current = (await reminderRules.loadRuleSettings()).find(rule => rule.key === key);
+        await reminderRules.saveRuleSettings(key, {
+            enabled: enabled === undefined ? current.enabled : !!enabled,
+            thresholdDays: thresholdDays === undefined ? current.thresholdDays : thresholdDays,
+            repeatDays: repeatDays === undefined ? current.repeatDays : repeatDays,
+        }, req.user.id);
+        res.json((await reminderRules.loadRuleSettings()).find(rule => rule.key === key));
+    } catch (error) {
+        console.error(`Error in PUT /api/reminder-rules/${key}:`, error);
+        res.status(500).json({ message: 'Failed to update reminder rule.' });
+    }
+});
+
+// POST /api/reminder-rules/run - Runs the reminders now instead of waiting for the schedule
+router.post('/reminder-rules/run', authorize('reminderRule', 'run'), async (req, res) => {
+    try {
+        res.json(await reminderRules.runReminderRules());
+    } catch (error) {
+        console.error('Error in POST /api/reminder-rules/run:', error);
+        res.status(500).json({ message: 'Failed to run reminder rules.' });
+    }
+});
+
+module.exports = router;
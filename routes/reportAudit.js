@@ -0,0 +1,98 @@
+const { encodeCursor, decodeCursor } = require('./pagination');
+
+// Audit trail of report mutations. Every endpoint changing a report compares the report before and
+// after its writes (inside the same transaction) and stores the field-level differences with the
+// actor and endpoint, so the history doesn't depend on what clients put in `modifications`.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two JSON values. Objects and arrays are compared member by member;
+ * fields are paths like 'status' or 'details.updates[2].completed'.
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffValues(before, after, path = '', changes = []) {
+    if (sameValue(before, after)) return changes;
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    } else if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            diffValues(before[i], after[i], `${path}[${i}]`, changes);
+        }
+    } else {
+        changes.push({ field: path, from: before ?? null, to: after ?? null });
+    }
+    return changes;
+}
+
+/**
+ * Stores an audit entry for a report mutation. Call inside the mutation's transaction.
+ * @param {object} conn A connection with an open transaction.
+ * @param {number|string} reportId
+ * @param {object} context
+ * @param {number|string} context.actorId
+ * @param {string} context.actorName
+ * @param {string} context.action E.g. 'update', 'add_exception', 'note_added'.
+ * @param {string} context.endpoint E.g. 'PUT /api/reports/12'.
+ * @param {object|null} before Report state before the change (null for a new report).
+ * @param {object} after Report state after the change.
+ */
+async function recordReportChange(conn, reportId, { actorId, actorName, action, endpoint }, before, after) {
+    const changes = before ? diffValues(before, after) : [];
+    await conn.query('INSERT INTO report_audit_log SET ?', {
+        report_id: reportId,
+        actor_id: actorId,
+        actor_name: actorName || null,
+        action,
+        endpoint,
+        changes: JSON.stringify(changes),
+    });
+}
+
+/**
+ * A page of a report's audit entries, newest first.
+ * @param {object} conn The pool or a connection.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {string} [options.cursor] From a previous page's nextCursor.
+ * @returns {Promise<{items: Array, nextCursor: string|null}|null>} null when the cursor is malformed.
+ */
+async function listReportHistory(conn, reportId, { limit, cursor }) {
+    const conditions = ['report_id = ?'];
+    const params = [reportId];
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) return null;
+        conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+        params.push(position.createdAt, position.createdAt, position.id);
+    }
+    const [rows] = await conn.query(
+        `SELECT id, actor_id, actor_name, action, endpoint, changes, created_at
+         FROM report_audit_log
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [...params, limit + 1]
+    );
+    const pageRows = rows.slice(0, limit);
+    return {
+        items: pageRows.map(row => ({
+            id: String(row.id),
+            actorId: row.actor_id !== null ? String(row.actor_id) : null,
+            actorName: row.actor_name,
+            action: row.action,
+            endpoint: row.endpoint,
+            changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : (row.changes || []),
+            createdAt: row.created_at,
+        })),
+        nextCursor: rows.length > limit ? encodeCursor(pageRows[pageRows.length - 1]) : null,
+    };
+}
+
+module.exports = {
+    diffValues,
+    recordReportChange,
+    listReportHistory,
+};
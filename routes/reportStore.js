@@ -0,0 +1,570 @@
+// Relational storage for report details.
+// Sales customers, project stages (`updates`), exceptions, files and admin notes live in their own
+// tables; reports.content keeps the remaining free-form fields. Reports created before the
+// normalization (details_normalized = 0) are still read from their legacy JSON blobs until they are
+// migrated, either by scripts/migrateReportJson.js or lazily on their first partial write.
+
+// Helper to safely parse JSON
+const safeJsonParse = (data, defaultValue = {}) => {
+    // If it's already a parsed object/array (from DB driver), return it directly.
+    if (typeof data === 'object' && data !== null) {
+        return data;
+    }
+    // If it's a string, try to parse it.
+    if (typeof data === 'string') {
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error("Failed to parse JSON string:", e);
+            return defaultValue;
+        }
+    }
+    // For all other types (null, undefined, etc.), return the default.
+    return defaultValue;
+};
+
+// ISO-8601 strings <-> DATETIME(3) values stored in UTC
+const isoToSql = (iso) => {
+    if (!iso) return null;
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+};
+const sqlToIso = (value) => (value ? new Date(`${String(value).replace(' ', 'T')}Z`).toISOString() : undefined);
+const nowSql = () => isoToSql(new Date().toISOString());
+
+// Collections of `details` that are stored in child tables
+const COLLECTION_KEYS = ['customers', 'updates', 'exceptions', 'beforeImages', 'afterImages', 'workflowDocs'];
+
+// report_files.category for file lists stored directly on `details`
+const DETAIL_FILE_CATEGORIES = {
+    beforeImages: 'maintenance_before',
+    afterImages: 'maintenance_after',
+    workflowDocs: 'workflow_doc',
+};
+
+// Bulk insert helper: rows must share the same keys
+const insertRows = async (conn, table, rows) => {
+    if (rows.length === 0) return;
+    const columns = Object.keys(rows[0]);
+    await conn.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`,
+        [rows.map(row => columns.map(col => row[col]))]
+    );
+};
+
+// ==== Row mappers ====
+
+const toFileRow = (reportId, category, parentKey, file, position) => {
+    const { url, fileName, id, uploadedBy, ...extra } = file;
+    return {
+        report_id: reportId,
+        category,
+        parent_key: parentKey,
+        position,
+        url: url || null,
+        file_name: fileName || null,
+        public_id: id || null,
+        uploaded_by: uploadedBy ?? null,
+        extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null,
+    };
+};
+
+const fromFileRow = (row) => ({
+    ...safeJsonParse(row.extra, {}),
+    url: row.url ?? undefined,
+    fileName: row.file_name ?? undefined,
+    id: row.public_id ?? undefined,
+    uploadedBy: row.uploaded_by ?? undefined,
+});
+
+// Null entries are skipped but positions are kept, so sparse lists round-trip unchanged
+const toFileRows = (reportId, category, parentKey, files, startPosition = 0) => (Array.isArray(files) ? files : [])
+    .map((file, index) => (file ? toFileRow(reportId, category, parentKey, file, startPosition + index) : null))
+    .filter(Boolean);
+
+const fromFileRows = (rows) => {
+    const files = [];
+    rows.forEach(row => { files[row.position] = fromFileRow(row); });
+    return files;
+};
+
+// An empty `files` placeholder is kept in `data` when the original object had a files list
+const withFilesPlaceholder = (files, rest) => (Array.isArray(files) ? { ...rest, files: [] } : rest);
+const attachFiles = (object, files) => {
+    if ('files' in object || files.length > 0) object.files = files;
+    return object;
+};
+
+const toCustomerRow = (reportId, customer, position) => {
+    const { files, ...rest } = customer || {};
+    return {
+        report_id: reportId,
+        position,
+        name: rest.name || rest.customerName || null,
+        data: JSON.stringify(withFilesPlaceholder(files, rest)),
+    };
+};
+
+const toStageRow = (reportId, update, position) => {
+    const { id, completed, timestamp, comment, files, ...rest } = update || {};
+    return {
+        report_id: reportId,
+        position,
+        stage_key: id ?? null,
+        completed: completed === undefined ? null : (completed ? 1 : 0),
+        completed_at: isoToSql(timestamp),
+        comment: comment ?? null,
+        data: JSON.stringify(withFilesPlaceholder(files, rest)),
+    };
+};
+
+const fromStageRow = (row, files) => attachFiles({
+    id: row.stage_key ?? undefined,
+    ...safeJsonParse(row.data, {}),
+    completed: row.completed === null ? undefined : !!row.completed,
+    timestamp: sqlToIso(row.completed_at),
+    comment: row.comment ?? undefined,
+}, files);
+
+const toExceptionRow = (reportId, exception) => ({
+    report_id: reportId,
+    exception_id: exception.id,
+    comment: exception.comment ?? null,
+    uploaded_by: exception.uploadedBy ?? null,
+    created_at: isoToSql(exception.timestamp) || nowSql(),
+});
+
+const fromExceptionRow = (row, files) => ({
+    id: row.exception_id,
+    comment: row.comment ?? undefined,
+    files,
+    timestamp: sqlToIso(row.created_at),
+    uploadedBy: row.uploaded_by ?? undefined,
+});
+
+const toNoteRow = (reportId, note, parentNoteId) => ({
+    report_id: reportId,
+    note_id: note.id,
+    parent_note_id: parentNoteId,
+    author_id: note.authorId !== undefined ? String(note.authorId) : null,
+    author_name: note.authorName ?? null,
+    content: note.content ?? null,
+    mentions: Array.isArray(note.mentions) && note.mentions.length > 0 ? JSON.stringify(note.mentions.map(String)) : null,
+    created_at: isoToSql(note.timestamp) || nowSql(),
+});
+
+// Deleted notes keep their place in the thread but not their content or files
+const fromNoteRow = (row, readBy, files) => {
+    const note = {
+        id: row.note_id,
+        authorId: row.author_id ?? undefined,
+        authorName: row.author_name ?? undefined,
+        content: row.deleted_at ? undefined : (row.content ?? undefined),
+        timestamp: sqlToIso(row.created_at),
+        readBy,
+        mentions: safeJsonParse(row.mentions, []),
+        files: row.deleted_at ? [] : files,
+    };
+    if (row.edited_at) note.editedAt = sqlToIso(row.edited_at);
+    if (row.deleted_at) {
+        note.deleted = true;
+        note.deletedAt = sqlToIso(row.deleted_at);
+    }
+    if (!row.parent_note_id) {
+        note.resolved = !!row.resolved_at;
+        if (row.resolved_at) {
+            note.resolvedAt = sqlToIso(row.resolved_at);
+            note.resolvedBy = row.resolved_by ?? undefined;
+        }
+    }
+    return note;
+};
+
+// ==== Writes ====
+
+/**
+ * Stores a full `details` object for a report: free-form fields go to reports.content, collections
+ * replace the report's rows in the child tables. Must run inside the caller's transaction.
+ * @param {object} conn A pool connection with an open transaction.
+ * @param {number|string} reportId
+ * @param {object} details The report details as sent by the frontend.
+ * @param {object} [options]
+ * @param {boolean} [options.includeExceptions=true] Replace exceptions too. Updates pass false because
+ *   exceptions are only ever added through their own endpoint.
+ */
+async function saveReportDetails(conn, reportId, details, { includeExceptions = true } = {}) {
+    const { customers, updates, exceptions, beforeImages, afterImages, workflowDocs, ...content } = details || {};
+    const collections = { customers, updates, exceptions, beforeImages, afterImages, workflowDocs };
+    // Remember which collections the original object carried so reads restore the same shape
+    content._collections = COLLECTION_KEYS.filter(key => collections[key] !== undefined);
+
+    await conn.query('UPDATE reports SET content = ?, details_normalized = 1 WHERE id = ?', [JSON.stringify(content), reportId]);
+
+    await conn.query('DELETE FROM report_sales_customers WHERE report_id = ?', [reportId]);
+    await conn.query('DELETE FROM report_project_stages WHERE report_id = ?', [reportId]);
+    // Note attachments belong to the notes and are never replaced from `details`
+    if (includeExceptions) {
+        await conn.query('DELETE FROM report_exceptions WHERE report_id = ?', [reportId]);
+        await conn.query("DELETE FROM report_files WHERE report_id = ? AND category <> 'note'", [reportId]);
+    } else {
+        await conn.query("DELETE FROM report_files WHERE report_id = ? AND category NOT IN ('exception', 'note')", [reportId]);
+    }
+
+    const fileRows = [];
+    const customerList = Array.isArray(customers) ? customers : [];
+    await insertRows(conn, 'report_sales_customers', customerList.map((customer, index) => toCustomerRow(reportId, customer, index)));
+    customerList.forEach((customer, index) => fileRows.push(...toFileRows(reportId, 'customer', String(index), customer && customer.files)));
+
+    const stageList = Array.isArray(updates) ? updates : [];
+    await insertRows(conn, 'report_project_stages', stageList.map((update, index) => toStageRow(reportId, update, index)));
+    stageList.forEach((update, index) => fileRows.push(...toFileRows(reportId, 'stage', String(index), update && update.files)));
+
+    if (includeExceptions) {
+        const exceptionList = (Array.isArray(exceptions) ? exceptions : []).filter(exc => exc && exc.id);
+        await insertRows(conn, 'report_exceptions', exceptionList.map(exc => toExceptionRow(reportId, exc)));
+        exceptionList.forEach(exc => fileRows.push(...toFileRows(reportId, 'exception', String(exc.id), exc.files)));
+    }
+
+    Object.entries(DETAIL_FILE_CATEGORIES).forEach(([key, category]) => {
+        fileRows.push(...toFileRows(reportId, category, null, collections[key]));
+    });
+
+    await insertRows(conn, 'report_files', fileRows);
+}
+
+/**
+ * Adds an admin note (parentNoteId = null) or a reply with its files, marking it read by everyone
+ * in note.readBy.
+ */
+async function insertNote(conn, reportId, note, parentNoteId = null) {
+    await insertRows(conn, 'report_admin_notes', [toNoteRow(reportId, note, parentNoteId)]);
+    await insertRows(conn, 'report_files', toFileRows(reportId, 'note', String(note.id), note.files));
+    const readers = Array.isArray(note.readBy) ? note.readBy : [];
+    if (readers.length > 0) {
+        await conn.query(
+            'INSERT IGNORE INTO report_note_reads (report_id, note_id, user_id) VALUES ?',
+            [readers.map(userId => [reportId, note.id, String(userId)])]
+        );
+    }
+}
+
+/**
+ * Migrates one report from its legacy JSON columns into the child tables.
+ * The caller must hold a lock on the row (SELECT ... FOR UPDATE) inside a transaction.
+ * @param {object} conn
+ * @param {object} reportRow A reports row with id, content and adminNotes.
+ */
+async function normalizeReport(conn, reportRow) {
+    const details = safeJsonParse(reportRow.content, {});
+    const adminNotes = safeJsonParse(reportRow.adminNotes, []);
+
+    await saveReportDetails(conn, reportRow.id, details, { includeExceptions: true });
+
+    await conn.query('DELETE FROM report_note_reads WHERE report_id = ?', [reportRow.id]);
+    await conn.query('DELETE FROM report_admin_notes WHERE report_id = ?', [reportRow.id]);
+    for (const note of (Array.isArray(adminNotes) ? adminNotes : [])) {
+        if (!note || !note.id) continue;
+        await insertNote(conn, reportRow.id, note);
+        for (const reply of (Array.isArray(note.replies) ? note.replies : [])) {
+            if (reply && reply.id) await insertNote(conn, reportRow.id, reply, note.id);
+        }
+    }
+
+    await conn.query('UPDATE reports SET adminNotes = NULL WHERE id = ?', [reportRow.id]);
+}
+
+/**
+ * Locks a report row and migrates it if it still uses the legacy JSON columns.
+ * Call before any partial write (exceptions, stages, notes) inside a transaction.
+ * @returns {Promise<boolean>} false when the report does not exist.
+ */
+async function ensureReportNormalized(conn, reportId) {
+    const [rows] = await conn.query('SELECT id, content, adminNotes, details_normalized FROM reports WHERE id = ? FOR UPDATE', [reportId]);
+    if (rows.length === 0) return false;
+    if (!rows[0].details_normalized) {
+        await normalizeReport(conn, rows[0]);
+    }
+    return true;
+}
+
+/**
+ * Appends files to a list, after the highest position already stored there.
+ */
+async function appendFiles(conn, reportId, category, parentKey, files) {
+    const [rows] = await conn.query(
+        'SELECT COALESCE(MAX(position) + 1, 0) AS next_position FROM report_files WHERE report_id = ? AND category = ? AND parent_key <=> ?',
+        [reportId, category, parentKey]
+    );
+    await insertRows(conn, 'report_files', toFileRows(reportId, category, parentKey, files, Number(rows[0].next_position)));
+}
+
+/**
+ * Replaces a list of files, or a single position in it when `position` is given.
+ */
+async function replaceFiles(conn, reportId, category, parentKey, files, position = null) {
+    if (position === null) {
+        await conn.query('DELETE FROM report_files WHERE report_id = ? AND category = ? AND parent_key <=> ?', [reportId, category, parentKey]);
+        await insertRows(conn, 'report_files', toFileRows(reportId, category, parentKey, files));
+    } else {
+        await conn.query('DELETE FROM report_files WHERE report_id = ? AND category = ? AND parent_key <=> ? AND position = ?', [reportId, category, parentKey, position]);
+        await insertRows(conn, 'report_files', toFileRows(reportId, category, parentKey, files.slice(0, 1), position));
+    }
+}
+
+/**
+ * Removes all child rows of a report, before the report itself is deleted.
+ */
+async function deleteReportDetails(conn, reportId) {
+    for (const table of ['report_sales_customers', 'report_project_stages', 'report_exceptions', 'report_files', 'report_admin_notes', 'report_note_reads', 'report_note_revisions']) {
+        await conn.query(`DELETE FROM ${table} WHERE report_id = ?`, [reportId]);
+    }
+}
+
+async function addException(conn, reportId, exception) {
+    await insertRows(conn, 'report_exceptions', [toExceptionRow(reportId, exception)]);
+    await insertRows(conn, 'report_files', toFileRows(reportId, 'exception', String(exception.id), exception.files));
+}
+
+/**
+ * Finds a project stage row by its stage id (update.id), e.g. 'concreteWorks'.
+ */
+async function findStage(conn, reportId, stageKey) {
+    const [rows] = await conn.query('SELECT * FROM report_project_stages WHERE report_id = ? AND stage_key = ?', [reportId, stageKey]);
+    return rows[0] || null;
+}
+
+/**
+ * Updates a stage row. `fields` uses the frontend keys: completed, timestamp, comment.
+ */
+async function updateStage(conn, stageRow, fields) {
+    const updates = {};
+    if (fields.completed !== undefined) updates.completed = fields.completed ? 1 : 0;
+    if (fields.timestamp !== undefined) updates.completed_at = isoToSql(fields.timestamp);
+    if (fields.comment !== undefined) updates.comment = fields.comment;
+    if (Object.keys(updates).length > 0) {
+        await conn.query('UPDATE report_project_stages SET ? WHERE id = ?', [updates, stageRow.id]);
+    }
+}
+
+/**
+ * Finds a top-level note, or with `includeReplies` a note or a reply.
+ */
+async function findNote(conn, reportId, noteId, { includeReplies = false } = {}) {
+    const [rows] = await conn.query(
+        `SELECT * FROM report_admin_notes WHERE report_id = ? AND note_id = ?${includeReplies ? '' : ' AND parent_note_id IS NULL'}`,
+        [reportId, noteId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Changes the content (and, when given, the mentions) of a note or reply, keeping the previous
+ * content in report_note_revisions.
+ * @param {object} noteRow The report_admin_notes row, from findNote().
+ */
+async function editNote(conn, noteRow, { content, mentions }, editedBy) {
+    await insertRows(conn, 'report_note_revisions', [{
+        report_id: noteRow.report_id,
+        note_id: noteRow.note_id,
+        action: 'edit',
+        previous_content: noteRow.content,
+        changed_by: String(editedBy),
+        changed_at: nowSql(),
+    }]);
+    const updates = { content, edited_at: nowSql() };
+    if (mentions !== undefined) updates.mentions = mentions.length > 0 ? JSON.stringify(mentions.map(String)) : null;
+    await conn.query('UPDATE report_admin_notes SET ? WHERE seq = ?', [updates, noteRow.seq]);
+}
+
+/**
+ * Deletes a note or reply. The row stays as a placeholder in its thread; the content moves to
+ * report_note_revisions.
+ */
+async function deleteNote(conn, noteRow, deletedBy) {
+    await insertRows(conn, 'report_note_revisions', [{
+        report_id: noteRow.report_id,
+        note_id: noteRow.note_id,
+        action: 'delete',
+        previous_content: noteRow.content,
+        changed_by: String(deletedBy),
+        changed_at: nowSql(),
+    }]);
+    await conn.query(
+        'UPDATE report_admin_notes SET content = NULL, deleted_at = ?, deleted_by = ? WHERE seq = ?',
+        [nowSql(), String(deletedBy), noteRow.seq]
+    );
+}
+
+/**
+ * Marks a thread resolved (resolvedBy = a user id) or unresolved (resolvedBy = null).
+ */
+async function setNoteResolved(conn, noteRow, resolvedBy) {
+    await conn.query(
+        'UPDATE report_admin_notes SET resolved_at = ?, resolved_by = ? WHERE seq = ?',
+        [resolvedBy ? nowSql() : null, resolvedBy ? String(resolvedBy) : null, noteRow.seq]
+    );
+}
+
+/**
+ * The edit/delete history of a note or reply, oldest first.
+ */
+async function listNoteRevisions(conn, reportId, noteId) {
+    const [rows] = await conn.query(
+        `SELECT v.action, v.previous_content, v.changed_by, v.changed_at, u.full_name AS changed_by_name
+         FROM report_note_revisions v LEFT JOIN users u ON u.id = v.changed_by
+         WHERE v.report_id = ? AND v.note_id = ?
+         ORDER BY v.changed_at, v.id`,
+        [reportId, noteId]
+    );
+    return rows.map(row => ({
+        action: row.action,
+        previousContent: row.previous_content ?? undefined,
+        changedBy: row.changed_by,
+        changedByName: row.changed_by_name ?? undefined,
+        changedAt: sqlToIso(row.changed_at),
+    }));
+}
+
+/**
+ * Returns the author ids of a note and all of its replies.
+ */
+async function listThreadAuthors(conn, reportId, noteId) {
+    const [rows] = await conn.query(
+        'SELECT DISTINCT author_id FROM report_admin_notes WHERE report_id = ? AND (note_id = ? OR parent_note_id = ?)',
+        [reportId, noteId, noteId]
+    );
+    return rows.map(row => row.author_id).filter(Boolean);
+}
+
+async function markNotesRead(conn, reportId, userId) {
+    await conn.query(
+        `INSERT IGNORE INTO report_note_reads (report_id, note_id, user_id)
+         SELECT report_id, note_id, ? FROM report_admin_notes WHERE report_id = ?`,
+        [String(userId), reportId]
+    );
+}
+
+// ==== Reads ====
+
+const groupBy = (rows, keyFn) => {
+    const map = new Map();
+    rows.forEach(row => {
+        const key = keyFn(row);
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(row);
+    });
+    return map;
+};
+
+/**
+ * Loads the child rows of several reports at once.
+ * @param {object} conn The pool or a connection.
+ * @param {Array<number|string>} reportIds
+ * @returns {Promise<Map<string, object>>} Keyed by String(report id).
+ */
+async function loadReportChildren(conn, reportIds) {
+    const children = new Map();
+    if (reportIds.length === 0) return children;
+
+    const [customers] = await conn.query('SELECT * FROM report_sales_customers WHERE report_id IN (?) ORDER BY position', [reportIds]);
+    const [stages] = await conn.query('SELECT * FROM report_project_stages WHERE report_id IN (?) ORDER BY position', [reportIds]);
+    const [exceptions] = await conn.query('SELECT * FROM report_exceptions WHERE report_id IN (?) ORDER BY created_at, id', [reportIds]);
+    const [files] = await conn.query('SELECT * FROM report_files WHERE report_id IN (?) ORDER BY position, id', [reportIds]);
+    const [notes] = await conn.query('SELECT * FROM report_admin_notes WHERE report_id IN (?) ORDER BY seq', [reportIds]);
+    const [reads] = await conn.query('SELECT * FROM report_note_reads WHERE report_id IN (?) ORDER BY id', [reportIds]);
+
+    const byReport = (rows) => groupBy(rows, row => String(row.report_id));
+    const customersByReport = byReport(customers);
+    const stagesByReport = byReport(stages);
+    const exceptionsByReport = byReport(exceptions);
+    const filesByReport = byReport(files);
+    const notesByReport = byReport(notes);
+    const readsByReport = byReport(reads);
+
+    reportIds.forEach(id => {
+        const key = String(id);
+        children.set(key, {
+            customers: customersByReport.get(key) || [],
+            stages: stagesByReport.get(key) || [],
+            exceptions: exceptionsByReport.get(key) || [],
+            files: filesByReport.get(key) || [],
+            notes: notesByReport.get(key) || [],
+            reads: readsByReport.get(key) || [],
+        });
+    });
+    return children;
+}
+
+/**
+ * Rebuilds the `details` object and `adminNotes` array of a report in the exact shape the
+ * frontend has always received.
+ * @param {object} reportRow A reports row (content, adminNotes, details_normalized).
+ * @param {object} [children] The entry for this report from loadReportChildren().
+ * @returns {{details: object, adminNotes: Array}}
+ */
+function assembleReport(reportRow, children) {
+    if (!reportRow.details_normalized || !children) {
+        return {
+            details: safeJsonParse(reportRow.content, {}),
+            adminNotes: safeJsonParse(reportRow.adminNotes, []),
+        };
+    }
+
+    const details = safeJsonParse(reportRow.content, {});
+    const present = new Set(Array.isArray(details._collections) ? details._collections : []);
+    delete details._collections;
+
+    const filesByList = groupBy(children.files, row => `${row.category}:${row.parent_key ?? ''}`);
+    const filesOf = (category, parentKey = null) => fromFileRows(filesByList.get(`${category}:${parentKey ?? ''}`) || []);
+
+    if (present.has('customers') || children.customers.length > 0) {
+        details.customers = children.customers.map(row => attachFiles(safeJsonParse(row.data, {}), filesOf('customer', String(row.position))));
+    }
+    if (present.has('updates') || children.stages.length > 0) {
+        details.updates = children.stages.map(row => fromStageRow(row, filesOf('stage', String(row.position))));
+    }
+    if (present.has('exceptions') || children.exceptions.length > 0) {
+        details.exceptions = children.exceptions.map(row => fromExceptionRow(row, filesOf('exception', row.exception_id)));
+    }
+    Object.entries(DETAIL_FILE_CATEGORIES).forEach(([key, category]) => {
+        const files = filesOf(category);
+        if (present.has(key) || files.length > 0) details[key] = files;
+    });
+
+    const readsByNote = groupBy(children.reads, row => row.note_id);
+    const readersOf = (noteId) => (readsByNote.get(noteId) || []).map(row => row.user_id);
+    const topLevel = children.notes.filter(row => !row.parent_note_id);
+    const repliesByNote = groupBy(children.notes.filter(row => row.parent_note_id), row => row.parent_note_id);
+    const toNote = (row) => fromNoteRow(row, readersOf(row.note_id), filesOf('note', row.note_id));
+    const adminNotes = topLevel.map(row => {
+        const note = toNote(row);
+        note.replies = (repliesByNote.get(row.note_id) || []).map(toNote);
+        return note;
+    });
+
+    return { details, adminNotes };
+}
+
+module.exports = {
+    safeJsonParse,
+    saveReportDetails,
+    normalizeReport,
+    ensureReportNormalized,
+    deleteReportDetails,
+    appendFiles,
+    replaceFiles,
+    addException,
+    findStage,
+    updateStage,
+    insertNote,
+    findNote,
+    editNote,
+    deleteNote,
+    setNoteResolved,
+    listNoteRevisions,
+    listThreadAuthors,
+    markNotesRead,
+    loadReportChildren,
+    assembleReport,
+};
@@ -1,95 +1,59 @@
 const express = require('express');
-const multer = require('multer');
 const router = express.Router();
 const db = require('../db.js');
-const { cloudinary } = require('../cloudinary.js');
-const streamifier = require('streamifier');
-const { sendPushNotification } = require('./pushService');
-
-// Setup multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-// Helper to create notifications
-const createNotification = async (connection, userId, message, link) => {
-    if (!userId) {
-        console.warn("Attempted to create notification for a null userId.");
-        return;
-    }
-    const notification = {
-        user_id: userId,
-        message,
-        link,
-        is_read: 0,
-    };
-    try {
-        await connection.query('INSERT INTO notifications SET ?', notification);
-    } catch (error) {
-        console.error(`Failed to insert notification for user ${userId}:`, error);
-    }
-};
-
-
-// Helper to upload a file to Cloudinary
-const uploadFileToCloudinary = (file, uploadedById, folder) => {
-    return new Promise((resolve, reject) => {
-        const publicId = file.originalname.split('.').slice(0, -1).join('.').trim();
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                folder: `qssun_reports/${folder}/${uploadedById}`,
-                public_id: publicId,
-                resource_type: 'auto'
-            },
-            (error, result) => {
-                if (error) return reject(error);
-                if (result) resolve({ url: result.secure_url, fileName: file.originalname, id: result.public_id, uploadedBy: uploadedById });
-                else reject(new Error("Cloudinary upload failed without an error object."));
-            }
-        );
-        streamifier.createReadStream(file.buffer).pipe(uploadStream);
-    });
-};
-
-// Helper to safely parse JSON - CORRECTED VERSION
-const safeJsonParse = (data, defaultValue = {}) => {
-    // If it's already a parsed object/array (from DB driver), return it directly.
-    if (typeof data === 'object' && data !== null) {
-        return data;
-    }
-    // If it's a string, try to parse it.
-    if (typeof data === 'string') {
-        try {
-            return JSON.parse(data);
-        } catch (e) {
-            console.error("Failed to parse JSON string:", e);
-            return defaultValue;
-        }
-    }
-    // For all other types (null, undefined, etc.), return the default.
-    return defaultValue;
-};
-
+const { enqueueNotification, flushOutbox } = require('./notificationOutbox');
+const { can, authorize, forbid, listScope } = require('./permissions');
+const reportStore = require('./reportStore');
+const { toSessionUser } = require('./authMiddleware');
+const projectWorkflow = require('./projectWorkflow');
+const attachmentService = require('./attachmentService');
+const { encodeCursor, decodeCursor, pageLimit } = require('./pagination');
+const { publish } = require('./eventStream');
+const reportAudit = require('./reportAudit');
+const { softDelete, restore } = require('./softDelete');
+const { setVersionHeader, requireIfMatch, isCurrentVersion, sendVersionConflict } = require('./concurrency');
+
+const { safeJsonParse, assembleReport, loadReportChildren } = reportStore;
+const { acceptUploads } = attachmentService;
+
+// Accepted uploads per endpoint
+const REPORT_FILE_FIELDS = [
+    [/^maintenance_(before|after)Images$/, 'image'],
+    [/^sales_customer_\d+(_files)?$/, 'document'],
+    [/^project_update_\d+(_files)?$/, 'document'],
+    [/^evaluation_files$/, 'document'],
+];
+const uploadReportFiles = acceptUploads({ fields: REPORT_FILE_FIELDS, maxFiles: 30 });
+const uploadStageFiles = acceptUploads({ field: 'files', kind: 'imageOrPdf', maxFiles: 10 });
+
+// Stores an uploaded file as an attachment of a report (reportId is null until a new report is inserted)
+const uploadReportFile = (file, uploadedById, folder, reportId = null) =>
+    attachmentService.storeFile(file, { ownerId: uploadedById, entityType: 'report', entityId: reportId, folder });
+const storeReportFiles = (files, uploadedById, folder, reportId = null) =>
+    attachmentService.storeFiles(files, { ownerId: uploadedById, entityType: 'report', entityId: reportId, folder });
 
 // Full report select query for reuse
 const fullReportQuery = `
     SELECT 
         r.id, r.user_id, r.report_type, r.content, r.status, r.created_at, r.evaluation, r.modifications,
-        r.assigned_team_id, r.project_workflow_status, r.adminNotes, r.branch_id,
-        u.full_name as employee_name, u.department, u.username as employee_id_username, u.role as user_role,
-        b.name as branch_name
+        r.assigned_team_id, r.project_workflow_status, r.adminNotes, r.branch_id, r.details_normalized, r.stage_template_id, r.version,
+        u.full_name as employee_name, u.department, u.username as employee_id_username, u.role as user_role, u.branch_id as author_branch_id,
+        b.name as branch_name, t.leader_id as team_leader_id
     FROM reports r
     LEFT JOIN users u ON r.user_id = u.id
     LEFT JOIN branches b ON r.branch_id = b.id
+    LEFT JOIN technical_teams t ON r.assigned_team_id = t.id
 `;
 
-const formatReportForFrontend = (reportRow, requestingUser = null) => {
-    const details = safeJsonParse(reportRow.content, {});
+// `children` is the report's entry from loadReportChildren(); legacy reports don't need it
+const formatReportForFrontend = (reportRow, requestingUser = null, children = null) => {
+    const { details, adminNotes } = assembleReport(reportRow, children);
 
     // Attachment Permission Logic
-    if (requestingUser && requestingUser.role === 'TeamLead' && reportRow.report_type === 'Project' && details.updates) {
+    if (requestingUser && !can(requestingUser, 'report', 'viewAllStageFiles', reportRow) && reportRow.report_type === 'Project' && details.updates) {
         details.updates.forEach(update => {
             if (update.files && Array.isArray(update.files)) {
-                update.files = update.files.filter(file => String(file.uploadedBy) === requestingUser.id);
+                update.files = update.files.filter(file => file && String(file.uploadedBy) === String(requestingUser.id));
             }
         });
     }
@@ -108,22 +72,159 @@ const formatReportForFrontend = (reportRow, requestingUser = null) => {
         modifications: safeJsonParse(reportRow.modifications, []),
         assignedTeamId: reportRow.assigned_team_id ? reportRow.assigned_team_id.toString() : undefined,
         projectWorkflowStatus: reportRow.project_workflow_status || undefined,
-        adminNotes: safeJsonParse(reportRow.adminNotes, []),
+        stageTemplateId: reportRow.stage_template_id ? reportRow.stage_template_id.toString() : undefined,
+        adminNotes,
+        version: Number(reportRow.version || 0),
+    };
+};
+
+// Formats several fullReportQuery rows, loading their detail rows in one batch
+const formatReports = async (rows, requestingUser = null) => {
+    const normalizedIds = rows.filter(row => row.details_normalized).map(row => row.id);
+    const children = await loadReportChildren(db, normalizedIds);
+    return rows.map(row => formatReportForFrontend(row, requestingUser, children.get(String(row.id))));
+};
+
+// Loads and formats a single report, or returns null when it doesn't exist
+const fetchFormattedReport = async (id, requestingUser = null) => {
+    const [rows] = await db.query(`${fullReportQuery} WHERE r.id = ? AND r.deleted_at IS NULL`, [id]);
+    if (rows.length === 0) return null;
+    const [report] = await formatReports(rows, requestingUser);
+    return report;
+};
+
+// Puts the stored stage files of other uploaders back into `details` before a PUT replaces the stages.
+// Callers without viewAllStageFiles only ever receive their own stage files (see formatReportForFrontend),
+// so what they send back lacks everyone else's. Stages are matched by id, or by position without one.
+const restoreHiddenStageFiles = (details, storedDetails, userId) => {
+    const storedStages = storedDetails && Array.isArray(storedDetails.updates) ? storedDetails.updates : [];
+    if (!details || !Array.isArray(details.updates)) return;
+    storedStages.forEach((storedStage, index) => {
+        const hidden = (storedStage && Array.isArray(storedStage.files) ? storedStage.files : [])
+            .filter(file => file && String(file.uploadedBy) !== String(userId));
+        if (hidden.length === 0) return;
+        const stage = storedStage.id !== undefined && storedStage.id !== null
+            ? details.updates.find(update => update && update.id === storedStage.id)
+            : details.updates[index];
+        // A stage the caller removed takes its files with it
+        if (!stage) return;
+        if (!Array.isArray(stage.files)) stage.files = [];
+        const sent = new Set(stage.files.filter(Boolean).map(file => file.id || file.url));
+        stage.files.push(...hidden.filter(file => !sent.has(file.id || file.url)));
+    });
+};
+
+// Load the bare report row used for record-level permission checks
+const findReportForPolicy = async (conn, id) => {
+    const [rows] = await conn.query(
+        `SELECT r.user_id, r.branch_id, r.report_type, r.assigned_team_id, t.leader_id AS team_leader_id, u.branch_id AS author_branch_id
+         FROM reports r
+         LEFT JOIN users u ON r.user_id = u.id
+         LEFT JOIN technical_teams t ON r.assigned_team_id = t.id
+         WHERE r.id = ? AND r.deleted_at IS NULL`, [id]
+    );
+    return rows[0] || null;
+};
+
+// Tells the connected users who may see the report about a committed change (see eventStream.js)
+const announceReportChange = (type, id, data = {}, report = null) =>
+    (report ? Promise.resolve(report) : findReportForPolicy(db, id))
+        .then(row => { if (row) publish(type, { reportId: String(id), ...data }, { resource: 'report', record: row }); })
+        .catch(error => console.error(`Failed to publish ${type} for report ${id}:`, error.message));
+
+// The report state compared by the audit trail (see reportAudit.js), read on the transaction's connection
+const loadAuditSnapshot = async (conn, id) => {
+    const [rows] = await conn.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
+    if (rows.length === 0) return null;
+    const children = await loadReportChildren(conn, rows[0].details_normalized ? [rows[0].id] : []);
+    const report = formatReportForFrontend(rows[0], null, children.get(String(rows[0].id)));
+    return {
+        status: report.status,
+        assignedTeamId: report.assignedTeamId ?? null,
+        projectWorkflowStatus: report.projectWorkflowStatus ?? null,
+        evaluation: report.evaluation ?? null,
+        modifications: report.modifications,
+        details: report.details,
+        adminNotes: report.adminNotes,
     };
 };
 
-// GET /api/reports
-router.get('/reports', async (req, res) => {
+// Who made a report change and through which endpoint
+const auditContext = (req, action) => ({
+    actorId: req.user.id,
+    actorName: req.user.name,
+    action,
+    endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+});
+
+// Pagination defaults for report lists
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Escape LIKE wildcards in user-provided search text
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, ch => `\\${ch}`);
+
+// Build WHERE conditions for GET /api/reports from query params, always scoped to the requester
+const buildReportListFilters = (query, user) => {
+    const scope = listScope(user, 'report');
+    const conditions = ['r.deleted_at IS NULL', scope.sql];
+    const params = [...scope.params];
+
+    if (query.type) { conditions.push('r.report_type = ?'); params.push(query.type); }
+    if (query.status) { conditions.push('r.status = ?'); params.push(query.status); }
+    if (query.branchId) { conditions.push('r.branch_id = ?'); params.push(query.branchId); }
+    if (query.branch) { conditions.push('b.name = ?'); params.push(query.branch); }
+    if (query.employeeId) { conditions.push('u.username = ?'); params.push(query.employeeId); }
+    if (query.assignedTeamId) { conditions.push('r.assigned_team_id = ?'); params.push(query.assignedTeamId); }
+    if (query.workflowStatus) { conditions.push('r.project_workflow_status = ?'); params.push(query.workflowStatus); }
+    if (query.from) { conditions.push('r.created_at >= ?'); params.push(query.from); }
+    if (query.to) { conditions.push('r.created_at < DATE_ADD(?, INTERVAL 1 DAY)'); params.push(query.to); }
+    if (query.q && String(query.q).trim()) {
+        // Free-text search over the employee name, the report content and its sales customers
+        const term = `%${escapeLike(String(query.q).trim())}%`;
+        conditions.push(`(u.full_name LIKE ? OR u.username LIKE ? OR r.content LIKE ?
+            OR EXISTS (SELECT 1 FROM report_sales_customers c WHERE c.report_id = r.id AND c.data LIKE ?))`);
+        params.push(term, term, term, term);
+    }
+
+    return { conditions, params };
+};
+
+// GET /api/reports - paginated, filtered list of the reports visible to the requester
+// Query: type, status, branch, branchId, employeeId, assignedTeamId, workflowStatus, from, to, q, limit, cursor
+// With limit or cursor the answer is a page, { items, nextCursor }. Without either it is the full list as a
+// bare array, which is what clients written before pagination expect.
+router.get('/reports', authorize('report', 'list'), async (req, res) => {
     try {
-        const [rows] = await db.query(`${fullReportQuery} ORDER BY r.created_at DESC`);
-        
-        const requestingUser = { 
-            id: req.headers['x-user-id'], 
-            role: req.headers['x-user-role'] 
-        };
-        
-        const reports = rows.map(row => formatReportForFrontend(row, requestingUser.id && requestingUser.role ? requestingUser : null));
-        res.json(reports);
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+        if ((req.query.from && !isDate(req.query.from)) || (req.query.to && !isDate(req.query.to))) {
+            return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format.' });
+        }
+
+        const { conditions, params } = buildReportListFilters(req.query, req.user);
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ message: 'Invalid cursor.' });
+            }
+            conditions.push('(r.created_at < ? OR (r.created_at = ? AND r.id < ?))');
+            params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+        }
+
+        const query = `${fullReportQuery} WHERE ${conditions.join(' AND ')} ORDER BY r.created_at DESC, r.id DESC`;
+        if (req.query.limit === undefined && req.query.cursor === undefined) {
+            const [rows] = await db.query(query, params);
+            return res.json(await formatReports(rows, req.user));
+        }
+
+        const limit = pageLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        // Fetch one extra row to know whether another page exists
+        const [rows] = await db.query(`${query} LIMIT ?`, [...params, limit + 1]);
+        const pageRows = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+
+        res.json({ items: await formatReports(pageRows, req.user), nextCursor });
     } catch (error) {
         console.error('Error in GET /api/reports:', error);
         res.status(500).json({ message: 'An internal server error occurred while fetching reports.' });
@@ -132,35 +233,68 @@ router.get('/reports', async (req, res) => {
 
 
 // POST /api/reports - Create a new report
-router.post('/reports', upload.any(), async (req, res) => {
+router.post('/reports', authorize('report', 'create'), uploadReportFiles, async (req, res) => {
+    let connection;
     try {
         if (!req.body.reportData) {
             return res.status(400).json({ message: 'reportData is missing from the request body.' });
         }
         const reportData = JSON.parse(req.body.reportData);
-        const { employeeId, branch, details } = reportData;
+        const { branch, details } = reportData;
+        // The report author is always the authenticated user
+        const userId = req.user.id;
 
-        // Find user and branch IDs
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-        if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-        const userId = userRows[0].id;
-
-        const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ?', [branch]);
+        // Find branch ID
+        const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ? AND deleted_at IS NULL', [branch]);
         if (branchRows.length === 0) return res.status(404).json({ message: 'Branch not found.' });
         const branchId = branchRows[0].id;
+
+        // New projects start at the beginning of the workflow
+        const statusRejection = projectWorkflow.checkStatusChange(req.user, { status: null, templated: false, stages: [] }, reportData.projectWorkflowStatus || null);
+        if (statusRejection) {
+            return res.status(statusRejection.status).json(statusRejection.body);
+        }
+
+        // Project stages come from the chosen template when one is given
+        let template = null;
+        if (reportData.templateId) {
+            if (reportData.type !== 'Project') {
+                return res.status(400).json({ message: 'Stage templates only apply to Project reports.' });
+            }
+            template = await projectWorkflow.loadStageTemplate(db, reportData.templateId);
+            if (!template) {
+                return res.status(404).json({ message: 'Stage template not found.' });
+            }
+            if (template.branch_id && String(template.branch_id) !== String(branchId)) {
+                return res.status(400).json({ message: 'This stage template is not available for the selected branch.' });
+            }
+            details.updates = projectWorkflow.stagesFromTemplate(template);
+        }
+        // Stages start open; they are completed through confirm-stage like those of existing reports
+        const stageRejection = projectWorkflow.checkStageEdits([], details && details.updates);
+        if (stageRejection) {
+            return res.status(stageRejection.status).json(stageRejection.body);
+        }
         
-        // Handle file uploads based on report type
+        // Handle file uploads based on report type; the attachments are linked once the report exists
+        const storedFiles = [];
+        attachmentService.discardOnFailure(res, storedFiles);
+        const storeNewFile = async (file, folder) => {
+            const stored = await uploadReportFile(file, userId, folder);
+            storedFiles.push(stored);
+            return stored;
+        };
         if (req.files && req.files.length > 0) {
             if (reportData.type === 'Maintenance') {
                 const beforeImages = req.files.filter(f => f.fieldname === 'maintenance_beforeImages');
                 const afterImages = req.files.filter(f => f.fieldname === 'maintenance_afterImages');
-                details.beforeImages = await Promise.all(beforeImages.map(file => uploadFileToCloudinary(file, userId, 'maintenance')));
-                details.afterImages = await Promise.all(afterImages.map(file => uploadFileToCloudinary(file, userId, 'maintenance')));
+                details.beforeImages = await Promise.all(beforeImages.map(file => storeNewFile(file, 'maintenance')));
+                details.afterImages = await Promise.all(afterImages.map(file => storeNewFile(file, 'maintenance')));
             } else if (reportData.type === 'Sales') {
                  for (let i = 0; i < details.customers.length; i++) {
                     const customerFiles = req.files.filter(f => f.fieldname === `sales_customer_${i}_files`);
                     if (customerFiles.length > 0) {
-                        details.customers[i].files = await Promise.all(customerFiles.map(file => uploadFileToCloudinary(file, userId, 'sales')));
+                        details.customers[i].files = await Promise.all(customerFiles.map(file => storeNewFile(file, 'sales')));
                     }
                 }
             } else if (reportData.type === 'Project') {
@@ -168,7 +302,7 @@ router.post('/reports', upload.any(), async (req, res) => {
                     const updateFiles = req.files.filter(f => f.fieldname === `project_update_${i}_files`);
                     if (updateFiles.length > 0) {
                         if (!details.updates[i].files) details.updates[i].files = [];
-                        const uploadedFiles = await Promise.all(updateFiles.map(file => uploadFileToCloudinary(file, userId, 'projects')));
+                        const uploadedFiles = await Promise.all(updateFiles.map(file => storeNewFile(file, 'projects')));
                         details.updates[i].files.push(...uploadedFiles);
                     }
                 }
@@ -179,47 +313,81 @@ router.post('/reports', upload.any(), async (req, res) => {
             user_id: userId,
             branch_id: branchId,
             report_type: reportData.type,
-            content: JSON.stringify(details),
+            content: JSON.stringify({}),
             status: reportData.status,
             assigned_team_id: reportData.assignedTeamId || null,
             project_workflow_status: reportData.projectWorkflowStatus || null,
+            stage_template_id: template ? template.id : null,
         };
 
-        const [result] = await db.query('INSERT INTO reports SET ?', newReport);
-        const [rows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [result.insertId]);
-        
-        res.status(201).json(formatReportForFrontend(rows[0]));
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query('INSERT INTO reports SET ?', newReport);
+        await reportStore.saveReportDetails(connection, result.insertId, details);
+        await attachmentService.linkAttachments(connection, storedFiles, result.insertId);
+        await reportAudit.recordReportChange(connection, result.insertId, auditContext(req, 'create'), null, null);
+        await connection.commit();
+        announceReportChange('report.created', result.insertId);
+
+        res.status(201).json(await fetchFormattedReport(result.insertId, req.user));
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Error in POST /api/reports:', error);
         console.error('Received reportData:', req.body.reportData);
         console.error('Received files:', req.files ? req.files.map(f => f.originalname) : 'No files');
         res.status(500).json({ message: 'An internal server error occurred while creating the report.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
 
 // PUT /api/reports/:id - Update a report
-router.put('/reports/:id', upload.any(), async (req, res) => {
+// Requires If-Match with the report version (see concurrency.js)
+router.put('/reports/:id', requireIfMatch, uploadReportFiles, async (req, res) => {
     const { id } = req.params;
+    let connection;
     try {
         if (!req.body.reportData) {
             return res.status(400).json({ message: 'reportData is missing.' });
         }
         const reportData = JSON.parse(req.body.reportData);
-        const { employeeId, details } = reportData;
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-        const userId = userRows[0]?.id || null;
+        const { details } = reportData;
+        const userId = req.user.id;
+
+        const [existingRows] = await db.query(`${fullReportQuery} WHERE r.id = ? AND r.deleted_at IS NULL`, [id]);
+        if (existingRows.length === 0) {
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'update', existingRows[0])) {
+            return forbid(res);
+        }
+        if (!isCurrentVersion(req, existingRows[0].version)) {
+            return sendVersionConflict(res, await fetchFormattedReport(id, req.user));
+        }
+
+        // The workflow status only moves through declared transitions; omitting it keeps the current one
+        const requestedStatus = reportData.projectWorkflowStatus === undefined
+            ? existingRows[0].project_workflow_status
+            : (reportData.projectWorkflowStatus || null);
+        const statusRejection = projectWorkflow.checkStatusChange(req.user, await projectWorkflow.loadWorkflowState(db, id), requestedStatus);
+        if (statusRejection) {
+            return res.status(statusRejection.status).json(statusRejection.body);
+        }
 
         // Handle file uploads for updates
-         if (req.files && req.files.length > 0 && userId) {
+        const storedFiles = [];
+        attachmentService.discardOnFailure(res, storedFiles);
+         if (req.files && req.files.length > 0) {
             // Sales file updates
             if (reportData.type === 'Sales' && details.customers) {
                 for (const file of req.files.filter(f => f.fieldname.startsWith('sales_customer_'))) {
                     const cIndex = parseInt(file.fieldname.split('_')[2]);
                     if (details.customers[cIndex]) {
                         if (!details.customers[cIndex].files) details.customers[cIndex].files = [];
-                        const uploadedFile = await uploadFileToCloudinary(file, userId, 'sales');
+                        const uploadedFile = await uploadReportFile(file, userId, 'sales', id);
+                        storedFiles.push(uploadedFile);
                         details.customers[cIndex].files.push(uploadedFile);
                     }
                 }
@@ -230,7 +398,8 @@ router.put('/reports/:id', upload.any(), async (req, res) => {
                     const uIndex = parseInt(file.fieldname.split('_')[2]);
                     if (details.updates[uIndex]) {
                         if (!details.updates[uIndex].files) details.updates[uIndex].files = [];
-                        const uploadedFile = await uploadFileToCloudinary(file, userId, 'projects');
+                        const uploadedFile = await uploadReportFile(file, userId, 'projects', id);
+                        storedFiles.push(uploadedFile);
                         details.updates[uIndex].files.push(uploadedFile);
                     }
                 }
@@ -239,52 +408,132 @@ router.put('/reports/:id', upload.any(), async (req, res) => {
             const evaluationFiles = req.files.filter(f => f.fieldname === 'evaluation_files');
             if (evaluationFiles.length > 0 && reportData.evaluation) {
                 if (!reportData.evaluation.files) reportData.evaluation.files = [];
-                 const uploadedFiles = await Promise.all(evaluationFiles.map(file => uploadFileToCloudinary(file, userId, 'evaluations')));
+                 const uploadedFiles = await storeReportFiles(evaluationFiles, userId, 'evaluations', id);
+                 storedFiles.push(...uploadedFiles);
                  reportData.evaluation.files.push(...uploadedFiles);
             }
         }
         
+        // Admin notes are only written through the notes endpoints; exceptions through add-exception.
+        // The status is the approval, set by those who may approve (also through POST /reports/:id/status)
         const updatedReport = {
-            content: JSON.stringify(details),
-            status: reportData.status,
+            status: can(req.user, 'report', 'approve', existingRows[0]) ? reportData.status : existingRows[0].status,
             modifications: JSON.stringify(reportData.modifications || []),
             evaluation: JSON.stringify(reportData.evaluation || null),
             assigned_team_id: reportData.assignedTeamId || null,
-            project_workflow_status: reportData.projectWorkflowStatus || null,
-            adminNotes: JSON.stringify(reportData.adminNotes || []),
+            project_workflow_status: requestedStatus,
         };
 
-        const [result] = await db.query('UPDATE reports SET ? WHERE id = ?', [updatedReport, id]);
-        if (result.affectedRows === 0) {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        if (!(await reportStore.ensureReportNormalized(connection, id))) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Report not found.' });
         }
+        const lockedState = await projectWorkflow.loadWorkflowState(connection, id);
+        const lockedRejection = projectWorkflow.checkStatusChange(req.user, lockedState, requestedStatus);
+        if (lockedRejection) {
+            await connection.rollback();
+            return res.status(lockedRejection.status).json(lockedRejection.body);
+        }
+        if ((requestedStatus || null) !== (lockedState.status || null)) {
+            updatedReport.workflow_status_changed_at = new Date();
+        }
+        const before = await loadAuditSnapshot(connection, id);
+        const storedStages = before && before.details ? before.details.updates : [];
+        const stageRejection = projectWorkflow.checkStageEdits(storedStages, details && details.updates);
+        if (stageRejection) {
+            await connection.rollback();
+            return res.status(stageRejection.status).json(stageRejection.body);
+        }
+        if (details) projectWorkflow.keepStageCompletion(storedStages, details.updates);
+        const [updateResult] = await connection.query(
+            'UPDATE reports SET ?, version = version + 1 WHERE id = ? AND version = ?',
+            [updatedReport, id, req.expectedVersion]
+        );
+        if (updateResult.affectedRows === 0) {
+            await connection.rollback();
+            return sendVersionConflict(res, await fetchFormattedReport(id, req.user));
+        }
+        if (!can(req.user, 'report', 'viewAllStageFiles', existingRows[0])) {
+            restoreHiddenStageFiles(details, before && before.details, req.user.id);
+        }
+        await reportStore.saveReportDetails(connection, id, details, { includeExceptions: false });
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'update'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.updated', id);
 
-        const [rows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.json(formatReportForFrontend(rows[0]));
+        const updated = await fetchFormattedReport(id, req.user);
+        setVersionHeader(res, updated.version);
+        res.json(updated);
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error in PUT /api/reports/${id}:`, error);
         console.error('Received reportData:', req.body.reportData);
         console.error('Received files:', req.files ? req.files.map(f => f.originalname) : 'No files');
         res.status(500).json({ message: error.message || 'An internal server error occurred while updating the report.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-// POST /api/reports/:id/add-exception - Add an exception to a project report
-router.post('/reports/:id/add-exception', upload.array('files'), async (req, res) => {
+// POST /api/reports/:id/status - Set the report status (approval). Body: { status }
+router.post('/reports/:id/status', async (req, res) => {
     const { id } = req.params;
-    const { comment, employeeId } = req.body;
+    const { status } = req.body;
+    if (typeof status !== 'string' || !status.trim()) {
+        return res.status(400).json({ message: 'status is required.' });
+    }
+    let connection;
     try {
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-        if (userRows.length === 0) return res.status(404).json({ message: 'User not found for exception.' });
-        const userId = userRows[0].id;
+        connection = await db.getConnection();
+        await connection.beginTransaction();
 
-        const [reportRows] = await db.query('SELECT * FROM reports WHERE id = ?', [id]);
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'approve', report)) {
+            await connection.rollback();
+            return forbid(res);
+        }
+        await reportStore.ensureReportNormalized(connection, id);
+
+        const before = await loadAuditSnapshot(connection, id);
+        await connection.query('UPDATE reports SET status = ?, version = version + 1 WHERE id = ?', [status.trim(), id]);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'set_status'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.updated', id, {}, report);
+
+        const updated = await fetchFormattedReport(id, req.user);
+        setVersionHeader(res, updated.version);
+        res.json(updated);
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error setting the status of report ${id}:`, error);
+        res.status(500).json({ message: 'Failed to set the report status.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /api/reports/:id/add-exception - Add an exception to a project report
+router.post('/reports/:id/add-exception', uploadStageFiles, async (req, res) => {
+    const { id } = req.params;
+    const { comment } = req.body;
+    const userId = req.user.id;
+    let connection;
+    try {
+        const [reportRows] = await db.query(`${fullReportQuery} WHERE r.id = ? AND r.deleted_at IS NULL`, [id]);
         if (reportRows.length === 0) {
             return res.status(404).json({ message: 'Project report not found.' });
         }
         const report = reportRows[0];
-        const details = safeJsonParse(report.content);
+        if (!can(req.user, 'report', 'update', report)) {
+            return forbid(res);
+        }
 
         if (report.report_type !== 'Project') {
             return res.status(400).json({ message: 'Exceptions can only be added to Project reports.' });
@@ -292,8 +541,9 @@ router.post('/reports/:id/add-exception', upload.array('files'), async (req, res
 
         let uploadedFiles = [];
         if (req.files && req.files.length > 0) {
-            uploadedFiles = await Promise.all(req.files.map(file => uploadFileToCloudinary(file, userId, 'projects/exceptions')));
+            uploadedFiles = await storeReportFiles(req.files, userId, 'projects/exceptions', id);
         }
+        attachmentService.discardOnFailure(res, uploadedFiles);
         
         const newException = {
             id: `exc-${Date.now()}`,
@@ -303,136 +553,258 @@ router.post('/reports/:id/add-exception', upload.array('files'), async (req, res
             uploadedBy: userId,
         };
 
-        if (!details.exceptions) {
-            details.exceptions = [];
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        if (!(await reportStore.ensureReportNormalized(connection, id))) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Project report not found.' });
         }
-        details.exceptions.push(newException);
-
-        await db.query('UPDATE reports SET content = ? WHERE id = ?', [JSON.stringify(details), id]);
+        const before = await loadAuditSnapshot(connection, id);
+        await reportStore.addException(connection, id, newException);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'add_exception'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.updated', id);
 
-        const [rows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.status(200).json(formatReportForFrontend(rows[0]));
+        res.status(200).json(await fetchFormattedReport(id, req.user));
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error in POST /api/reports/${id}/add-exception:`, error);
         res.status(500).json({ message: error.message || 'An internal server error occurred while adding the exception.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
 
-// POST /api/reports/:id/confirm-stage - A dedicated endpoint for project stage updates
-router.post('/reports/:id/confirm-stage', upload.array('files'), async (req, res) => {
+// POST /api/reports/:id/confirm-stage - Applies a project workflow transition (see projectWorkflow.js)
+router.post('/reports/:id/confirm-stage', uploadStageFiles, async (req, res) => {
     const { id } = req.params;
-    const { stageId, comment, employeeId } = req.body;
+    const { stageId, comment } = req.body;
+    const userId = req.user.id;
 
-    if (!stageId || !employeeId) {
-        return res.status(400).json({ message: 'stageId and employeeId are required.' });
+    if (!stageId) {
+        return res.status(400).json({ message: 'stageId is required.' });
     }
 
+    let connection;
     try {
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-        if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-        const userId = userRows[0].id;
-
-        const [reportRows] = await db.query('SELECT * FROM reports WHERE id = ?', [id]);
+        const [reportRows] = await db.query(`${fullReportQuery} WHERE r.id = ? AND r.deleted_at IS NULL`, [id]);
         if (reportRows.length === 0) {
             return res.status(404).json({ message: 'Project report not found.' });
         }
         const report = reportRows[0];
-        const details = safeJsonParse(report.content);
+        if (!can(req.user, 'report', 'update', report)) {
+            return forbid(res);
+        }
 
-        if (report.report_type !== 'Project' || !details.updates) {
+        if (report.report_type !== 'Project') {
             return res.status(400).json({ message: 'This action is only for Project reports.' });
         }
+
+        const fileCount = req.files ? req.files.length : 0;
+        const rejection = projectWorkflow.checkTransition(req.user, stageId, await projectWorkflow.loadWorkflowState(db, id), fileCount);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
         
         let uploadedFiles = [];
-        if (req.files && req.files.length > 0) {
-            uploadedFiles = await Promise.all(req.files.map(file => uploadFileToCloudinary(file, userId, 'projects')));
+        if (fileCount > 0) {
+            uploadedFiles = await storeReportFiles(req.files, userId, 'projects', id);
         }
-        
-        const updatedReportPayload = {};
-
-        // Handle virtual and real stages
-        switch (stageId) {
-            case 'concreteWorks':
-                const stageIndex = details.updates.findIndex(u => u.id === 'concreteWorks');
-                if (stageIndex !== -1) {
-                    details.updates[stageIndex] = {
-                        ...details.updates[stageIndex],
-                        completed: true,
-                        timestamp: new Date().toISOString(),
-                        comment: comment || details.updates[stageIndex].comment,
-                        files: [...(details.updates[stageIndex].files || []), ...uploadedFiles],
-                    };
-                    updatedReportPayload.content = JSON.stringify(details);
-                    updatedReportPayload.project_workflow_status = 'ConcreteWorksDone';
-                }
-                break;
-
-            case 'technicalCompletion':
-                const installationStageIndex = details.updates.findIndex(u => u.id === 'installationComplete');
-                if (installationStageIndex !== -1) {
-                    details.updates[installationStageIndex].completed = true;
-                    details.updates[installationStageIndex].timestamp = new Date().toISOString();
-                    details.updates[installationStageIndex].comment = comment;
-                    details.updates[installationStageIndex].files = uploadedFiles;
-                }
-                delete details.completionProof; // Clean up old field
-                updatedReportPayload.content = JSON.stringify(details);
-                updatedReportPayload.project_workflow_status = 'TechnicallyCompleted';
-                break;
-            
-            case 'deliveryHandover_signed':
-                const handoverIndex = details.updates.findIndex(u => u.id === 'deliveryHandover');
-                if (handoverIndex !== -1 && uploadedFiles.length > 0) {
-                    if (!details.updates[handoverIndex].files) {
-                        details.updates[handoverIndex].files = [];
-                    }
-                    // Add the signed doc, assuming it's the second file
-                    details.updates[handoverIndex].files[1] = uploadedFiles[0];
-                    updatedReportPayload.content = JSON.stringify(details);
-                }
-                break;
+        attachmentService.discardOnFailure(res, uploadedFiles);
 
-            case 'workflowDocs':
-                details.workflowDocs = [...(details.workflowDocs || []), ...uploadedFiles];
-                updatedReportPayload.content = JSON.stringify(details);
-                // Status remains FinishingWorks, so no status update here.
-                break;
-                
-            default:
-                return res.status(400).json({ message: `Stage action '${stageId}' is not recognized.` });
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        if (!(await reportStore.ensureReportNormalized(connection, id))) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Project report not found.' });
+        }
+        // Re-check under the row lock in case the status moved while files were uploading
+        const lockedState = await projectWorkflow.loadWorkflowState(connection, id);
+        const lockedRejection = projectWorkflow.checkTransition(req.user, stageId, lockedState, fileCount);
+        if (lockedRejection) {
+            await connection.rollback();
+            return res.status(lockedRejection.status).json(lockedRejection.body);
         }
-        
-        await db.query('UPDATE reports SET ? WHERE id = ?', [updatedReportPayload, id]);
-        const [rows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.status(200).json(formatReportForFrontend(rows[0]));
+
+        const before = await loadAuditSnapshot(connection, id);
+        await projectWorkflow.applyTransition(connection, id, stageId, { files: uploadedFiles, comment });
+        // Stages are part of what PUT overwrites, so a stage change invalidates versions held by editors
+        await connection.query('UPDATE reports SET version = version + 1 WHERE id = ?', [id]);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'confirm_stage'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.updated', id);
+
+        res.status(200).json(await fetchFormattedReport(id, req.user));
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error in POST /api/reports/${id}/confirm-stage:`, error);
         res.status(500).json({ message: error.message || 'An internal server error occurred while updating the project stage.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ==== History redaction ====
+// Audit diffs hold whole values, so what a caller may not see is removed from `from`/`to` as well as
+// by field path. Changes left with nothing to show are dropped.
+
+// Team leads don't see other people's project stage files (see formatReportForFrontend)
+const STAGE_FILES_FIELD = /^details\.updates\[\d+\]\.files/;
+const STAGE_FIELD = /^details\.updates\[\d+\]$/;
+
+const withOwnStageFiles = (stage, userId) => (stage && Array.isArray(stage.files)
+    ? { ...stage, files: stage.files.filter(file => file && String(file.uploadedBy) === String(userId)) }
+    : stage);
+
+const withOwnFilesInStages = (stages, userId) => (Array.isArray(stages) ? stages.map(stage => withOwnStageFiles(stage, userId)) : stages);
+
+// A change's value with the stage files of other uploaders removed, for a change at `field`
+const hideOthersStageFiles = (value, field, userId) => {
+    if (value === null || typeof value !== 'object') return value;
+    if (field === 'details') return { ...value, updates: withOwnFilesInStages(value.updates, userId) };
+    if (field === 'details.updates') return withOwnFilesInStages(value, userId);
+    if (STAGE_FIELD.test(field)) return withOwnStageFiles(value, userId);
+    return value;
+};
+
+// Note bodies stay out of the history: edited and deleted content is only kept in the note revisions
+const NOTE_FIELD = /^adminNotes(\[|$)/;
+const NOTE_CONTENT_FIELD = /^adminNotes\[.*\.content$/;
+
+const withoutNoteContent = (value) => {
+    if (Array.isArray(value)) return value.map(withoutNoteContent);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => key !== 'content')
+        .map(([key, member]) => [key, withoutNoteContent(member)]));
+};
+
+const redactHistoryChange = (change, user, seesAllStageFiles) => {
+    if (NOTE_CONTENT_FIELD.test(change.field)) return { field: change.field, from: null, to: null, redacted: true };
+    if (NOTE_FIELD.test(change.field)) {
+        return { ...change, from: withoutNoteContent(change.from), to: withoutNoteContent(change.to) };
+    }
+    if (seesAllStageFiles) return change;
+    if (STAGE_FILES_FIELD.test(change.field)) return null;
+    const from = hideOthersStageFiles(change.from, change.field, user.id);
+    const to = hideOthersStageFiles(change.to, change.field, user.id);
+    return JSON.stringify(from) === JSON.stringify(to) ? null : { ...change, from, to };
+};
+
+// GET /api/reports/:id/history - Audit trail of the report, newest first. Query: limit, cursor
+router.get('/reports/:id/history', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const report = await findReportForPolicy(db, id);
+        if (!report) {
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'view', report)) {
+            return forbid(res);
+        }
+        const page = await reportAudit.listReportHistory(db, id, {
+            limit: pageLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+            cursor: req.query.cursor,
+        });
+        if (!page) {
+            return res.status(400).json({ message: 'Invalid cursor.' });
+        }
+        const seesAllStageFiles = can(req.user, 'report', 'viewAllStageFiles', report);
+        page.items.forEach(item => {
+            item.changes = item.changes.map(change => redactHistoryChange(change, req.user, seesAllStageFiles)).filter(Boolean);
+        });
+        res.json(page);
+    } catch (error) {
+        console.error(`Error in GET /api/reports/${id}/history:`, error);
+        res.status(500).json({ message: 'Failed to fetch report history.' });
     }
 });
 
 // --- NEW ADMIN NOTES ENDPOINTS (Robust Transactional Implementation) ---
+// Notes and replies accept multipart bodies: `content`, `mentions` (user ids, as a JSON list or
+// comma-separated) and up to 10 `files`. A note mentioning users notifies only those users.
+
+const uploadNoteFiles = acceptUploads({ field: 'files', kind: 'document', maxFiles: 10 });
+
+// Mentioned user ids from a request body; [] when none, null when malformed
+const parseMentions = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    let list = value;
+    if (typeof value === 'string') {
+        try { list = JSON.parse(value); } catch { list = value.split(','); }
+    }
+    if (!Array.isArray(list)) list = [list];
+    const ids = list.map(item => String(item).trim()).filter(Boolean);
+    return ids.every(userId => /^\d+$/.test(userId)) ? [...new Set(ids)] : null;
+};
+
+// Returns the mentioned ids that are unknown or can't see the report
+const findUnmentionableUsers = async (conn, userIds, report) => {
+    if (userIds.length === 0) return [];
+    const [rows] = await conn.query('SELECT * FROM users WHERE id IN (?) AND deleted_at IS NULL', [userIds]);
+    const allowed = new Set(rows.filter(row => can(toSessionUser(row), 'report', 'view', report)).map(row => String(row.id)));
+    return userIds.filter(userId => !allowed.has(userId));
+};
+
+const queueMentionNotifications = async (conn, reportId, userIds, authorId, authorName) => {
+    for (const recipientId of userIds.filter(userId => userId !== String(authorId))) {
+        await enqueueNotification(conn, recipientId, {
+            eventType: 'report.mention',
+            title: 'تمت الإشارة إليك',
+            message: `${authorName} أشار إليك في ملاحظة على تقرير #${reportId}`,
+            link: `/reports/${reportId}`,
+        });
+    }
+};
+
+// Validates content/mentions of a new note or reply; returns an error message or null
+const validateNoteBody = (content, mentions, files) => {
+    if (mentions === null) return 'mentions must be a list of user ids.';
+    if (!(typeof content === 'string' && content.trim()) && (!files || files.length === 0)) {
+        return 'A note needs content or at least one file.';
+    }
+    return null;
+};
 
 // POST /api/reports/:id/notes - Add a new admin note
-router.post('/reports/:id/notes', async (req, res) => {
+router.post('/reports/:id/notes', uploadNoteFiles, async (req, res) => {
     const { id } = req.params;
-    const { content, authorId, authorName } = req.body;
+    const { content } = req.body;
+    const { id: authorId, name: authorName } = req.user;
+    const mentions = parseMentions(req.body.mentions);
+    const validationError = validateNoteBody(content, mentions, req.files);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
     let connection;
     try {
+        const reportForCheck = await findReportForPolicy(db, id);
+        if (!reportForCheck) {
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'comment', reportForCheck)) {
+            return forbid(res);
+        }
+        const unmentionable = await findUnmentionableUsers(db, mentions, reportForCheck);
+        if (unmentionable.length > 0) {
+            return res.status(400).json({ message: 'Some mentioned users cannot see this report.', userIds: unmentionable });
+        }
+        const uploadedFiles = await attachmentService.storeFiles(req.files, { ownerId: authorId, entityType: 'report', entityId: id, folder: 'notes' });
+        attachmentService.discardOnFailure(res, uploadedFiles);
+
         connection = await db.getConnection();
         await connection.beginTransaction();
 
-        const [reportRows] = await connection.query('SELECT user_id, adminNotes, report_type, assigned_team_id FROM reports WHERE id = ? FOR UPDATE', [id]);
-        if (reportRows.length === 0) {
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
             await connection.rollback();
             return res.status(404).json({ message: 'Report not found.' });
         }
-
-        const report = reportRows[0];
-        const adminNotes = safeJsonParse(report.adminNotes, []);
+        await reportStore.ensureReportNormalized(connection, id);
+        const before = await loadAuditSnapshot(connection, id);
         
         const newNote = {
             id: `note-${Date.now()}`,
@@ -440,47 +812,52 @@ router.post('/reports/:id/notes', async (req, res) => {
             authorName,
             content,
             timestamp: new Date().toISOString(),
-            replies: [],
             readBy: [String(authorId)],
+            mentions,
+            files: uploadedFiles,
         };
-        adminNotes.push(newNote);
-
-        await connection.query('UPDATE reports SET adminNotes = ? WHERE id = ?', [JSON.stringify(adminNotes), id]);
+        await reportStore.insertNote(connection, id, newNote);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'note_added'), before, await loadAuditSnapshot(connection, id));
         
-        // --- Revamped Notification Logic ---
-        const notificationRecipients = new Set();
-        const notificationLink = `/reports/${id}`;
-        const notificationMessage = `${authorName} أضاف ملاحظة على تقرير #${id}`;
-
-        // 1. Add report author
-        notificationRecipients.add(String(report.user_id));
-
-        // 2. Add all admins
-        const [admins] = await connection.query('SELECT id FROM users WHERE role = ?', ['admin']);
-        admins.forEach(admin => notificationRecipients.add(String(admin.id)));
-
-        // 3. If it's a project report, add the team lead
-        if (report.report_type === 'Project' && report.assigned_team_id) {
-            const [teamRows] = await connection.query('SELECT leader_id FROM technical_teams WHERE id = ?', [report.assigned_team_id]);
-            if (teamRows.length > 0) {
-                notificationRecipients.add(String(teamRows[0].leader_id));
+        if (mentions.length > 0) {
+            await queueMentionNotifications(connection, id, mentions, authorId, authorName);
+        } else {
+            // --- Revamped Notification Logic ---
+            const notificationRecipients = new Set();
+            const notificationLink = `/reports/${id}`;
+            const notificationMessage = `${authorName} أضاف ملاحظة على تقرير #${id}`;
+
+            // 1. Add report author
+            notificationRecipients.add(String(report.user_id));
+
+            // 2. Add all admins
+            const [admins] = await connection.query('SELECT id FROM users WHERE role = ? AND deleted_at IS NULL', ['admin']);
+            admins.forEach(admin => notificationRecipients.add(String(admin.id)));
+
+            // 3. If it's a project report, add the team lead
+            if (report.report_type === 'Project' && report.team_leader_id) {
+                notificationRecipients.add(String(report.team_leader_id));
             }
-        }
 
-        // 4. Remove the author of the current note
-        notificationRecipients.delete(String(authorId));
+            // 4. Remove the author of the current note
+            notificationRecipients.delete(String(authorId));
 
-        // 5. Create notifications (in-app and push)
-        for (const recipientId of notificationRecipients) {
-            await createNotification(connection, recipientId, notificationMessage, notificationLink);
-            // Send push notification
-            await sendPushNotification(recipientId, 'ملاحظة جديدة', notificationMessage, { link: notificationLink });
+            // 5. Queue notifications (in-app and push); they are delivered only once the note is committed
+            for (const recipientId of notificationRecipients) {
+                await enqueueNotification(connection, recipientId, {
+                    eventType: 'report.note',
+                    title: 'ملاحظة جديدة',
+                    message: notificationMessage,
+                    link: notificationLink,
+                });
+            }
         }
         
         await connection.commit();
+        flushOutbox();
+        announceReportChange('report.note', id, { noteId: newNote.id, action: 'created' }, report);
 
-        const [updatedReportRows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.status(200).json(formatReportForFrontend(updatedReportRows[0]));
+        res.status(200).json(await fetchFormattedReport(id, req.user));
 
     } catch (error) {
         if (connection) await connection.rollback();
@@ -492,25 +869,43 @@ router.post('/reports/:id/notes', async (req, res) => {
 });
 
 // POST /api/reports/:id/notes/:noteId/reply - Add a reply to a note
-router.post('/reports/:id/notes/:noteId/reply', async (req, res) => {
+router.post('/reports/:id/notes/:noteId/reply', uploadNoteFiles, async (req, res) => {
     const { id, noteId } = req.params;
-    const { content, authorId, authorName } = req.body;
+    const { content } = req.body;
+    const { id: authorId, name: authorName } = req.user;
+    const mentions = parseMentions(req.body.mentions);
+    const validationError = validateNoteBody(content, mentions, req.files);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
     let connection;
     try {
+        const reportForCheck = await findReportForPolicy(db, id);
+        if (!reportForCheck) {
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'comment', reportForCheck)) {
+            return forbid(res);
+        }
+        const unmentionable = await findUnmentionableUsers(db, mentions, reportForCheck);
+        if (unmentionable.length > 0) {
+            return res.status(400).json({ message: 'Some mentioned users cannot see this report.', userIds: unmentionable });
+        }
+        const uploadedFiles = await attachmentService.storeFiles(req.files, { ownerId: authorId, entityType: 'report', entityId: id, folder: 'notes' });
+        attachmentService.discardOnFailure(res, uploadedFiles);
+
         connection = await db.getConnection();
         await connection.beginTransaction();
 
-        const [reportRows] = await connection.query('SELECT user_id, adminNotes, report_type, assigned_team_id FROM reports WHERE id = ? FOR UPDATE', [id]);
-        if (reportRows.length === 0) {
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
             await connection.rollback();
             return res.status(404).json({ message: 'Report not found.' });
         }
-        
-        const report = reportRows[0];
-        const adminNotes = safeJsonParse(report.adminNotes, []);
-        const noteIndex = adminNotes.findIndex(note => note.id === noteId);
+        await reportStore.ensureReportNormalized(connection, id);
+        const note = await reportStore.findNote(connection, id, noteId);
 
-        if (noteIndex === -1) {
+        if (!note || note.deleted_at) {
             await connection.rollback();
             return res.status(404).json({ message: "Note not found." });
         }
@@ -522,50 +917,57 @@ router.post('/reports/:id/notes/:noteId/reply', async (req, res) => {
             content,
             timestamp: new Date().toISOString(),
             readBy: [String(authorId)],
+            mentions,
+            files: uploadedFiles,
         };
-        adminNotes[noteIndex].replies.push(newReply);
-
-        await connection.query('UPDATE reports SET adminNotes = ? WHERE id = ?', [JSON.stringify(adminNotes), id]);
+        // Previous participants are read before the reply is stored
+        const threadAuthors = await reportStore.listThreadAuthors(connection, id, noteId);
+        const before = await loadAuditSnapshot(connection, id);
+        await reportStore.insertNote(connection, id, newReply, noteId);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'note_replied'), before, await loadAuditSnapshot(connection, id));
         
-        // --- Revamped Notification Logic for Replies ---
-        const notificationRecipients = new Set();
-        const notificationLink = `/reports/${id}`;
-        const notificationMessage = `${authorName} رد في محادثة بتقرير #${id}`;
-
-        // 1. Add original report author
-        notificationRecipients.add(String(report.user_id));
-
-        // 2. Add all admins
-        const [admins] = await connection.query('SELECT id FROM users WHERE role = ?', ['admin']);
-        admins.forEach(admin => notificationRecipients.add(String(admin.id)));
-
-        // 3. If it's a project report, add the team lead
-        if (report.report_type === 'Project' && report.assigned_team_id) {
-            const [teamRows] = await connection.query('SELECT leader_id FROM technical_teams WHERE id = ?', [report.assigned_team_id]);
-            if (teamRows.length > 0) {
-                notificationRecipients.add(String(teamRows[0].leader_id));
+        if (mentions.length > 0) {
+            await queueMentionNotifications(connection, id, mentions, authorId, authorName);
+        } else {
+            // --- Revamped Notification Logic for Replies ---
+            const notificationRecipients = new Set();
+            const notificationLink = `/reports/${id}`;
+            const notificationMessage = `${authorName} رد في محادثة بتقرير #${id}`;
+
+            // 1. Add original report author
+            notificationRecipients.add(String(report.user_id));
+
+            // 2. Add all admins
+            const [admins] = await connection.query('SELECT id FROM users WHERE role = ? AND deleted_at IS NULL', ['admin']);
+            admins.forEach(admin => notificationRecipients.add(String(admin.id)));
+
+            // 3. If it's a project report, add the team lead
+            if (report.report_type === 'Project' && report.team_leader_id) {
+                notificationRecipients.add(String(report.team_leader_id));
             }
-        }
 
-        // 4. Add all previous participants in the thread
-        const note = adminNotes[noteIndex];
-        notificationRecipients.add(String(note.authorId));
-        note.replies.forEach(reply => notificationRecipients.add(String(reply.authorId)));
+            // 4. Add all previous participants in the thread
+            threadAuthors.forEach(threadAuthorId => notificationRecipients.add(String(threadAuthorId)));
 
-        // 5. Remove the author of the current reply
-        notificationRecipients.delete(String(authorId));
+            // 5. Remove the author of the current reply
+            notificationRecipients.delete(String(authorId));
 
-        // 6. Create notifications (in-app and push)
-        for (const recipientId of notificationRecipients) {
-            await createNotification(connection, recipientId, notificationMessage, notificationLink);
-            // Send push notification
-            await sendPushNotification(recipientId, 'رد جديد', notificationMessage, { link: notificationLink });
+            // 6. Queue notifications (in-app and push); they are delivered only once the reply is committed
+            for (const recipientId of notificationRecipients) {
+                await enqueueNotification(connection, recipientId, {
+                    eventType: 'report.reply',
+                    title: 'رد جديد',
+                    message: notificationMessage,
+                    link: notificationLink,
+                });
+            }
         }
 
         await connection.commit();
+        flushOutbox();
+        announceReportChange('report.note', id, { noteId, replyId: newReply.id, action: 'replied' }, report);
         
-        const [updatedReportRows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.status(200).json(formatReportForFrontend(updatedReportRows[0]));
+        res.status(200).json(await fetchFormattedReport(id, req.user));
 
     } catch (error) {
         if (connection) await connection.rollback();
@@ -576,52 +978,213 @@ router.post('/reports/:id/notes/:noteId/reply', async (req, res) => {
     }
 });
 
-// POST /api/reports/:id/notes/read - Mark all notes as read
-router.post('/reports/:id/notes/read', async (req, res) => {
-    const { id } = req.params;
-    const { userId } = req.body;
+// PUT /api/reports/:id/notes/:noteId - Edit a note or reply (its author only). Body: { content, mentions? }
+// Newly mentioned users are notified; the previous content is kept in the note's history.
+router.put('/reports/:id/notes/:noteId', async (req, res) => {
+    const { id, noteId } = req.params;
+    const { content } = req.body || {};
+    const mentions = req.body && req.body.mentions !== undefined ? parseMentions(req.body.mentions) : undefined;
+    if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ message: 'content is required.' });
+    }
+    if (mentions === null) {
+        return res.status(400).json({ message: 'mentions must be a list of user ids.' });
+    }
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
 
-    if (!userId) {
-        return res.status(400).json({ message: 'User ID is required.' });
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'comment', report)) {
+            await connection.rollback();
+            return forbid(res);
+        }
+        await reportStore.ensureReportNormalized(connection, id);
+        const note = await reportStore.findNote(connection, id, noteId, { includeReplies: true });
+        if (!note || note.deleted_at) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+        if (!can(req.user, 'reportNote', 'update', note)) {
+            await connection.rollback();
+            return forbid(res);
+        }
+        if (mentions) {
+            const unmentionable = await findUnmentionableUsers(connection, mentions, report);
+            if (unmentionable.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: 'Some mentioned users cannot see this report.', userIds: unmentionable });
+            }
+        }
+
+        const before = await loadAuditSnapshot(connection, id);
+        await reportStore.editNote(connection, note, { content, mentions }, req.user.id);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'note_edited'), before, await loadAuditSnapshot(connection, id));
+        if (mentions) {
+            const previousMentions = new Set(reportStore.safeJsonParse(note.mentions, []).map(String));
+            await queueMentionNotifications(connection, id, mentions.filter(userId => !previousMentions.has(userId)), req.user.id, req.user.name);
+        }
+        await connection.commit();
+        flushOutbox();
+        announceReportChange('report.note', id, { noteId, action: 'edited' }, report);
+
+        res.status(200).json(await fetchFormattedReport(id, req.user));
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in PUT /api/reports/${id}/notes/${noteId}:`, error);
+        res.status(500).json({ message: 'Failed to edit note.' });
+    } finally {
+        if (connection) connection.release();
     }
+});
 
+// DELETE /api/reports/:id/notes/:noteId - Delete a note or reply (its author or an admin)
+// Replies to a deleted note stay in the thread.
+router.delete('/reports/:id/notes/:noteId', async (req, res) => {
+    const { id, noteId } = req.params;
     let connection;
     try {
         connection = await db.getConnection();
         await connection.beginTransaction();
 
-        const [reportRows] = await connection.query('SELECT adminNotes FROM reports WHERE id = ? FOR UPDATE', [id]);
-        if (reportRows.length === 0) {
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
             await connection.rollback();
             return res.status(404).json({ message: 'Report not found.' });
         }
+        if (!can(req.user, 'report', 'view', report)) {
+            await connection.rollback();
+            return forbid(res);
+        }
+        await reportStore.ensureReportNormalized(connection, id);
+        const note = await reportStore.findNote(connection, id, noteId, { includeReplies: true });
+        if (!note || note.deleted_at) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+        if (!can(req.user, 'reportNote', 'delete', note)) {
+            await connection.rollback();
+            return forbid(res);
+        }
 
-        const report = reportRows[0];
-        const adminNotes = safeJsonParse(report.adminNotes, []);
-        const strUserId = String(userId);
+        const before = await loadAuditSnapshot(connection, id);
+        await reportStore.deleteNote(connection, note, req.user.id);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'note_deleted'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.note', id, { noteId, action: 'deleted' }, report);
 
-        adminNotes.forEach(note => {
-            if (note.readBy && !note.readBy.includes(strUserId)) {
-                note.readBy.push(strUserId);
-            }
-            if (note.replies) {
-                note.replies.forEach(reply => {
-                    if (!reply.readBy) {
-                        reply.readBy = [];
-                    }
-                    if (!reply.readBy.includes(strUserId)) {
-                        reply.readBy.push(strUserId);
-                    }
-                });
-            }
-        });
+        res.status(200).json(await fetchFormattedReport(id, req.user));
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in DELETE /api/reports/${id}/notes/${noteId}:`, error);
+        res.status(500).json({ message: 'Failed to delete note.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET /api/reports/:id/notes/:noteId/history - Edits and deletion of a note or reply, oldest first
+router.get('/reports/:id/notes/:noteId/history', async (req, res) => {
+    const { id, noteId } = req.params;
+    try {
+        const report = await findReportForPolicy(db, id);
+        if (!report) {
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'view', report)) {
+            return forbid(res);
+        }
+        const note = await reportStore.findNote(db, id, noteId, { includeReplies: true });
+        if (!note) {
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+        res.json(await reportStore.listNoteRevisions(db, id, noteId));
+    } catch (error) {
+        console.error(`Error in GET /api/reports/${id}/notes/${noteId}/history:`, error);
+        res.status(500).json({ message: 'Failed to fetch note history.' });
+    }
+});
+
+// POST /api/reports/:id/notes/:noteId/resolve and /unresolve - Resolved status of a thread
+router.post('/reports/:id/notes/:noteId/:action(resolve|unresolve)', async (req, res) => {
+    const { id, noteId, action } = req.params;
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const report = await findReportForPolicy(connection, id);
+        if (!report) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'comment', report)) {
+            await connection.rollback();
+            return forbid(res);
+        }
+        await reportStore.ensureReportNormalized(connection, id);
+        const note = await reportStore.findNote(connection, id, noteId);
+        if (!note || note.deleted_at) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+
+        const before = await loadAuditSnapshot(connection, id);
+        await reportStore.setNoteResolved(connection, note, action === 'resolve' ? req.user.id : null);
+        await reportAudit.recordReportChange(connection, id, auditContext(req, action === 'resolve' ? 'note_resolved' : 'note_unresolved'), before, await loadAuditSnapshot(connection, id));
+        await connection.commit();
+        announceReportChange('report.note', id, { noteId, action: action === 'resolve' ? 'resolved' : 'unresolved' }, report);
+
+        res.status(200).json(await fetchFormattedReport(id, req.user));
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in POST /api/reports/${id}/notes/${noteId}/${action}:`, error);
+        res.status(500).json({ message: 'Failed to update note thread.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /api/reports/:id/notes/read - Mark all notes as read
+router.post('/reports/:id/notes/read', async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
 
-        await connection.query('UPDATE reports SET adminNotes = ? WHERE id = ?', [JSON.stringify(adminNotes), id]);
+        const [reportRows] = await connection.query(
+            `SELECT r.user_id, r.branch_id, t.leader_id AS team_leader_id, u.branch_id AS author_branch_id
+             FROM reports r
+             LEFT JOIN users u ON r.user_id = u.id
+             LEFT JOIN technical_teams t ON r.assigned_team_id = t.id
+             WHERE r.id = ? AND r.deleted_at IS NULL`, [id]
+        );
+        if (reportRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Report not found.' });
+        }
+        if (!can(req.user, 'report', 'view', reportRows[0])) {
+            await connection.rollback();
+            return forbid(res);
+        }
+
+        await reportStore.ensureReportNormalized(connection, id);
+        await reportStore.markNotesRead(connection, id, userId);
         
         await connection.commit();
 
-        const [updatedReportRows] = await db.query(`${fullReportQuery} WHERE r.id = ?`, [id]);
-        res.status(200).json(formatReportForFrontend(updatedReportRows[0]));
+        res.status(200).json(await fetchFormattedReport(id, req.user));
 
     } catch (error) {
         if (connection) await connection.rollback();
@@ -633,20 +1196,56 @@ router.post('/reports/:id/notes/read', async (req, res) => {
 });
 
 
-// DELETE /api/reports/:id
-router.delete('/reports/:id', async (req, res) => {
+// DELETE /api/reports/:id - Move a report to the trash (see softDelete.js)
+router.delete('/reports/:id', authorize('report', 'delete'), async (req, res) => {
     const { id } = req.params;
+    let connection;
     try {
-        const [result] = await db.query('DELETE FROM reports WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Report not found.' });
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        // Who may see the report is decided before it is gone
+        const report = await findReportForPolicy(connection, id);
+        const outcome = await softDelete(connection, 'report', id, req.user.id);
+        if (!outcome.ok) {
+            await connection.rollback();
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Report not found.' : outcome.message });
         }
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'delete'), null, null);
+        await connection.commit();
+        announceReportChange('report.deleted', id, {}, report);
         res.status(200).json({ message: 'Report deleted successfully.' });
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error(`Error in DELETE /api/reports/${id}:`, error);
         res.status(500).json({ message: 'An internal server error occurred while deleting the report.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
+// POST /api/reports/:id/restore - Take a report out of the trash
+router.post('/reports/:id/restore', authorize('report', 'restore'), async (req, res) => {
+    const { id } = req.params;
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const outcome = await restore(connection, 'report', id);
+        if (!outcome.ok) {
+            await connection.rollback();
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Report not found in the trash.' : outcome.message });
+        }
+        await reportAudit.recordReportChange(connection, id, auditContext(req, 'restore'), null, null);
+        await connection.commit();
+        announceReportChange('report.restored', id);
+        res.status(200).json(await fetchFormattedReport(id, req.user));
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in POST /api/reports/${id}/restore:`, error);
+        res.status(500).json({ message: 'An internal server error occurred while restoring the report.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
 
 module.exports = router;
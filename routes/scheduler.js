@@ -0,0 +1,59 @@
+// In-process job scheduler for recurring background work (reminders, cleanup).
+// Jobs are registered with scheduleJob() and started together from server.js. A job never overlaps
+// itself: a run due while the previous one is still going is skipped.
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Registers a recurring job.
+ * @param {string} name Unique job name, used in logs.
+ * @param {number} intervalMs Time between runs.
+ * @param {Function} run Async function doing the work.
+ * @param {object} [options]
+ * @param {boolean} [options.runOnStart=false] Also run shortly after startScheduler().
+ */
+function scheduleJob(name, intervalMs, run, { runOnStart = false } = {}) {
+    if (jobs.has(name)) throw new Error(`Job '${name}' is already scheduled.`);
+    const job = { name, intervalMs, run, runOnStart, running: false, lastError: null, timer: null };
+    jobs.set(name, job);
+    if (started) startJob(job);
+}
+
+async function runJob(job) {
+    if (job.running) return;
+    job.running = true;
+    try {
+        await job.run();
+        job.lastError = null;
+    } catch (error) {
+        // Log a failing job once rather than on every run (e.g. while the database is down)
+        if (error.message !== job.lastError) {
+            console.error(`Scheduled job '${job.name}' failed:`, error.message);
+            job.lastError = error.message;
+        }
+    } finally {
+        job.running = false;
+    }
+}
+
+function startJob(job) {
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+    if (job.runOnStart) setTimeout(() => runJob(job), 30 * 1000).unref();
+}
+
+/**
+ * Starts all registered jobs. Called once from server.js.
+ */
+function startScheduler() {
+    if (started) return;
+    started = true;
+    for (const job of jobs.values()) startJob(job);
+    console.log(`Scheduler started: ${[...jobs.keys()].join(', ') || 'no jobs'}.`);
+}
+
+module.exports = {
+    scheduleJob,
+    startScheduler,
+};
@@ -0,0 +1,204 @@
+const db = require('../db.js');
+const reportStore = require('./reportStore');
+
+// Soft delete of reports, users, branches and teams.
+// Deleting sets deleted_at/deleted_by instead of removing the row, so whatever references it (the author
+// of a report, the branch of a user) keeps resolving. Soft-deleted rows are left out of lists and lookups,
+// admins can restore them from the trash (see trash.js), and a scheduled job purges them for good after
+// TRASH_RETENTION_DAYS - unless another row still references them, in which case they stay in the trash.
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const isDeleted = async (conn, table, id) => {
+    const [rows] = await conn.query(`SELECT deleted_at FROM ${table} WHERE id = ?`, [id]);
+    return rows.length > 0 && !!rows[0].deleted_at;
+};
+
+// Per type: its table, the SQL naming a row in the trash listing (rows are aliased x), the columns that
+// reference it (which keep it from being purged) and optional hooks
+const TRASH_TYPES = {
+    report: {
+        table: 'reports',
+        label: "CONCAT(x.report_type, ' #', x.id)",
+        references: [],
+        async purge(conn, id) {
+            await reportStore.deleteReportDetails(conn, id);
+            await conn.query('DELETE FROM report_audit_log WHERE report_id = ?', [id]);
+        },
+    },
+    user: {
+        table: 'users',
+        label: 'COALESCE(x.full_name, x.username)',
+        references: [
+            ['reports', 'user_id'],
+            ['package_requests', 'user_id'],
+            ['workflow_requests', 'user_id'],
+            ['purchase_invoices', 'user_id'],
+            ['instant_expense_sheets', 'user_id'],
+            ['technical_teams', 'leader_id'],
+        ],
+        async deleteBlocker(conn, id) {
+            const [teams] = await conn.query('SELECT name FROM technical_teams WHERE leader_id = ? AND deleted_at IS NULL', [id]);
+            if (teams.length === 0) return null;
+            return `The user still leads ${teams.map(team => `'${team.name}'`).join(', ')}. Assign another team lead first.`;
+        },
+        // Ends the user's sessions: refresh tokens are revoked, access tokens fail on the next request
+        async afterDelete(conn, id) {
+            await conn.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [id]);
+        },
+        async restoreBlocker(conn, id) {
+            const [rows] = await conn.query('SELECT branch_id FROM users WHERE id = ?', [id]);
+            if (rows.length > 0 && rows[0].branch_id && await isDeleted(conn, 'branches', rows[0].branch_id)) {
+                return "The user's branch is deleted. Restore the branch first.";
+            }
+            return null;
+        },
+        async purge(conn, id) {
+            for (const table of ['fcm_tokens', 'web_push_subscriptions', 'notification_preferences', 'notification_settings']) {
+                await conn.query(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+            }
+        },
+    },
+    branch: {
+        table: 'branches',
+        label: 'x.name',
+        references: [
+            ['users', 'branch_id'],
+            ['reports', 'branch_id'],
+            ['project_stage_templates', 'branch_id'],
+        ],
+        async deleteBlocker(conn, id) {
+            const [rows] = await conn.query('SELECT COUNT(*) AS count FROM users WHERE branch_id = ? AND deleted_at IS NULL', [id]);
+            const count = Number(rows[0].count);
+            if (count === 0) return null;
+            return `The branch still has ${count} user(s). Move or delete them first.`;
+        },
+    },
+    team: {
+        table: 'technical_teams',
+        label: 'x.name',
+        references: [['reports', 'assigned_team_id']],
+        async restoreBlocker(conn, id) {
+            const [rows] = await conn.query('SELECT leader_id FROM technical_teams WHERE id = ?', [id]);
+            if (rows.length > 0 && rows[0].leader_id && await isDeleted(conn, 'users', rows[0].leader_id)) {
+                return "The team's leader is deleted. Restore the user or assign another leader first.";
+            }
+            return null;
+        },
+    },
+};
+
+const TYPES = Object.keys(TRASH_TYPES);
+
+/**
+ * Moves a record to the trash.
+ * @param {object} conn The pool or a connection (with an open transaction when the caller does more work).
+ * @param {string} type A key of TRASH_TYPES.
+ * @returns {Promise<{ok: true}|{ok: false, status: number, message: string}>} 404 when the record doesn't
+ *   exist or is already deleted, 409 when records depending on it block the delete.
+ */
+async function softDelete(conn, type, id, deletedBy) {
+    const definition = TRASH_TYPES[type];
+    const [rows] = await conn.query(`SELECT id FROM ${definition.table} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`, [id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Not found.' };
+    const blocker = definition.deleteBlocker ? await definition.deleteBlocker(conn, id) : null;
+    if (blocker) return { ok: false, status: 409, message: blocker };
+    await conn.query(`UPDATE ${definition.table} SET deleted_at = NOW(), deleted_by = ? WHERE id = ?`, [deletedBy, id]);
+    if (definition.afterDelete) await definition.afterDelete(conn, id);
+    return { ok: true };
+}
+
+/**
+ * Takes a record out of the trash. Same result shape as softDelete(); 404 when it isn't in the trash.
+ */
+async function restore(conn, type, id) {
+    const definition = TRASH_TYPES[type];
+    const [rows] = await conn.query(`SELECT id FROM ${definition.table} WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE`, [id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Not found in the trash.' };
+    const blocker = definition.restoreBlocker ? await definition.restoreBlocker(conn, id) : null;
+    if (blocker) return { ok: false, status: 409, message: blocker };
+    await conn.query(`UPDATE ${definition.table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [id]);
+    return { ok: true };
+}
+
+/**
+ * One page of the trash of a type, most recently deleted first.
+ * @param {{limit: number, after?: {createdAt: string, id: number}}} page `after` is a decoded cursor
+ *   (see pagination.js) holding the deleted_at and id of the last row of the previous page.
+ * @returns {Promise<Array<object>>} Up to `limit` rows with id, name, deleted_at, deleted_by, deleted_by_name
+ *   and purge_after (when the purge job may remove it).
+ */
+async function listTrash(type, { limit, after = null }) {
+    const { table, label } = TRASH_TYPES[type];
+    const conditions = ['x.deleted_at IS NOT NULL'];
+    const params = [RETENTION_DAYS];
+    if (after) {
+        conditions.push('(x.deleted_at < ? OR (x.deleted_at = ? AND x.id < ?))');
+        params.push(after.createdAt, after.createdAt, after.id);
+    }
+    const [rows] = await db.query(
+        `SELECT x.id, ${label} AS name,
+                x.deleted_at, x.deleted_by, d.full_name AS deleted_by_name,
+                DATE_ADD(x.deleted_at, INTERVAL ? DAY) AS purge_after
+         FROM ${table} x LEFT JOIN users d ON x.deleted_by = d.id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY x.deleted_at DESC, x.id DESC
+         LIMIT ?`,
+        [...params, limit]
+    );
+    return rows;
+}
+
+/**
+ * Purges the records deleted more than RETENTION_DAYS ago (a scheduled job, see server.js).
+ * Records still referenced elsewhere are kept. Returns the number purged per type.
+ */
+async function purgeExpiredTrash() {
+    const summary = {};
+    for (const [type, definition] of Object.entries(TRASH_TYPES)) {
+        const [expired] = await db.query(
+            `SELECT id FROM ${definition.table} WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [RETENTION_DAYS]
+        );
+        summary[type] = 0;
+        for (const { id } of expired) {
+            let connection;
+            try {
+                connection = await db.getConnection();
+                await connection.beginTransaction();
+                let referenced = false;
+                for (const [table, column] of definition.references) {
+                    const [refs] = await connection.query(`SELECT 1 FROM ${table} WHERE ${column} = ? LIMIT 1`, [id]);
+                    if (refs.length > 0) { referenced = true; break; }
+                }
+                if (referenced) {
+                    await connection.rollback();
+                    continue;
+                }
+                if (definition.purge) await definition.purge(connection, id);
+                await connection.query(`DELETE FROM ${definition.table} WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+                await connection.commit();
+                summary[type]++;
+            } catch (error) {
+                if (connection) await connection.rollback();
+                console.error(`Purging ${type} ${id} failed:`, error.message);
+            } finally {
+                if (connection) connection.release();
+            }
+        }
+    }
+    const purged = Object.entries(summary).filter(([, count]) => count > 0);
+    if (purged.length > 0) {
+        console.log(`Purged from the trash: ${purged.map(([type, count]) => `${count} ${type}(s)`).join(', ')}.`);
+    }
+    return summary;
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    TYPES,
+    softDelete,
+    restore,
+    listTrash,
+    purgeExpiredTrash,
+};
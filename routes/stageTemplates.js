@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db.js');
+const { authorize } = require('./permissions');
+const { safeJsonParse } = require('./reportStore');
+const { isReservedStageKey, loadStageTemplate } = require('./projectWorkflow');
+
+// Project stage templates: ordered stage lists that new Project reports start from
+// (reportData.templateId in POST /api/reports).
+
+const STAGE_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+const formatTemplateForFrontend = (template) => ({
+    id: template.id.toString(),
+    name: template.name,
+    projectType: template.project_type || undefined,
+    branchId: template.branch_id ? template.branch_id.toString() : undefined,
+    stages: template.stages.map(stage => ({
+        key: stage.stage_key,
+        title: stage.title || undefined,
+        requiredDocuments: safeJsonParse(stage.required_documents, []),
+        requiresSignedDocument: !!stage.requires_signed_document,
+    })),
+    createdAt: template.created_at ? new Date(template.created_at).toISOString() : undefined,
+    updatedAt: template.updated_at ? new Date(template.updated_at).toISOString() : undefined,
+});
+
+// Validates the request body; returns an error message or null
+const validateTemplate = ({ name, stages }) => {
+    if (!name || !String(name).trim()) return 'Template name is required.';
+    if (!Array.isArray(stages) || stages.length === 0) return 'A template needs at least one stage.';
+    const seen = new Set();
+    for (const stage of stages) {
+        const key = stage && stage.key;
+        if (!key || !STAGE_KEY_PATTERN.test(key)) return `Invalid stage key '${key || ''}'.`;
+        if (isReservedStageKey(key)) return `Stage key '${key}' is reserved for a workflow action.`;
+        if (seen.has(key)) return `Duplicate stage key '${key}'.`;
+        seen.add(key);
+        if (stage.requiredDocuments !== undefined && !Array.isArray(stage.requiredDocuments)) {
+            return `requiredDocuments of stage '${key}' must be a list.`;
+        }
+    }
+    return null;
+};
+
+const toStageRows = (templateId, stages) => stages.map((stage, index) => [
+    templateId,
+    index,
+    stage.key,
+    stage.title || null,
+    JSON.stringify((stage.requiredDocuments || []).map(String)),
+    stage.requiresSignedDocument ? 1 : 0,
+]);
+
+const insertStages = async (connection, templateId, stages) => {
+    await connection.query(
+        `INSERT INTO project_stage_template_stages
+            (template_id, position, stage_key, title, required_documents, requires_signed_document) VALUES ?`,
+        [toStageRows(templateId, stages)]
+    );
+};
+
+// GET /api/stage-templates - Query: branchId, projectType
+// A branch sees its own templates plus the ones shared by all branches.
+router.get('/stage-templates', authorize('stageTemplate', 'list'), async (req, res) => {
+    try {
+        const conditions = ['1 = 1'];
+        const params = [];
+        if (req.query.branchId) { conditions.push('(branch_id IS NULL OR branch_id = ?)'); params.push(req.query.branchId); }
+        if (req.query.projectType) { conditions.push('(project_type IS NULL OR project_type = ?)'); params.push(req.query.projectType); }
+
+        const [rows] = await db.query(`SELECT * FROM project_stage_templates WHERE ${conditions.join(' AND ')} ORDER BY name`, params);
+        const ids = rows.map(row => row.id);
+        const [stageRows] = ids.length > 0
+            ? await db.query('SELECT * FROM project_stage_template_stages WHERE template_id IN (?) ORDER BY position', [ids])
+            : [[]];
+
+        const templates = rows.map(row => formatTemplateForFrontend({
+            ...row,
+            stages: stageRows.filter(stage => stage.template_id === row.id),
+        }));
+        res.json(templates);
+    } catch (error) {
+        console.error('Error in GET /api/stage-templates:', error);
+        res.status(500).json({ message: 'An internal server error occurred while fetching stage templates.' });
+    }
+});
+
+// GET /api/stage-templates/:id
+router.get('/stage-templates/:id', authorize('stageTemplate', 'list'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const template = await loadStageTemplate(db, id);
+        if (!template) {
+            return res.status(404).json({ message: 'Stage template not found.' });
+        }
+        res.json(formatTemplateForFrontend(template));
+    } catch (error) {
+        console.error(`Error in GET /api/stage-templates/${id}:`, error);
+        res.status(500).json({ message: 'An internal server error occurred while fetching the stage template.' });
+    }
+});
+
+// POST /api/stage-templates - Body: { name, projectType?, branchId?, stages: [{ key, title?, requiredDocuments?, requiresSignedDocument? }] }
+router.post('/stage-templates', authorize('stageTemplate', 'create'), async (req, res) => {
+    const { name, projectType, branchId, stages } = req.body;
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query('INSERT INTO project_stage_templates SET ?', {
+            name: String(name).trim(),
+            project_type: projectType || null,
+            branch_id: branchId || null,
+            created_by: req.user.id,
+        });
+        await insertStages(connection, result.insertId, stages);
+        await connection.commit();
+
+        res.status(201).json(formatTemplateForFrontend(await loadStageTemplate(db, result.insertId)));
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error in POST /api/stage-templates:', error);
+        res.status(500).json({ message: 'An internal server error occurred while creating the stage template.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT /api/stage-templates/:id - Replaces the template; reports already created from it keep their stages
+router.put('/stage-templates/:id', authorize('stageTemplate', 'update'), async (req, res) => {
+    const { id } = req.params;
+    const { name, projectType, branchId, stages } = req.body;
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query('UPDATE project_stage_templates SET ? WHERE id = ?', [{
+            name: String(name).trim(),
+            project_type: projectType || null,
+            branch_id: branchId || null,
+        }, id]);
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Stage template not found.' });
+        }
+        await connection.query('DELETE FROM project_stage_template_stages WHERE template_id = ?', [id]);
+        await insertStages(connection, id, stages);
+        await connection.commit();
+
+        res.json(formatTemplateForFrontend(await loadStageTemplate(db, id)));
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error(`Error in PUT /api/stage-templates/${id}:`, error);
+        res.status(500).json({ message: 'An internal server error occurred while updating the stage template.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE /api/stage-templates/:id - Reports created from it keep their stages
+router.delete('/stage-templates/:id', authorize('stageTemplate', 'delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [result] = await db.query('DELETE FROM project_stage_templates WHERE id = ?', [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Stage template not found.' });
+        }
+        res.status(200).json({ message: 'Stage template deleted successfully.' });
+    } catch (error) {
+        console.error(`Error in DELETE /api/stage-templates/${id}:`, error);
+        res.status(500).json({ message: 'An internal server error occurred while deleting the stage template.' });
+    }
+});
+
+module.exports = router;
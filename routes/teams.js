@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
+const { authorize } = require('./permissions');
+const { softDelete, restore } = require('./softDelete');
 
 // Helper to safely parse JSON
 const safeJsonParse = (jsonString, defaultValue = []) => {
@@ -13,13 +15,20 @@ const safeJsonParse = (jsonString, defaultValue = []) => {
     }
 };
 
+// A team lead must be an existing user that isn't in the trash
+const isActiveUser = async (userId) => {
+    const [rows] = await db.query('SELECT id FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+    return rows.length > 0;
+};
+
 // GET /api/teams - Fetch all technical teams
-router.get('/teams', async (req, res) => {
+router.get('/teams', authorize('team', 'list'), async (req, res) => {
     try {
         const query = `
             SELECT t.id, t.name, t.leader_id, t.members, t.created_at, u.full_name as leader_name
             FROM technical_teams t
             LEFT JOIN users u ON t.leader_id = u.id
+            WHERE t.deleted_at IS NULL
             ORDER BY t.created_at DESC
         `;
         const [rows] = await db.query(query);
@@ -40,9 +49,12 @@ router.get('/teams', async (req, res) => {
 });
 
 // POST /api/teams - Create a new technical team
-router.post('/teams', async (req, res) => {
+router.post('/teams', authorize('team', 'create'), async (req, res) => {
     const { name, leaderId, members } = req.body;
     try {
+        if (!await isActiveUser(leaderId)) {
+            return res.status(400).json({ message: 'Team leader not found.' });
+        }
         const newTeam = {
             name,
             leader_id: leaderId,
@@ -72,16 +84,19 @@ router.post('/teams', async (req, res) => {
 });
 
 // PUT /api/teams/:id - Update a technical team
-router.put('/teams/:id', async (req, res) => {
+router.put('/teams/:id', authorize('team', 'update'), async (req, res) => {
     const { id } = req.params;
     const { name, leaderId, members } = req.body;
     try {
+        if (!await isActiveUser(leaderId)) {
+            return res.status(400).json({ message: 'Team leader not found.' });
+        }
         const updatedTeam = {
             name,
             leader_id: leaderId,
             members: JSON.stringify(members || []),
         };
-        const [result] = await db.query('UPDATE technical_teams SET ? WHERE id = ?', [updatedTeam, id]);
+        const [result] = await db.query('UPDATE technical_teams SET ? WHERE id = ? AND deleted_at IS NULL', [updatedTeam, id]);
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'Team not found.' });
         }
@@ -108,13 +123,13 @@ router.put('/teams/:id', async (req, res) => {
     }
 });
 
-// DELETE /api/teams/:id - Delete a technical team
-router.delete('/teams/:id', async (req, res) => {
+// DELETE /api/teams/:id - Move a technical team to the trash (see softDelete.js)
+router.delete('/teams/:id', authorize('team', 'delete'), async (req, res) => {
     const { id } = req.params;
     try {
-        const [result] = await db.query('DELETE FROM technical_teams WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Team not found.' });
+        const outcome = await softDelete(db, 'team', id, req.user.id);
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Team not found.' : outcome.message });
         }
         res.status(200).json({ message: 'Team deleted successfully.' });
     } catch (error) {
@@ -123,4 +138,19 @@ router.delete('/teams/:id', async (req, res) => {
     }
 });
 
+// POST /api/teams/:id/restore - Take a technical team out of the trash
+router.post('/teams/:id/restore', authorize('team', 'restore'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const outcome = await restore(db, 'team', id);
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'Team not found in the trash.' : outcome.message });
+        }
+        res.status(200).json({ message: 'Team restored successfully.' });
+    } catch (error) {
+        console.error('Error restoring technical team:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('./permissions');
+const { encodeCursor, decodeCursor, pageLimit } = require('./pagination');
+const { RETENTION_DAYS, TYPES, listTrash } = require('./softDelete');
+
+// Admin view of the soft-deleted reports, users, branches and teams (see softDelete.js).
+// Records are restored through their own routers, e.g. POST /api/reports/:id/restore.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const formatTrashItem = (type) => (row) => ({
+    type,
+    id: row.id.toString(),
+    name: row.name,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by ? { id: row.deleted_by.toString(), name: row.deleted_by_name || null } : null,
+    purgeAfter: row.purge_after,
+});
+
+// GET /api/trash?type=report|user|branch|team - Query: limit, cursor
+router.get('/trash', authorize('trash', 'list'), async (req, res) => {
+    const { type, cursor } = req.query;
+    if (!TYPES.includes(type)) {
+        return res.status(400).json({ message: `Unknown type. Expected one of: ${TYPES.join(', ')}.` });
+    }
+    let after = null;
+    if (cursor) {
+        after = decodeCursor(cursor);
+        if (!after) {
+            return res.status(400).json({ message: 'Invalid cursor.' });
+        }
+    }
+    try {
+        const limit = pageLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        // Fetch one extra row to know whether another page exists
+        const rows = await listTrash(type, { limit: limit + 1, after });
+        const pageRows = rows.slice(0, limit);
+        const last = pageRows[pageRows.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor({ created_at: last.deleted_at, id: last.id }) : null;
+        res.json({ items: pageRows.map(formatTrashItem(type)), nextCursor, retentionDays: RETENTION_DAYS });
+    } catch (error) {
+        console.error('Error in GET /api/trash:', error);
+        res.status(500).json({ message: 'Failed to fetch the trash.' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
 const bcrypt = require('bcrypt');
+const { authorize } = require('./permissions');
+const { softDelete, restore } = require('./softDelete');
+const { USER_STATUSES } = require('./authMiddleware');
+const loginThrottle = require('./loginThrottle');
+const passwordReset = require('./passwordReset');
+const { validatePassword, generateTemporaryPassword } = require('./passwordPolicy');
 const saltRounds = 10; // Standard salt rounds for bcrypt
 
 // ==== Helpers (top-level) ====
@@ -54,9 +60,9 @@ const mapRoleForFrontend = (dbRole) => {
 const KNOWN_ROLES = new Set(['admin','employee','team_lead','branch_manager','hr_manager']);
 
 // GET /api/users
-router.get('/users', async (req, res) => {
+router.get('/users', authorize('user', 'list'), async (req, res) => {
     try {
-        const [userRows] = await db.query('SELECT u.*, b.name as branch_name FROM users u LEFT JOIN branches b ON u.branch_id = b.id ORDER BY u.created_at DESC');
+        const [userRows] = await db.query('SELECT u.*, b.name as branch_name FROM users u LEFT JOIN branches b ON u.branch_id = b.id WHERE u.deleted_at IS NULL ORDER BY u.created_at DESC');
 
         const users = userRows.map(user => ({
             id: user.id.toString(),
@@ -74,6 +80,8 @@ router.get('/users', async (req, res) => {
             hasPackageManagementPermission: !!user.has_package_management_permission,
             hasPurchaseManagementPermission: !!user.has_purchase_management_permission,
             isFirstLogin: !!user.is_first_login,
+            status: user.status || 'active',
+            isActive: (user.status || 'active') === 'active',
             allowedReportTypes: (() => { try { return JSON.parse(user.allowed_report_types || '[]'); } catch { return []; } })(),
         }));
 
@@ -87,14 +95,19 @@ router.get('/users', async (req, res) => {
 });
 
 // POST /api/users - Create a new user
-router.post('/users', async (req, res) => {
+router.post('/users', authorize('user', 'create'), async (req, res) => {
     const { employeeId, password, email, name, phone, role, branch, department, position, employeeType, allowedReportTypes } = req.body;
 
+    const policyError = validatePassword(password, { username: employeeId });
+    if (policyError) {
+        return res.status(400).json({ message: policyError });
+    }
+
     try {
-        console.log('POST /api/users payload:', req.body);
+        console.log('POST /api/users payload:', { ...req.body, password: undefined });
         let branchId = null;
         if (branch) {
-            const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ?', [branch]);
+            const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ? AND deleted_at IS NULL', [branch]);
             if (branchRows.length > 0) {
                 branchId = branchRows[0].id;
             } else {
@@ -162,7 +175,8 @@ router.post('/users', async (req, res) => {
 
 
 // PUT /api/users/:id - Update an existing user
-router.put('/users/:id', async (req, res) => {
+// (numeric ids only, so /users/profile and /users/change-password reach their own handlers)
+router.put('/users/:id(\\d+)', authorize('user', 'update'), async (req, res) => {
     const { id } = req.params;
     const { employeeId, email, name, phone, role, branch, department, position, employeeType, hasImportExportPermission, hasPackageManagementPermission, hasPurchaseManagementPermission, allowedReportTypes } = req.body;
 
@@ -200,7 +214,7 @@ router.put('/users/:id', async (req, res) => {
           if (normalizedBranch === null) {
             updates.branch_id = null;
           } else {
-            const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ?', [normalizedBranch]);
+            const [branchRows] = await db.query('SELECT id FROM branches WHERE name = ? AND deleted_at IS NULL', [normalizedBranch]);
             if (branchRows.length > 0) {
               updates.branch_id = branchRows[0].id;
             } else {
@@ -215,7 +229,7 @@ router.put('/users/:id', async (req, res) => {
 
         console.log('PUT /api/users/:id normalized partial SET:', updates);
 
-        const [result] = await db.query('UPDATE users SET ? WHERE id = ?', [updates, id]);
+        const [result] = await db.query('UPDATE users SET ? WHERE id = ? AND deleted_at IS NULL', [updates, id]);
 
         if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'User not found.' });
@@ -250,29 +264,181 @@ router.put('/users/:id', async (req, res) => {
 });
 
 
-// DELETE /api/users/:id - Delete a user
-router.delete('/users/:id', async (req, res) => {
+// DELETE /api/users/:id - Move a user to the trash (see softDelete.js) and end their sessions.
+// Blocked while the user still leads a team.
+router.delete('/users/:id(\\d+)', authorize('user', 'delete'), async (req, res) => {
     const { id } = req.params;
+    if (String(id) === String(req.user.id)) {
+        return res.status(400).json({ message: 'You cannot delete your own account.' });
+    }
+    let connection;
     try {
-        const [result] = await db.query('DELETE FROM users WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'User not found.' });
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const outcome = await softDelete(connection, 'user', id, req.user.id);
+        if (!outcome.ok) {
+            await connection.rollback();
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'User not found.' : outcome.message });
         }
+        await connection.commit();
         res.status(200).json({ message: 'User deleted successfully.' });
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Error deleting user:', error);
         res.status(500).json({ message: 'An internal server error occurred.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
+// POST /api/users/:id/restore - Take a user out of the trash; they sign in again with their old password
+router.post('/users/:id(\\d+)/restore', authorize('user', 'restore'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const outcome = await restore(db, 'user', id);
+        if (!outcome.ok) {
+            return res.status(outcome.status).json({ message: outcome.status === 404 ? 'User not found in the trash.' : outcome.message });
+        }
+        res.status(200).json({ message: 'User restored successfully.' });
+    } catch (error) {
+        console.error('Error restoring user:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// PUT /api/users/:id/status - Body: { status: 'active' | 'suspended' | 'deactivated' }
+// Anything but active blocks sign-in and ends the user's sessions. Deactivating former employees with
+// work handover is done through POST /api/hr/employees/:id/deactivate.
+router.put('/users/:id(\\d+)/status', authorize('user', 'setStatus'), async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${USER_STATUSES.join(', ')}.` });
+    }
+    if (String(id) === String(req.user.id) && status !== 'active') {
+        return res.status(400).json({ message: 'You cannot change the status of your own account.' });
+    }
+    try {
+        const [rows] = await db.query('SELECT id, status FROM users WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if ((rows[0].status || 'active') !== status) {
+            // Bumping token_version revokes the refresh tokens; access tokens fail on the next request
+            await db.query(
+                `UPDATE users SET status = ?, status_changed_at = NOW(), is_active = ?,
+                    token_version = token_version + IF(? = 'active', 0, 1)
+                 WHERE id = ?`,
+                [status, status === 'active' ? 1 : 0, status, id]
+            );
+        }
+        res.status(200).json({ id: String(id), status });
+    } catch (error) {
+        console.error('Error updating user status:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/users/:id/unlock - Clear the failed login attempts locking out the user's employee ID
+router.post('/users/:id(\\d+)/unlock', authorize('loginLockout', 'unlock'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [rows] = await db.query('SELECT username FROM users WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const unlocked = await loginThrottle.unlock('username', rows[0].username);
+        res.status(200).json({ unlocked });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/users/:id/reset-password - Body: { method?: 'temporary_password' | 'code' }
+// For users who forgot their password. The old password stops working and the user's sessions end.
+// temporary_password (default): returns a temporary password; the user sets their own on first login.
+// code: returns a reset code, valid for a day, the user redeems at POST /api/password-reset/confirm.
+// Either is returned once; pass it on to the user.
+router.post('/users/:id(\\d+)/reset-password', authorize('user', 'resetPassword'), async (req, res) => {
+    const { id } = req.params;
+    const { method = 'temporary_password' } = req.body || {};
+    if (!['temporary_password', 'code'].includes(method)) {
+        return res.status(400).json({ message: "method must be 'temporary_password' or 'code'." });
+    }
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [rows] = await connection.query('SELECT id, username FROM users WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const user = rows[0];
+        // With a code the user has no usable password until they redeem it
+        const temporaryPassword = generateTemporaryPassword(user);
+        await connection.query(
+            'UPDATE users SET password = ?, is_first_login = 1, token_version = token_version + 1 WHERE id = ?',
+            [await bcrypt.hash(temporaryPassword, saltRounds), id]
+        );
+        let result;
+        if (method === 'code') {
+            const { code, expiresAt } = await passwordReset.issueResetCode(connection, id, { purpose: 'admin', createdBy: req.user.id });
+            result = { method, code, expiresAt: expiresAt.toISOString() };
+        } else {
+            result = { method, temporaryPassword };
+        }
+        await connection.commit();
+        // The user can log in right away, even if locked out by earlier failed attempts
+        await loginThrottle.unlock('username', user.username);
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({ id: String(id), ...result });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error resetting user password:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET /api/login-lockouts - Employee IDs and IPs currently locked out of login (see loginThrottle.js)
+router.get('/login-lockouts', authorize('loginLockout', 'list'), async (req, res) => {
+    try {
+        res.json(await loginThrottle.listLockouts());
+    } catch (error) {
+        console.error('Error fetching login lockouts:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// DELETE /api/login-lockouts/:scope/:key - Unlock an employee ID (scope username) or an IP (scope ip)
+router.delete('/login-lockouts/:scope(username|ip)/:key', authorize('loginLockout', 'unlock'), async (req, res) => {
+    try {
+        const unlocked = await loginThrottle.unlock(req.params.scope, req.params.key);
+        if (!unlocked) {
+            return res.status(404).json({ message: 'No lockout found.' });
+        }
+        res.status(200).json({ unlocked });
+    } catch (error) {
+        console.error('Error removing login lockout:', error);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
 
 // PUT /api/users/profile - Update user profile on first login
 router.put('/users/profile', async (req, res) => {
-    const { userId, name, phone, password } = req.body;
+    const { name, phone, password } = req.body;
+    const userId = req.user.id;
 
-    if (!userId || !name || !phone || !password) {
+    if (!name || !phone || !password) {
         return res.status(400).json({ message: 'All fields are required.' });
     }
+    const policyError = validatePassword(password, req.user);
+    if (policyError) {
+        return res.status(400).json({ message: policyError });
+    }
 
     try {
         const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -296,11 +462,16 @@ router.put('/users/profile', async (req, res) => {
 
 // PUT /api/users/change-password - Change a user's password
 router.put('/users/change-password', async (req, res) => {
-    const { userId, currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.user.id;
     
-    if (!userId || !currentPassword || !newPassword) {
+    if (!currentPassword || !newPassword) {
         return res.status(400).json({ message: 'All password fields are required.' });
     }
+    const policyError = validatePassword(newPassword, req.user);
+    if (policyError) {
+        return res.status(400).json({ message: policyError });
+    }
 
     try {
         // 1. Find the user
@@ -1,24 +1,9 @@
 ﻿const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
-
-let webpush;
-try {
-  webpush = require('web-push');
-} catch (e) {
-  console.warn('web-push module not installed yet. Install it to enable sending notifications.');
-}
-
-const VAPID_PUBLIC = process.env.WEB_PUSH_PUBLIC_KEY || process.env.VAPID_PUBLIC_KEY;
-const VAPID_PRIVATE = process.env.WEB_PUSH_PRIVATE_KEY || process.env.VAPID_PRIVATE_KEY;
-const VAPID_SUBJECT = process.env.WEB_PUSH_SUBJECT || process.env.VAPID_SUBJECT || 'mailto:admin@qssun.solar';
-
-function configureVapid() {
-  if (webpush && VAPID_PUBLIC && VAPID_PRIVATE) {
-    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC, VAPID_PRIVATE);
-  }
-}
-configureVapid();
+const { authorize } = require('./permissions');
+// Sending goes through the shared push dispatcher in pushService
+const { dispatchPush, webPushUnavailableReason } = require('./pushService');
 
 // Ensure table exists and required columns present
 async function ensureTable() {
@@ -51,10 +36,11 @@ async function ensureTable() {
 }
 
 // POST /api/webpush/subscribe
-router.post('/webpush/subscribe', async (req, res) => {
-  const { userId, subscription } = req.body || {};
-  if (!userId || !subscription || !subscription.endpoint) {
-    return res.status(400).json({ message: 'userId and subscription.endpoint are required.' });
+router.post('/webpush/subscribe', authorize('push', 'registerDevice'), async (req, res) => {
+  const { subscription } = req.body || {};
+  const userId = req.user.id;
+  if (!subscription || !subscription.endpoint) {
+    return res.status(400).json({ message: 'subscription.endpoint is required.' });
   }
   try {
     await ensureTable();
@@ -84,38 +70,23 @@ router.post('/webpush/subscribe', async (req, res) => {
   }
 });
 
-// POST /api/webpush/send
-router.post('/webpush/send', async (req, res) => {
-  if (!webpush) {
-    return res.status(500).json({ message: 'web-push not installed on server.' });
+// POST /api/webpush/send - Sends to every browser subscription of the user
+router.post('/webpush/send', authorize('push', 'send'), async (req, res) => {
+  const unavailable = webPushUnavailableReason();
+  if (unavailable) {
+    return res.status(500).json({ message: unavailable });
   }
   const { userId, title = 'إشعار', body = 'لديك إشعار جديد', link = '/' } = req.body || {};
   if (!userId) return res.status(400).json({ message: 'userId is required.' });
-  if (!VAPID_PUBLIC || !VAPID_PRIVATE) {
-    return res.status(500).json({ message: 'VAPID keys missing. Set WEB_PUSH_PUBLIC_KEY/WEB_PUSH_PRIVATE_KEY.' });
-  }
   try {
-    const [rows] = await db.query(
-      'SELECT endpoint, keys_auth, keys_p256dh, raw FROM web_push_subscriptions WHERE user_id = ? ORDER BY updated_at DESC LIMIT 1',
-      [userId]
-    );
-    if (!rows || rows.length === 0) {
+    const { results } = await dispatchPush(userId, { title, body, link }, { channels: ['web_push'] });
+    if (results.every(result => result.status === 'skipped')) {
       return res.status(404).json({ message: 'No web push subscription found for user.' });
     }
-    const subRow = rows[0];
-    let subscription;
-    try {
-      subscription = subRow.raw ? JSON.parse(subRow.raw) : { endpoint: subRow.endpoint, keys: { auth: subRow.keys_auth, p256dh: subRow.keys_p256dh } };
-    } catch (_) {
-      subscription = { endpoint: subRow.endpoint, keys: { auth: subRow.keys_auth, p256dh: subRow.keys_p256dh } };
-    }
-
-    const payload = JSON.stringify({ title, body, link });
-    await webpush.sendNotification(subscription, payload);
-    return res.status(200).json({ message: 'Notification sent.' });
+    return res.status(200).json({ message: 'Notification sent.', results });
   } catch (error) {
     console.error('Error sending web push:', error);
-    return res.status(500).json({ message: 'Failed to send notification.' });
+    return res.status(502).json({ message: 'Failed to send notification.', results: error.results || [] });
   }
 });
 
@@ -1,79 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db.js');
-const multer = require('multer');
-const { cloudinary } = require('../cloudinary.js');
-const streamifier = require('streamifier');
+const { authorize } = require('./permissions');
+const { storeFile, acceptUploads, discardOnFailure, MB } = require('./attachmentService');
+const { publish } = require('./eventStream');
+const { enqueueNotification, flushOutbox } = require('./notificationOutbox');
+const { setVersionHeader, requireIfMatch, isCurrentVersion, sendVersionConflict } = require('./concurrency');
 
-// Setup multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-// Security Middleware to check for Import/Export permission
-const checkImportExportPermission = async (req, res, next) => {
-    try {
-        let employeeId;
-        
-        // Extract employeeId based on the request type (POST or PUT with multipart/form-data)
-        if (req.body.reportData) { // From a regular report update
-             const reportData = JSON.parse(req.body.reportData);
-             employeeId = reportData.employeeId;
-        } else if (req.body.requestData) { // From a workflow update
-             const requestData = JSON.parse(req.body.requestData);
-             employeeId = requestData.employeeId;
-        } else { // From a workflow creation or DELETE
-            employeeId = req.body.employeeId;
-        }
-
-        if (!employeeId) {
-            return res.status(401).json({ message: 'Unauthorized: User ID is missing.' });
-        }
-
-        const [userRows] = await db.query('SELECT role, has_import_export_permission FROM users WHERE username = ?', [employeeId]);
-
-        if (userRows.length === 0) {
-            return res.status(404).json({ message: 'User not found.' });
-        }
-
-        const user = userRows[0];
-        
-        // Allow access if the user is an Admin or has the specific permission
-        if (user.role === 'admin' || user.has_import_export_permission) {
-            next();
-        } else {
-            return res.status(403).json({ message: 'Access Denied: You do not have permission for this operation.' });
-        }
-    } catch (error) {
-        console.error('Permission check error:', error);
-        res.status(500).json({ message: 'An internal server error occurred during permission check.' });
-    }
-};
-
-
-// Helper to upload a file to Cloudinary
-const uploadFileToCloudinary = (file, employeeId) => {
-    return new Promise((resolve, reject) => {
-        const publicId = file.originalname.split('.').slice(0, -1).join('.').trim();
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                folder: `qssun_reports/workflows/${employeeId}`,
-                public_id: publicId,
-                resource_type: 'auto'
-            },
-            (error, result) => {
-                if (error) {
-                    return reject(error);
-                }
-                if (result) {
-                    resolve({ url: result.secure_url, fileName: file.originalname });
-                } else {
-                    reject(new Error("Cloudinary upload failed without an error object."));
-                }
-            }
-        );
-        streamifier.createReadStream(file.buffer).pipe(uploadStream);
-    });
-};
+// Stage documents (file field names vary, the document metadata is encoded in the file name)
+const uploadStageDocuments = acceptUploads({ fields: [[/.*/, 'document']], maxFiles: 20, maxFileSize: 25 * MB });
 
 // Helper to safely parse JSON - CORRECTED VERSION
 const safeJsonParse = (data, defaultValue) => {
@@ -94,8 +29,52 @@ const safeJsonParse = (data, defaultValue) => {
     return defaultValue;
 };
 
+// Full frontend shape of a workflow request row
+const mapWorkflowRowToFrontend = (row) => ({
+    id: row.id,
+    title: row.title || 'N/A',
+    description: row.description || '',
+    type: row.type || 'استيراد',
+    priority: row.priority || 'منخفضة',
+    currentStageId: row.current_stage_id || 1,
+    creationDate: new Date(row.creation_date).toISOString(),
+    lastModified: new Date(row.last_modified).toISOString(),
+    stageHistory: safeJsonParse(row.stage_history, []),
+    employeeId: row.employee_id_username,
+    containerCount20ft: row.container_count_20ft,
+    containerCount40ft: row.container_count_40ft,
+    manufacturingDate: row.manufacturing_date,
+    expectedDepartureDate: row.expected_departure_date,
+    expectedArrivalDate: row.expected_arrival_date,
+    departurePort: row.departure_port,
+    version: Number(row.version || 0),
+});
+
+const fetchWorkflowRow = async (id) => {
+    const [rows] = await db.query(`SELECT w.*, u.username as employee_id_username FROM workflow_requests w LEFT JOIN users u ON w.user_id = u.id WHERE w.id = ?`, [id]);
+    return rows[0] || null;
+};
+
+// Queue a stage change for the requester and the import/export managers, except whoever made it.
+// Call inside the transaction of the change; flushOutbox() once it is committed
+const queueStageNotification = async (conn, row, actorId) => {
+    const [managers] = await conn.query(
+        "SELECT id FROM users WHERE deleted_at IS NULL AND (role = 'admin' OR has_import_export_permission = 1)"
+    );
+    const recipients = new Set([row.user_id, ...managers.map(m => m.id)].filter(Boolean).map(String));
+    recipients.delete(String(actorId));
+    for (const recipientId of recipients) {
+        await enqueueNotification(conn, recipientId, {
+            eventType: 'workflow.stage',
+            title: 'تغيير مرحلة طلب',
+            message: `انتقل الطلب ${row.id} (${row.title || ''}) إلى المرحلة ${row.current_stage_id}`,
+            link: `/workflows/${row.id}`,
+        });
+    }
+};
+
 // GET /api/workflow-requests
-router.get('/workflow-requests', async (req, res) => {
+router.get('/workflow-requests', authorize('workflow', 'list'), async (req, res) => {
     try {
         const query = `
             SELECT w.*, u.username as employee_id_username
@@ -120,6 +99,7 @@ router.get('/workflow-requests', async (req, res) => {
             containerCount40ft: req.container_count_40ft,
             expectedDepartureDate: req.expected_departure_date,
             departurePort: req.departure_port,
+            version: Number(req.version || 0),
         }));
         res.json(requests);
     } catch (error) {
@@ -129,14 +109,10 @@ router.get('/workflow-requests', async (req, res) => {
 });
 
 // POST /api/workflow-requests - Create a new request
-router.post('/workflow-requests', checkImportExportPermission, async (req, res) => {
-    const { title, description, type, priority, employeeId, stageHistory } = req.body;
+router.post('/workflow-requests', authorize('workflow', 'create'), async (req, res) => {
+    const { title, description, type, priority, stageHistory } = req.body;
+    const userId = req.user.id;
     try {
-        const [userRows] = await db.query('SELECT id FROM users WHERE username = ?', [employeeId]);
-        if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
-        
-        const userId = userRows[0].id;
-
         const newRequest = {
             id: `REQ-${Date.now().toString().slice(-4)}`,
             user_id: userId,
@@ -161,7 +137,9 @@ router.post('/workflow-requests', checkImportExportPermission, async (req, res)
             lastModified: new Date(row.last_modified).toISOString(),
             stageHistory: safeJsonParse(row.stage_history, []),
             employeeId: row.employee_id_username,
+            version: Number(row.version || 0),
         };
+        setVersionHeader(res, requestForFrontend.version);
         res.status(201).json(requestForFrontend);
 
     } catch (error) {
@@ -171,16 +149,25 @@ router.post('/workflow-requests', checkImportExportPermission, async (req, res)
 });
 
 // PUT /api/workflow-requests/:id - Update an existing request
-router.put('/workflow-requests/:id', upload.any(), checkImportExportPermission, async (req, res) => {
+// The body replaces stage_history, so If-Match with the version is required (see concurrency.js)
+router.put('/workflow-requests/:id', authorize('workflow', 'update'), requireIfMatch, uploadStageDocuments, async (req, res) => {
     const { id } = req.params;
+    let connection;
     try {
         if (!req.body.requestData) return res.status(400).json({ message: 'requestData is missing.' });
+
+        const previous = await fetchWorkflowRow(id);
+        if (!previous) return res.status(404).json({ message: 'Workflow request not found.'});
+        if (!isCurrentVersion(req, previous.version)) {
+            return sendVersionConflict(res, mapWorkflowRowToFrontend(previous));
+        }
         
         const requestData = JSON.parse(req.body.requestData);
-        const employeeId = requestData.employeeId; 
-
-        if (!employeeId) return res.status(400).json({ message: 'Employee ID is missing.' });
+        const userId = req.user.id;
 
+        // Discarded again if the update fails (e.g. saved by someone else meanwhile)
+        const storedFiles = [];
+        discardOnFailure(res, storedFiles);
         if (req.files && req.files.length > 0) {
             const lastHistoryItem = requestData.stageHistory[requestData.stageHistory.length - 1];
             
@@ -191,13 +178,20 @@ router.put('/workflow-requests/:id', upload.any(), checkImportExportPermission,
                     continue;
                 }
                 const [docId, docType, originalName] = nameParts;
-                const uploadedFile = await uploadFileToCloudinary({ ...file, originalname: originalName }, employeeId);
+                const uploadedFile = await storeFile(
+                    { ...file, originalname: originalName },
+                    { ownerId: userId, entityType: 'workflow', entityId: id, folder: 'workflows' }
+                );
+                storedFiles.push(uploadedFile);
                 
+                // The document keeps its own id; the storage key isn't part of workflow documents
                 const document = {
                     id: docId,
                     type: docType,
                     uploadDate: new Date().toISOString(),
-                    ...uploadedFile
+                    url: uploadedFile.url,
+                    fileName: uploadedFile.fileName,
+                    uploadedBy: uploadedFile.uploadedBy,
                 };
                 
                 if (lastHistoryItem) {
@@ -235,41 +229,47 @@ router.put('/workflow-requests/:id', upload.any(), checkImportExportPermission,
         }
 
 
-        const [result] = await db.query('UPDATE workflow_requests SET ? WHERE id = ?', [dbPayload, id]);
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query('UPDATE workflow_requests SET ?, version = version + 1 WHERE id = ? AND version = ?', [dbPayload, id, req.expectedVersion]);
 
-        if (result.affectedRows === 0) return res.status(404).json({ message: 'Workflow request not found.'});
-        
-        const [rows] = await db.query(`SELECT w.*, u.username as employee_id_username FROM workflow_requests w LEFT JOIN users u ON w.user_id = u.id WHERE w.id = ?`, [id]);
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            // Saved by someone else while the documents were uploading
+            const current = await fetchWorkflowRow(id);
+            if (!current) return res.status(404).json({ message: 'Workflow request not found.'});
+            return sendVersionConflict(res, mapWorkflowRowToFrontend(current));
+        }
+        const stageChanged = String(previous.current_stage_id) !== String(dbPayload.current_stage_id);
+        if (stageChanged) {
+            await queueStageNotification(connection, { ...previous, current_stage_id: dbPayload.current_stage_id }, userId);
+        }
+        await connection.commit();
+        flushOutbox();
         
-        const row = rows[0];
-        const updatedRequest = {
-            id: row.id,
-            title: row.title || 'N/A',
-            description: row.description || '',
-            type: row.type || 'استيراد',
-            priority: row.priority || 'منخفضة',
-            currentStageId: row.current_stage_id || 1,
-            creationDate: new Date(row.creation_date).toISOString(),
-            lastModified: new Date(row.last_modified).toISOString(),
-            stageHistory: safeJsonParse(row.stage_history, []),
-            employeeId: row.employee_id_username,
-            containerCount20ft: row.container_count_20ft,
-            containerCount40ft: row.container_count_40ft,
-            manufacturingDate: row.manufacturing_date,
-            expectedDepartureDate: row.expected_departure_date,
-            expectedArrivalDate: row.expected_arrival_date,
-            departurePort: row.departure_port,
-        };
-        res.json(updatedRequest);
+        const row = await fetchWorkflowRow(id);
+        if (stageChanged) {
+            // Workflow requests are listed to everyone (see permissions.js)
+            publish('workflow.stage', {
+                id: row.id,
+                previousStageId: previous.current_stage_id,
+                currentStageId: row.current_stage_id,
+            }, { resource: 'workflow', action: 'list' });
+        }
+        setVersionHeader(res, row.version);
+        res.json(mapWorkflowRowToFrontend(row));
 
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Error updating workflow request:', error);
         res.status(500).json({ message: 'An internal server error occurred.' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
 // DELETE /api/workflow-requests/:id - Delete a request
-router.delete('/workflow-requests/:id', checkImportExportPermission, async (req, res) => {
+router.delete('/workflow-requests/:id', authorize('workflow', 'delete'), async (req, res) => {
     const { id } = req.params;
     try {
         const [result] = await db.query('DELETE FROM workflow_requests WHERE id = ?', [id]);
@@ -20,6 +20,130 @@ async function ensureSchema() {
       console.log('? Column users.has_purchase_management_permission already exists');
     }
 
+    // 1.c) Ensure users.token_version exists (bumped to revoke issued refresh tokens)
+    const [tokenVersionCol] = await db.query("SHOW COLUMNS FROM users LIKE 'token_version'");
+    if (!tokenVersionCol || tokenVersionCol.length === 0) {
+      await db.query("ALTER TABLE users ADD COLUMN token_version INT NOT NULL DEFAULT 0");
+      console.log(' Added column users.token_version');
+    } else {
+      console.log('? Column users.token_version already exists');
+    }
+
+    // 1.d) Ensure the reports list sort key is indexed (used for cursor pagination)
+    const [reportsIdx] = await db.query("SHOW INDEX FROM reports WHERE Key_name = 'idx_reports_created_id'");
+    if (!reportsIdx || reportsIdx.length === 0) {
+      await db.query("ALTER TABLE reports ADD INDEX idx_reports_created_id (created_at, id)");
+      console.log(' Added index reports.idx_reports_created_id');
+    } else {
+      console.log('? Index reports.idx_reports_created_id already exists');
+    }
+
+    // 1.e) Ensure reports.details_normalized exists (1 once details live in the report_* tables below)
+    const [normalizedCol] = await db.query("SHOW COLUMNS FROM reports LIKE 'details_normalized'");
+    if (!normalizedCol || normalizedCol.length === 0) {
+      await db.query("ALTER TABLE reports ADD COLUMN details_normalized TINYINT(1) NOT NULL DEFAULT 0");
+      console.log(' Added column reports.details_normalized');
+    } else {
+      console.log('? Column reports.details_normalized already exists');
+    }
+
+    // 1.f) Ensure normalized report detail tables exist
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_sales_customers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        position INT NOT NULL,
+        name VARCHAR(255),
+        data TEXT,
+        INDEX(report_id),
+        INDEX(name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_project_stages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        position INT NOT NULL,
+        stage_key VARCHAR(64),
+        completed TINYINT(1),
+        completed_at DATETIME(3),
+        comment TEXT,
+        data TEXT,
+        INDEX(report_id),
+        INDEX(stage_key, completed)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_exceptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        exception_id VARCHAR(64) NOT NULL,
+        comment TEXT,
+        uploaded_by INT,
+        created_at DATETIME(3),
+        INDEX(report_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_files (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        category VARCHAR(32) NOT NULL, -- maintenance_before | maintenance_after | customer | stage | exception | workflow_doc
+        parent_key VARCHAR(64), -- customer/stage position or exception id
+        position INT NOT NULL DEFAULT 0,
+        url VARCHAR(1024),
+        file_name VARCHAR(255),
+        public_id VARCHAR(512),
+        uploaded_by INT,
+        extra TEXT,
+        INDEX(report_id, category, parent_key),
+        INDEX(uploaded_by)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_admin_notes (
+        seq INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        note_id VARCHAR(64) NOT NULL,
+        parent_note_id VARCHAR(64), -- NULL for notes, the note id for replies
+        author_id VARCHAR(32),
+        author_name VARCHAR(255),
+        content TEXT,
+        created_at DATETIME(3),
+        UNIQUE KEY uniq_report_note (report_id, note_id),
+        INDEX(report_id, parent_note_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_note_reads (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        note_id VARCHAR(64) NOT NULL,
+        user_id VARCHAR(32) NOT NULL,
+        read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_note_reader (report_id, note_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured normalized report tables exist');
+
+    // 1.g) Ensure reports.stage_template_id exists (template a Project report's stages were seeded from)
+    const [templateCol] = await db.query("SHOW COLUMNS FROM reports LIKE 'stage_template_id'");
+    if (!templateCol || templateCol.length === 0) {
+      await db.query("ALTER TABLE reports ADD COLUMN stage_template_id INT NULL");
+      console.log(' Added column reports.stage_template_id');
+    } else {
+      console.log('? Column reports.stage_template_id already exists');
+    }
+
+    // 1.h) Ensure reports.workflow_status_changed_at exists (last project_workflow_status change, used by reminders)
+    const [statusChangedCol] = await db.query("SHOW COLUMNS FROM reports LIKE 'workflow_status_changed_at'");
+    if (!statusChangedCol || statusChangedCol.length === 0) {
+      await db.query("ALTER TABLE reports ADD COLUMN workflow_status_changed_at DATETIME NULL");
+      console.log(' Added column reports.workflow_status_changed_at');
+    } else {
+      console.log('? Column reports.workflow_status_changed_at already exists');
+    }
+
     // 2) Ensure package_requests table exists
     await db.query(`
       CREATE TABLE IF NOT EXISTS package_requests (
@@ -216,6 +340,323 @@ async function ensureSchema() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
     `);
     console.log(' Ensured table quotation_items exists');
+
+    // 12) Ensure project stage template tables exist
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS project_stage_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        project_type VARCHAR(64), -- e.g. on-grid / off-grid; NULL for any
+        branch_id INT, -- NULL for all branches
+        created_by INT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX(branch_id),
+        INDEX(project_type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS project_stage_template_stages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        template_id INT NOT NULL,
+        position INT NOT NULL,
+        stage_key VARCHAR(64) NOT NULL,
+        title VARCHAR(255),
+        required_documents TEXT, -- JSON array of document names
+        requires_signed_document TINYINT(1) NOT NULL DEFAULT 0,
+        UNIQUE KEY uniq_template_stage (template_id, stage_key),
+        INDEX(template_id),
+        CONSTRAINT fk_template_stages_template
+          FOREIGN KEY (template_id)
+          REFERENCES project_stage_templates(id)
+          ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured project stage template tables exist');
+
+    // 13) Ensure attachments table exists (every stored file, see routes/attachmentService.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        owner_id INT NOT NULL,
+        entity_type VARCHAR(32) NOT NULL, -- report | package | purchase | workflow
+        entity_id VARCHAR(64),
+        storage VARCHAR(16) NOT NULL, -- cloudinary | local
+        storage_key VARCHAR(512) NOT NULL,
+        url VARCHAR(1024) NOT NULL,
+        file_name VARCHAR(255),
+        mime_type VARCHAR(128),
+        size_bytes BIGINT,
+        checksum_sha256 CHAR(64),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX(entity_type, entity_id),
+        INDEX(owner_id),
+        INDEX(checksum_sha256)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured table attachments exists');
+
+    // 14) Ensure web_push_subscriptions exists (also created on first subscribe, see routes/webpush.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS web_push_subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        endpoint VARCHAR(1024) NOT NULL,
+        keys_auth VARCHAR(255) NULL,
+        keys_p256dh VARCHAR(255) NULL,
+        raw TEXT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_user_endpoint (user_id, endpoint(191)),
+        INDEX(user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    // 15) Ensure notification_outbox exists (deliveries written inside transactions, see routes/notificationOutbox.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        event_type VARCHAR(64) NOT NULL, -- e.g. report.note, report.reply
+        recipient_id INT NOT NULL,
+        channel VARCHAR(16) NOT NULL, -- in_app | fcm | web_push
+        payload TEXT NOT NULL, -- JSON { title, message, link }
+        status VARCHAR(16) NOT NULL DEFAULT 'pending', -- pending | sending | held (quiet hours) | sent | failed
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until DATETIME NULL,
+        last_error VARCHAR(1000) NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME NULL,
+        delivery_results TEXT NULL, -- JSON per-device push results of the last attempt
+        INDEX idx_outbox_due (status, next_attempt_at),
+        INDEX(recipient_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    const [deliveryResultsCol] = await db.query("SHOW COLUMNS FROM notification_outbox LIKE 'delivery_results'");
+    if (!deliveryResultsCol || deliveryResultsCol.length === 0) {
+      await db.query("ALTER TABLE notification_outbox ADD COLUMN delivery_results TEXT NULL");
+      console.log(' Added column notification_outbox.delivery_results');
+    }
+    console.log(' Ensured table notification_outbox exists');
+
+    // 16) Ensure notification center columns exist (category filter, read/archive timestamps)
+    try {
+      const ensureColumn = async (name, type) => {
+        const [col] = await db.query(`SHOW COLUMNS FROM notifications LIKE '${name}'`);
+        if (!col || col.length === 0) {
+          await db.query(`ALTER TABLE notifications ADD COLUMN ${name} ${type}`);
+          console.log(` Added column notifications.${name}`);
+          return true;
+        }
+        return false;
+      };
+      if (await ensureColumn('category', "VARCHAR(32) NOT NULL DEFAULT 'general'")) {
+        // Before the outbox, report notes were the only source of notifications
+        await db.query("UPDATE notifications SET category = 'report_notes' WHERE link LIKE '/reports/%'");
+      }
+      await ensureColumn('read_at', 'DATETIME NULL');
+      await ensureColumn('archived_at', 'DATETIME NULL');
+      const [idx] = await db.query("SHOW INDEX FROM notifications WHERE Key_name = 'idx_notifications_user_created'");
+      if (!idx || idx.length === 0) {
+        await db.query('ALTER TABLE notifications ADD INDEX idx_notifications_user_created (user_id, created_at, id)');
+        console.log(' Added index notifications.idx_notifications_user_created');
+      }
+    } catch (e) {
+      console.log(' Skipping notifications column check due to error:', e.message);
+    }
+
+    // 17) Ensure notification preference tables exist (see routes/notificationPreferences.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INT NOT NULL,
+        event_type VARCHAR(64) NOT NULL,
+        in_app TINYINT(1) NOT NULL DEFAULT 1,
+        fcm TINYINT(1) NOT NULL DEFAULT 1,
+        web_push TINYINT(1) NOT NULL DEFAULT 1,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, event_type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_settings (
+        user_id INT PRIMARY KEY,
+        quiet_hours_start TIME NULL, -- Asia/Riyadh time
+        quiet_hours_end TIME NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured notification preference tables exist');
+
+    // 18) Ensure push_delivery_log exists (one row per device and push attempt, see routes/pushService.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS push_delivery_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        channel VARCHAR(16) NOT NULL, -- fcm | web_push
+        device_hash CHAR(64) NULL, -- sha256 of the FCM token / web push endpoint; NULL when skipped
+        device_hint VARCHAR(32) NULL,
+        title VARCHAR(255),
+        body_summary VARCHAR(255),
+        link VARCHAR(255),
+        status VARCHAR(16) NOT NULL, -- sent | failed | pruned | skipped
+        error_code VARCHAR(128) NULL,
+        error_message VARCHAR(1000) NULL,
+        source VARCHAR(16) NOT NULL, -- outbox | test | manual
+        outbox_id BIGINT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_push_log_user_created (user_id, created_at, id),
+        INDEX(device_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured table push_delivery_log exists');
+
+    // 19) Ensure fcm_tokens device registry columns exist (see routes/deviceRegistry.js)
+    try {
+      const ensureColumn = async (name, type) => {
+        const [col] = await db.query(`SHOW COLUMNS FROM fcm_tokens LIKE '${name}'`);
+        if (!col || col.length === 0) {
+          await db.query(`ALTER TABLE fcm_tokens ADD COLUMN ${name} ${type}`);
+          console.log(` Added column fcm_tokens.${name}`);
+        }
+      };
+      await ensureColumn('platform', 'VARCHAR(16) NULL'); // android | ios | web
+      await ensureColumn('app_version', 'VARCHAR(32) NULL');
+      await ensureColumn('registered_at', 'DATETIME NULL');
+      await ensureColumn('last_seen_at', 'DATETIME NULL');
+      const [tokenIdx] = await db.query("SHOW INDEX FROM fcm_tokens WHERE Key_name = 'idx_fcm_tokens_token'");
+      if (!tokenIdx || tokenIdx.length === 0) {
+        await db.query('ALTER TABLE fcm_tokens ADD INDEX idx_fcm_tokens_token (token(191))');
+        console.log(' Added index fcm_tokens.idx_fcm_tokens_token');
+      }
+    } catch (e) {
+      console.log(' Skipping fcm_tokens column check due to error:', e.message);
+    }
+
+    // 20) Ensure reminder tables exist (see routes/reminderRules.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_rules (
+        rule_key VARCHAR(64) PRIMARY KEY,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        threshold_days INT NOT NULL,
+        repeat_days INT NOT NULL,
+        updated_by INT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_log (
+        rule_key VARCHAR(64) NOT NULL,
+        entity_id VARCHAR(64) NOT NULL,
+        last_sent_at DATETIME NOT NULL,
+        PRIMARY KEY (rule_key, entity_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured reminder tables exist');
+
+    // 21) Ensure note thread columns and revision history exist (edits, deletes, mentions, resolved threads)
+    const ensureNoteColumn = async (name, type) => {
+      const [col] = await db.query(`SHOW COLUMNS FROM report_admin_notes LIKE '${name}'`);
+      if (!col || col.length === 0) {
+        await db.query(`ALTER TABLE report_admin_notes ADD COLUMN ${name} ${type}`);
+        console.log(` Added column report_admin_notes.${name}`);
+      }
+    };
+    await ensureNoteColumn('mentions', 'TEXT NULL');
+    await ensureNoteColumn('edited_at', 'DATETIME(3) NULL');
+    await ensureNoteColumn('deleted_at', 'DATETIME(3) NULL');
+    await ensureNoteColumn('deleted_by', 'VARCHAR(32) NULL');
+    await ensureNoteColumn('resolved_at', 'DATETIME(3) NULL');
+    await ensureNoteColumn('resolved_by', 'VARCHAR(32) NULL');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_note_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        note_id VARCHAR(64) NOT NULL,
+        action ENUM('edit','delete') NOT NULL,
+        previous_content TEXT,
+        changed_by VARCHAR(32),
+        changed_at DATETIME(3),
+        INDEX(report_id, note_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured note thread columns and report_note_revisions exist');
+
+    // 22) Ensure report_audit_log exists (field-level diffs of report mutations, see routes/reportAudit.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        report_id INT NOT NULL,
+        actor_id INT,
+        actor_name VARCHAR(255),
+        action VARCHAR(64) NOT NULL,
+        endpoint VARCHAR(255),
+        changes TEXT NOT NULL, -- JSON [{ field, from, to }]
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_report_audit (report_id, created_at, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    console.log(' Ensured report_audit_log exists');
+
+    // 23) Ensure version columns exist (optimistic concurrency of whole-document PUTs, see routes/concurrency.js)
+    for (const table of ['reports', 'package_requests', 'workflow_requests']) {
+      const [versionCol] = await db.query(`SHOW COLUMNS FROM ${table} LIKE 'version'`);
+      if (!versionCol || versionCol.length === 0) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN version INT NOT NULL DEFAULT 0`);
+        console.log(` Added column ${table}.version`);
+      }
+    }
+
+    // 24) Ensure soft delete columns exist (trash and scheduled purge, see routes/softDelete.js)
+    for (const table of ['reports', 'users', 'branches', 'technical_teams']) {
+      const [deletedAtCol] = await db.query(`SHOW COLUMNS FROM ${table} LIKE 'deleted_at'`);
+      if (!deletedAtCol || deletedAtCol.length === 0) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME NULL, ADD COLUMN deleted_by INT NULL, ADD INDEX idx_${table}_deleted_at (deleted_at)`);
+        console.log(` Added columns ${table}.deleted_at, ${table}.deleted_by`);
+      }
+    }
+
+    // 25) Ensure users.status and the login throttle exist (see routes/loginThrottle.js)
+    const [userStatusCol] = await db.query("SHOW COLUMNS FROM users LIKE 'status'");
+    if (!userStatusCol || userStatusCol.length === 0) {
+      await db.query("ALTER TABLE users ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'active', ADD COLUMN status_changed_at DATETIME NULL");
+      // Users deactivated through is_active before status existed
+      await db.query("UPDATE users SET status = 'deactivated', status_changed_at = NOW() WHERE is_active = 0");
+      console.log(' Added columns users.status, users.status_changed_at');
+    }
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS login_throttle (
+        scope VARCHAR(16) NOT NULL,
+        throttle_key VARCHAR(191) NOT NULL,
+        failures INT NOT NULL DEFAULT 0,
+        last_failure_at DATETIME NOT NULL,
+        locked_until DATETIME NULL,
+        PRIMARY KEY (scope, throttle_key),
+        INDEX idx_login_throttle_locked (locked_until)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    // 26) Ensure password_reset_codes exists (see routes/passwordReset.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL, -- sha256 of user id and code; the code itself is never stored
+        purpose VARCHAR(16) NOT NULL, -- self_service | admin
+        created_by INT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        INDEX(user_id, used_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    // 27) Ensure quotations.user_id exists (who saved it; quotations saved before have none)
+    const [quotationUserCol] = await db.query("SHOW COLUMNS FROM quotations LIKE 'user_id'");
+    if (!quotationUserCol || quotationUserCol.length === 0) {
+      await db.query('ALTER TABLE quotations ADD COLUMN user_id INT NULL AFTER id, ADD INDEX idx_quotations_user_id (user_id)');
+      console.log(' Added column quotations.user_id');
+    }
+
     // Ensure quotation_items columns exist if table already present
     try {
       const ensureColumn = async (name, type) => {
@@ -0,0 +1,91 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mysql = require('mysql2/promise');
+
+// Finds users whose stored password is not a bcrypt hash (plain text from before passwords were hashed)
+// and, with --apply, forces a reset: the password is replaced by a hash of a random secret nobody knows,
+// the user's sessions end and they go through first login again. Login no longer accepts plain-text
+// passwords, so these users can't sign in until then anyway.
+// Afterwards an admin issues them a temporary password or code (POST /api/users/:id/reset-password), or
+// users with a phone number or email request a code themselves (POST /api/password-reset/request).
+//
+// Usage: node scripts/migratePlaintextPasswords.js           report only
+//        node scripts/migratePlaintextPasswords.js --apply   force the reset
+// Passwords are never printed. Safe to re-run.
+(async () => {
+  const apply = process.argv.includes('--apply');
+
+  const connectionOptions = process.env.DATABASE_URL
+    ? { uri: process.env.DATABASE_URL }
+    : {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+      };
+
+  const pool = mysql.createPool({
+    ...connectionOptions,
+    waitForConnections: true,
+    connectionLimit: 5,
+    queueLimit: 0,
+    dateStrings: true,
+    ssl: { rejectUnauthorized: false },
+  });
+
+  // bcrypt hashes look like $2b$10$ followed by 53 characters
+  const notBcrypt = "(password IS NULL OR password NOT REGEXP '^[$]2[aby][$][0-9]{2}[$]' OR CHAR_LENGTH(password) <> 60)";
+
+  let conn;
+  let failed = 0;
+  try {
+    conn = await pool.getConnection();
+    await conn.ping();
+    console.log('Connected to DB.');
+
+    const [users] = await conn.query(
+      `SELECT id, username, full_name, role, phone, email, deleted_at FROM users WHERE ${notBcrypt} ORDER BY id`
+    );
+    console.log(`Users without a bcrypt password: ${users.length}`);
+    for (const user of users) {
+      const reachable = (user.phone && String(user.phone).trim()) || (user.email && String(user.email).trim());
+      const notes = [
+        user.deleted_at ? 'in trash' : null,
+        reachable ? 'can request a reset code' : 'no phone or email: needs an admin reset',
+      ].filter(Boolean).join(', ');
+      console.log(`  #${user.id} ${user.username} (${user.full_name || 'no name'}, ${user.role}) - ${notes}`);
+    }
+
+    if (!apply) {
+      if (users.length > 0) console.log('Report only. Re-run with --apply to force a password reset for these users.');
+    } else {
+      let reset = 0;
+      for (const user of users) {
+        try {
+          const unusable = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+          // Bumping token_version ends the user's sessions
+          await conn.query(
+            `UPDATE users SET password = ?, is_first_login = 1, token_version = token_version + 1 WHERE id = ? AND ${notBcrypt}`,
+            [unusable, user.id]
+          );
+          reset++;
+        } catch (err) {
+          failed++;
+          console.error(`  #${user.id} ${user.username} failed:`, err.message);
+        }
+      }
+
+      const [[remaining]] = await conn.query(`SELECT COUNT(*) AS count FROM users WHERE ${notBcrypt}`);
+      console.log(`Forced a password reset for ${reset} user(s), ${failed} failure(s). Plain-text passwords left: ${remaining.count}.`);
+      if (Number(remaining.count) > 0) failed++;
+    }
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    failed++;
+  } finally {
+    if (conn) conn.release();
+    await pool.end();
+  }
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,63 @@
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const { normalizeReport } = require('../routes/reportStore');
+
+// Moves reports.content / reports.adminNotes JSON blobs into the normalized report_* tables.
+// Safe to re-run: only reports with details_normalized = 0 are touched, one transaction each.
+// Run after the server has started once, so ensureSchema() has created the tables.
+(async () => {
+  const connectionOptions = process.env.DATABASE_URL
+    ? { uri: process.env.DATABASE_URL }
+    : {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+      };
+
+  const pool = mysql.createPool({
+    ...connectionOptions,
+    waitForConnections: true,
+    connectionLimit: 5,
+    queueLimit: 0,
+    dateStrings: true,
+    ssl: { rejectUnauthorized: false },
+  });
+
+  let conn;
+  let failed = 0;
+  try {
+    conn = await pool.getConnection();
+    await conn.ping();
+    console.log('Connected to DB.');
+
+    const [pending] = await conn.query('SELECT id FROM reports WHERE details_normalized = 0 ORDER BY id');
+    console.log(`Reports to migrate: ${pending.length}`);
+
+    let migrated = 0;
+    for (const { id } of pending) {
+      try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query('SELECT id, content, adminNotes, details_normalized FROM reports WHERE id = ? FOR UPDATE', [id]);
+        if (rows.length > 0 && !rows[0].details_normalized) {
+          await normalizeReport(conn, rows[0]);
+          migrated++;
+        }
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback();
+        failed++;
+        console.error(`Report ${id} failed:`, err.message);
+      }
+    }
+
+    console.log(`Migrated ${migrated} report(s), ${failed} failure(s).`);
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    failed++;
+  } finally {
+    if (conn) conn.release();
+    await pool.end();
+  }
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -4,9 +4,21 @@ const cors = require('cors');
 const allRoutes = require('./routes');
 const db = require('./db.js');
 const { initializeFirebase } = require('./routes/firebaseAdmin.js');
+const { LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_ROUTE } = require('./routes/attachmentService.js');
+const { startOutboxDispatcher } = require('./routes/notificationOutbox.js');
+const { expireStaleDevices } = require('./routes/deviceRegistry.js');
+const { runReminderRules } = require('./routes/reminderRules.js');
+const { purgeExpiredTrash } = require('./routes/softDelete.js');
+const { pruneLoginThrottle } = require('./routes/loginThrottle.js');
+const { pruneResetCodes } = require('./routes/passwordReset.js');
+const { scheduleJob, startScheduler } = require('./routes/scheduler.js');
 
 const app = express();
 
+// Behind Render's proxy: take the client IP from X-Forwarded-For (used for per-IP login throttling).
+// Set TRUST_PROXY_HOPS=0 when the server is exposed directly, so clients can't spoof their IP.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 // Initialize Firebase Admin SDK
 initializeFirebase();
 
@@ -14,6 +26,18 @@ initializeFirebase();
 const { ensureSchema } = require('./schema.js');
 (async () => { try { await ensureSchema(); } catch (e) { console.error('Schema init error:', e); } })();
 
+// --- Notification delivery (see routes/notificationOutbox.js) ---
+startOutboxDispatcher();
+
+// --- Scheduled jobs ---
+const HOUR = 60 * 60 * 1000;
+scheduleJob('device-expiry', 6 * HOUR, expireStaleDevices);
+scheduleJob('reminders', (Number(process.env.REMINDER_INTERVAL_MINUTES) || 60) * 60 * 1000, runReminderRules, { runOnStart: true });
+scheduleJob('trash-purge', 24 * HOUR, purgeExpiredTrash, { runOnStart: true });
+scheduleJob('login-throttle-prune', HOUR, pruneLoginThrottle);
+scheduleJob('password-reset-prune', 24 * HOUR, pruneResetCodes);
+startScheduler();
+
 // --- CORS Configuration ---
 const allowedOrigins = [
   process.env.FRONTEND_URL || 'https://qrs.qssun.solar',
@@ -57,7 +81,8 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  // Explicitly allow custom headers used by the frontend
+  // Explicitly allow custom headers used by the frontend.
+  // X-User-Id / X-User-Role are still accepted for CORS but ignored: identity comes from the Bearer token.
   allowedHeaders: [
     'Content-Type',
     'X-User-Id',
@@ -65,7 +90,10 @@ const corsOptions = {
     'Authorization',
     'Accept',
     'Origin',
+    'If-Match',
   ],
+  // Record versions for If-Match (see routes/concurrency.js)
+  exposedHeaders: ['ETag'],
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   optionsSuccessStatus: 200,
 };
@@ -85,6 +113,9 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
+// --- Files stored by the local attachment backend (dev/offline) ---
+app.use(LOCAL_UPLOAD_ROUTE, express.static(LOCAL_UPLOAD_DIR));
+
 // --- Routes ---
 app.use('/api', allRoutes);
 